@@ -1,10 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Dashboard from './components/Dashboard';
 import BreathingScreen from './components/BreathingScreen';
 import DataScreen from './components/DataScreen';
+import { DEFAULT_USER_SETTINGS, loadUserSettings, saveUserSettings } from './utils/UserSettings';
 
 export default function App() {
   const [currentScreen, setCurrentScreen] = useState('dashboard');
+  // Active breathing pattern, shared so analysis knows the paced frequency
+  const [breathingPattern, setBreathingPattern] = useState(DEFAULT_USER_SETTINGS.breathingPattern);
+  // Step windows from the last resonance-frequency finder run
+  const [resonanceProtocol, setResonanceProtocol] = useState(null);
+  // Pacer timeline of the last completed breathing session, for adherence analysis
+  const [pacerSession, setPacerSession] = useState(null);
+  const [userProfile, setUserProfile] = useState(DEFAULT_USER_SETTINGS.profile);
+  const pacedFrequency = 1 / (breathingPattern.inhaleTime + breathingPattern.holdTime + breathingPattern.exhaleTime);
+
+  useEffect(() => {
+    loadUserSettings().then(settings => {
+      setBreathingPattern(settings.breathingPattern);
+      setUserProfile(settings.profile);
+    });
+  }, []);
+
+  const saveDefaultPattern = async (pattern) => {
+    await saveUserSettings({ breathingPattern: pattern });
+    setBreathingPattern(pattern);
+  };
+
+  const saveProfile = async (profile) => {
+    await saveUserSettings({ profile });
+    setUserProfile(profile);
+  };
 
   const navigateToScreen = (screen) => {
     setCurrentScreen(screen);
@@ -17,9 +43,27 @@ export default function App() {
   const renderScreen = () => {
     switch (currentScreen) {
       case 'breathing':
-        return <BreathingScreen onBack={navigateToDashboard} />;
+        return (
+          <BreathingScreen
+            onBack={navigateToDashboard}
+            pattern={breathingPattern}
+            onPatternChange={setBreathingPattern}
+            onProtocolComplete={setResonanceProtocol}
+            onSessionComplete={setPacerSession}
+          />
+        );
       case 'data':
-        return <DataScreen onBack={navigateToDashboard} />;
+        return (
+          <DataScreen
+            onBack={navigateToDashboard}
+            pacedFrequency={pacedFrequency}
+            resonanceProtocol={resonanceProtocol}
+            pacerSession={pacerSession}
+            onSaveDefaultPattern={saveDefaultPattern}
+            userProfile={userProfile}
+            onSaveProfile={saveProfile}
+          />
+        );
       default:
         return <Dashboard onNavigate={navigateToScreen} />;
     }
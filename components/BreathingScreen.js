@@ -7,44 +7,69 @@ import {
   Animated,
   Dimensions,
   StatusBar,
+  AccessibilityInfo,
+  Vibration,
 } from 'react-native';
+import { createResonanceProtocol, patternForBreathingRate } from '../utils/HRVAnalysis';
 
 const { width, height } = Dimensions.get('window');
 
-export default function BreathingScreen({ onBack }) {
+const ANNOUNCE_LEAD_SECONDS = 10; // warn this long before a protocol step changes
+const MIN_SESSION_SECONDS = 60;   // shorter sessions are not reported for adherence analysis
+
+// Pattern times can be fractional (e.g. 5.5 breaths/min)
+const formatPhaseTime = (value) => (Number.isInteger(value) ? `${value}` : value.toFixed(1));
+
+export default function BreathingScreen({ onBack, pattern, onPatternChange, onProtocolComplete, onSessionComplete }) {
   const [isActive, setIsActive] = useState(false);
   const [phase, setPhase] = useState('inhale'); // 'inhale', 'hold', 'exhale'
-  const [seconds, setSeconds] = useState(0);
+  const [elapsed, setElapsed] = useState(0); // seconds since start, 0.1 s resolution
   const [cycle, setCycle] = useState(1);
   const [showSettings, setShowSettings] = useState(false);
+  const startTimeRef = useRef(0);
+  const sessionStartRef = useRef(null); // wall-clock start of the running session
+  const seconds = Math.floor(elapsed);
+  
+  // Resonance-frequency finder: { steps, stepIndex, warnedStep, startedAt, stepStartedAt, windows, savedPattern }
+  const [protocol, setProtocol] = useState(null);
+  const [announcement, setAnnouncement] = useState(null);
+  const [recordedSession, setRecordedSession] = useState(null); // { startedAt, seconds, protocol } of the last reported session
   
   // Customizable breathing times (default 5-5, no hold)
-  const [inhaleTime, setInhaleTime] = useState(5);
-  const [holdTime, setHoldTime] = useState(0); // 0 means no hold phase
-  const [exhaleTime, setExhaleTime] = useState(5);
+  const [inhaleTime, setInhaleTime] = useState(pattern?.inhaleTime ?? 5);
+  const [holdTime, setHoldTime] = useState(pattern?.holdTime ?? 0); // 0 means no hold phase
+  const [exhaleTime, setExhaleTime] = useState(pattern?.exhaleTime ?? 5);
   const totalCycleTime = inhaleTime + holdTime + exhaleTime;
   
+  // Report the active pattern so HRV analysis can use its paced frequency
+  // (protocol steps are temporary and not reported)
+  useEffect(() => {
+    if (onPatternChange && !protocol) {
+      onPatternChange({ inhaleTime, holdTime, exhaleTime });
+    }
+  }, [inhaleTime, holdTime, exhaleTime]);
+  
+  // Breathing cycles restart at the beginning of each protocol step
+  const phaseOrigin = protocol ? protocol.steps[protocol.stepIndex].start : 0;
+  
   // Animation values
   const scaleAnim = useRef(new Animated.Value(0.5)).current;
   const opacityAnim = useRef(new Animated.Value(0.7)).current;
 
   useEffect(() => {
-    let interval = null;
+    if (!isActive) return undefined;
     
-    if (isActive) {
-      interval = setInterval(() => {
-        setSeconds(seconds => seconds + 1);
-      }, 1000);
-    } else if (!isActive && seconds !== 0) {
-      clearInterval(interval);
-    }
+    // Measured against the start time so fractional phase lengths do not drift
+    const interval = setInterval(() => {
+      setElapsed(Math.round((Date.now() - startTimeRef.current) / 100) / 10);
+    }, 100);
     
     return () => clearInterval(interval);
-  }, [isActive, seconds]);
+  }, [isActive]);
 
   useEffect(() => {
     if (isActive) {
-      const cyclePosition = seconds % totalCycleTime;
+      const cyclePosition = (elapsed - phaseOrigin) % totalCycleTime;
       
       if (cyclePosition < inhaleTime) {
         // Inhale phase
@@ -67,23 +92,134 @@ export default function BreathingScreen({ onBack }) {
       }
       
       // Update cycle count
-      const newCycle = Math.floor(seconds / totalCycleTime) + 1;
+      const newCycle = Math.floor((elapsed - phaseOrigin) / totalCycleTime) + 1;
       if (newCycle !== cycle) {
         setCycle(newCycle);
       }
     }
-  }, [seconds, isActive]);
+  }, [elapsed, isActive]);
+
+  // Advance the resonance protocol and announce transitions
+  useEffect(() => {
+    if (!isActive || !protocol) return;
+    
+    const step = protocol.steps[protocol.stepIndex];
+    const next = protocol.steps[protocol.stepIndex + 1];
+    
+    if (elapsed >= step.end) {
+      // Record the window actually breathed at this rate
+      const windows = [...protocol.windows, { ...step, start: protocol.stepStartedAt, end: elapsed }];
+      if (next) {
+        applyStepPattern(next);
+        setProtocol({ ...protocol, stepIndex: protocol.stepIndex + 1, stepStartedAt: elapsed, windows });
+        announce(`Now breathe at ${next.rate} breaths per minute`);
+      } else {
+        finishProtocol(windows);
+      }
+    } else if (next && step.end - elapsed <= ANNOUNCE_LEAD_SECONDS && protocol.warnedStep !== protocol.stepIndex) {
+      setProtocol({ ...protocol, warnedStep: protocol.stepIndex });
+      announce(`Next: ${next.rate} breaths per minute in ${ANNOUNCE_LEAD_SECONDS} seconds`);
+    }
+  }, [elapsed, isActive]);
+
+  const announce = (message) => {
+    setAnnouncement(message);
+    AccessibilityInfo.announceForAccessibility(message);
+    Vibration.vibrate(300);
+  };
+
+  const applyStepPattern = (step) => {
+    const stepPattern = patternForBreathingRate(step.rate);
+    setInhaleTime(stepPattern.inhaleTime);
+    setHoldTime(stepPattern.holdTime);
+    setExhaleTime(stepPattern.exhaleTime);
+  };
+
+  const restorePattern = (saved) => {
+    setInhaleTime(saved.inhaleTime);
+    setHoldTime(saved.holdTime);
+    setExhaleTime(saved.exhaleTime);
+  };
+
+  const startProtocol = () => {
+    const steps = createResonanceProtocol();
+    setShowSettings(false);
+    setProtocol({
+      steps,
+      stepIndex: 0,
+      warnedStep: -1,
+      startedAt: Date.now(),
+      stepStartedAt: 0,
+      windows: [],
+      savedPattern: { inhaleTime, holdTime, exhaleTime }
+    });
+    applyStepPattern(steps[0]);
+    announce(`Resonance finder started: breathe at ${steps[0].rate} breaths per minute`);
+    startBreathing(patternForBreathingRate(steps[0].rate).inhaleTime);
+  };
+
+  const finishProtocol = (windows) => {
+    setRecordedSession({
+      startedAt: protocol.startedAt,
+      seconds: Math.round(windows[windows.length - 1].end),
+      protocol: true
+    });
+    if (onProtocolComplete) {
+      onProtocolComplete({
+        startedAt: protocol.startedAt,
+        completedAt: Date.now(),
+        steps: windows
+      });
+    }
+    if (onSessionComplete) {
+      onSessionComplete({
+        startedAt: protocol.startedAt,
+        completedAt: Date.now(),
+        segments: windows.map(window => ({
+          start: window.start,
+          end: window.end,
+          ...patternForBreathingRate(window.rate)
+        }))
+      });
+    }
+    restorePattern(protocol.savedPattern);
+    setProtocol(null);
+    setIsActive(false);
+    setPhase('inhale');
+    announce('Resonance finder complete.');
+  };
+
+  // Report a finished free-breathing session as a single-pattern pacer timeline
+  const endSession = () => {
+    if (!isActive || protocol || elapsed < MIN_SESSION_SECONDS) return;
+    if (onSessionComplete) {
+      onSessionComplete({
+        startedAt: sessionStartRef.current,
+        completedAt: Date.now(),
+        segments: [{ start: 0, end: elapsed, inhaleTime, holdTime, exhaleTime }]
+      });
+    }
+    setRecordedSession({ startedAt: sessionStartRef.current, seconds: Math.round(elapsed), protocol: false });
+    setAnnouncement('Session recorded.');
+  };
+
+  const cancelProtocol = () => {
+    if (!protocol) return;
+    restorePattern(protocol.savedPattern);
+    setProtocol(null);
+    setAnnouncement(null);
+  };
 
-  const animateInhale = () => {
+  const animateInhale = (duration = inhaleTime) => {
     Animated.parallel([
       Animated.timing(scaleAnim, {
         toValue: 1,
-        duration: inhaleTime * 1000,
+        duration: duration * 1000,
         useNativeDriver: true,
       }),
       Animated.timing(opacityAnim, {
         toValue: 0.9,
-        duration: inhaleTime * 1000,
+        duration: duration * 1000,
         useNativeDriver: true,
       }),
     ]).start();
@@ -108,15 +244,20 @@ export default function BreathingScreen({ onBack }) {
     ]).start();
   };
 
-  const startBreathing = () => {
+  const startBreathing = (firstInhale = inhaleTime) => {
+    startTimeRef.current = Date.now();
+    sessionStartRef.current = startTimeRef.current;
+    setRecordedSession(null);
     setIsActive(true);
-    setSeconds(0);
+    setElapsed(0);
     setCycle(1);
     setPhase('inhale');
-    animateInhale();
+    animateInhale(firstInhale);
   };
 
   const stopBreathing = () => {
+    endSession();
+    cancelProtocol();
     setIsActive(false);
     setPhase('inhale');
     // Reset animation to initial state
@@ -135,8 +276,10 @@ export default function BreathingScreen({ onBack }) {
   };
 
   const reset = () => {
+    endSession();
+    cancelProtocol();
     setIsActive(false);
-    setSeconds(0);
+    setElapsed(0);
     setCycle(1);
     setPhase('inhale');
     Animated.parallel([
@@ -189,13 +332,13 @@ export default function BreathingScreen({ onBack }) {
 
   const incrementValue = (type, increment) => {
     if (type === 'inhale') {
-      const newValue = Math.max(2, Math.min(10, inhaleTime + increment));
+      const newValue = Math.max(2, Math.min(10, Math.round(inhaleTime) + increment));
       setInhaleTime(newValue);
     } else if (type === 'hold') {
-      const newValue = Math.max(0, Math.min(10, holdTime + increment));
+      const newValue = Math.max(0, Math.min(10, Math.round(holdTime) + increment));
       setHoldTime(newValue);
     } else {
-      const newValue = Math.max(2, Math.min(10, exhaleTime + increment));
+      const newValue = Math.max(2, Math.min(10, Math.round(exhaleTime) + increment));
       setExhaleTime(newValue);
     }
     
@@ -245,7 +388,17 @@ export default function BreathingScreen({ onBack }) {
           <Text style={styles.backButtonText}>← Dashboard</Text>
         </TouchableOpacity>
         <Text style={styles.title}>Resonance Breath</Text>
-        <Text style={styles.subtitle}>{holdTime > 0 ? `${inhaleTime}-${holdTime}-${exhaleTime}` : `${inhaleTime}-${exhaleTime}`} Pattern ({(1 / totalCycleTime).toFixed(2)} Hz)</Text>
+        {protocol ? (
+          <Text style={styles.subtitle}>
+            Resonance Finder • Step {protocol.stepIndex + 1}/{protocol.steps.length}: {protocol.steps[protocol.stepIndex].rate} breaths/min
+          </Text>
+        ) : (
+          <Text style={styles.subtitle}>
+            {holdTime > 0
+              ? `${formatPhaseTime(inhaleTime)}-${formatPhaseTime(holdTime)}-${formatPhaseTime(exhaleTime)}`
+              : `${formatPhaseTime(inhaleTime)}-${formatPhaseTime(exhaleTime)}`} Pattern ({(1 / totalCycleTime).toFixed(2)} Hz)
+          </Text>
+        )}
       </View>
 
       <View style={styles.timerContainer}>
@@ -272,7 +425,7 @@ export default function BreathingScreen({ onBack }) {
       <View style={styles.controls}>
         <TouchableOpacity
           style={[styles.button, styles.startButton]}
-          onPress={isActive ? stopBreathing : startBreathing}
+          onPress={isActive ? stopBreathing : () => startBreathing()}
         >
           <Text style={styles.buttonText}>
             {isActive ? 'Stop' : 'Start'}
@@ -289,11 +442,38 @@ export default function BreathingScreen({ onBack }) {
         <TouchableOpacity
           style={[styles.button, styles.settingsButton]}
           onPress={() => setShowSettings(!showSettings)}
+          disabled={!!protocol}
         >
           <Text style={styles.buttonText}>⚙️</Text>
         </TouchableOpacity>
       </View>
 
+      <View style={styles.protocolContainer}>
+        {announcement && (
+          <Text style={styles.announcementText} accessibilityLiveRegion="polite">
+            📢 {announcement}
+          </Text>
+        )}
+        {recordedSession && !isActive && (
+          <Text style={styles.sessionNote}>
+            🗂️ Session started {new Date(recordedSession.startedAt).toLocaleTimeString()} and ran {formatTime(recordedSession.seconds)}.
+            This app does not record heart rate: import the recording you made during the session in
+            Data Analysis to {recordedSession.protocol ? 'rank the breathing rates' : 'see your pacer adherence'}.
+            EDF+ and Polar .hrm files are lined up by their start time; for other files, enter when the
+            session started in the recording.
+          </Text>
+        )}
+        {protocol ? (
+          <Text style={styles.protocolProgress}>
+            Step ends in {Math.max(0, Math.ceil(protocol.steps[protocol.stepIndex].end - elapsed))}s
+          </Text>
+        ) : (
+          <TouchableOpacity style={styles.protocolButton} onPress={startProtocol}>
+            <Text style={styles.protocolButtonText}>🎯 Find My Resonance Frequency</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
       {showSettings && (
         <View style={styles.settingsOverlay}>
           <View style={styles.settingsModal}>
@@ -309,7 +489,7 @@ export default function BreathingScreen({ onBack }) {
             
             <View style={styles.settingsContent}>
               <View style={styles.settingRow}>
-                <Text style={styles.settingLabel}>Inhale: {inhaleTime}s</Text>
+                <Text style={styles.settingLabel}>Inhale: {formatPhaseTime(inhaleTime)}s</Text>
                 <View style={styles.controlContainer}>
                   <TouchableOpacity
                     style={styles.incrementButton}
@@ -345,7 +525,7 @@ export default function BreathingScreen({ onBack }) {
               </View>
               
               <View style={styles.settingRow}>
-                <Text style={styles.settingLabel}>Hold: {holdTime}s</Text>
+                <Text style={styles.settingLabel}>Hold: {formatPhaseTime(holdTime)}s</Text>
                 <View style={styles.controlContainer}>
                   <TouchableOpacity
                     style={styles.incrementButton}
@@ -381,7 +561,7 @@ export default function BreathingScreen({ onBack }) {
               </View>
               
               <View style={styles.settingRow}>
-                <Text style={styles.settingLabel}>Exhale: {exhaleTime}s</Text>
+                <Text style={styles.settingLabel}>Exhale: {formatPhaseTime(exhaleTime)}s</Text>
                 <View style={styles.controlContainer}>
                   <TouchableOpacity
                     style={styles.incrementButton}
@@ -543,6 +723,40 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  protocolContainer: {
+    alignItems: 'center',
+    paddingHorizontal: 30,
+  },
+  protocolButton: {
+    backgroundColor: '#2a2a3e',
+    borderColor: '#4CAF50',
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  protocolButtonText: {
+    color: '#4CAF50',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  protocolProgress: {
+    color: '#cccccc',
+    fontSize: 14,
+  },
+  announcementText: {
+    color: '#FF9800',
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  sessionNote: {
+    color: '#cccccc',
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 8,
+    paddingHorizontal: 20,
+  },
   instructions: {
     alignItems: 'center',
     paddingHorizontal: 40,
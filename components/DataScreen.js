@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   StyleSheet,
   Text,
@@ -8,13 +8,55 @@ import {
   ScrollView,
   Alert,
   Modal,
+  TextInput,
 } from 'react-native';
 import * as DocumentPicker from 'expo-document-picker';
 import * as FileSystem from 'expo-file-system/legacy';
-import { calculateAdvancedHRVMetrics, assessHRVQuality } from '../utils/HRVAnalysis';
+import {
+  assessHRVQuality,
+  createHRVAnalysisSteps,
+  analyzeResonanceProtocol,
+  analyzePacerAdherence,
+  patternForBreathingRate,
+  createLabelledSegments,
+  extractSegment,
+  compareSegments
+} from '../utils/HRVAnalysis';
+import { CORRECTION_LEVELS } from '../utils/ArtifactCorrection';
+import { startAnalysisTask, startStepsTask, withinProgress } from '../utils/AnalysisWorker';
+import { base64ToBytesSteps, openWorkbook } from '../utils/XLSXReader';
+import { decodeText, parseCSVSteps } from '../utils/CSVParser';
+import { isCaptureFile, parseCaptureFileSteps } from '../utils/CaptureParser';
+import { detectBeatsSteps } from '../utils/BeatDetection';
+import { PIPELINE_SCHEMAS, detectPipelineSchema, readPipelineTable } from '../utils/PipelineImport';
+import { RR_FORMATS, readRRFile } from '../utils/RRFormats';
+import { hasReferenceTables } from '../utils/HRVNorms';
 import HRVVisualization from './HRVVisualization';
 
-export default function DataScreen({ onBack }) {
+// Columns whose values label blocks of a recording (e.g. "rest", "paced", "vibration")
+const SEGMENT_LABEL_COLUMN = /^(label|segment|condition|block|phase|marker|event)\b/i;
+
+// Data types that carry beat-to-beat intervals
+const CARDIAC_DATA_TYPES = ['secondary_vitals', 'raw_waveform', 'pipeline_ibi', 'rr_recording'];
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+const MAX_SHOWN_WARNINGS = 5;
+
+const PROFILE_SEXES = [
+  { id: 'female', label: 'Female' },
+  { id: 'male', label: 'Male' },
+  { id: null, label: 'Not set' }
+];
+
+export default function DataScreen({
+  onBack,
+  pacedFrequency,
+  resonanceProtocol,
+  pacerSession,
+  onSaveDefaultPattern,
+  userProfile,
+  onSaveProfile
+}) {
   const [selectedFile, setSelectedFile] = useState(null);
   const [fileData, setFileData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -22,6 +64,46 @@ export default function DataScreen({ onBack }) {
   const [showChart, setShowChart] = useState(false);
   const [showHRVVisualization, setShowHRVVisualization] = useState(false);
   const [advancedHRVData, setAdvancedHRVData] = useState(null);
+  const [correctionLevel, setCorrectionLevel] = useState('automatic');
+  const [protocolResult, setProtocolResult] = useState(null);
+  const [adherenceResult, setAdherenceResult] = useState(null);
+  const [sessionOffsets, setSessionOffsets] = useState({}); // { pacer, protocol }: { seconds, source } of each session's start in the recording
+  const [offsetInputs, setOffsetInputs] = useState({ pacer: '', protocol: '' });
+  // Labelled segments: from a label column in the file, or entered by hand
+  const [ibiSeries, setIbiSeries] = useState(null);
+  const [fileSegments, setFileSegments] = useState([]);
+  const [manualSegments, setManualSegments] = useState([]);
+  const [segmentForm, setSegmentForm] = useState({ label: '', start: '', end: '' });
+  const [segmentComparison, setSegmentComparison] = useState(null);
+  const [profileAge, setProfileAge] = useState(userProfile && userProfile.age ? `${userProfile.age}` : '');
+  const [analysisProgress, setAnalysisProgress] = useState(null); // { label, overall } while analysing
+  const analysisTaskRef = useRef(null);
+  const [sheetPicker, setSheetPicker] = useState(null); // { sheets, resolve } while choosing a worksheet
+  // Spectrum imported from the Python pipeline, overlaid on the PSD plot
+  const [importedPSD, setImportedPSD] = useState(null);
+
+  // Saved profile arrives after the first render
+  useEffect(() => {
+    setProfileAge(userProfile && userProfile.age ? `${userProfile.age}` : '');
+  }, [userProfile && userProfile.age]);
+
+  const updateProfile = (changes) => {
+    if (onSaveProfile) {
+      onSaveProfile({ ...userProfile, ...changes });
+    }
+  };
+
+  const saveProfileAge = () => {
+    const age = parseInt(profileAge, 10);
+    updateProfile({ age: isNaN(age) ? null : age });
+  };
+
+  // Stop a running analysis when leaving the screen
+  useEffect(() => () => {
+    if (analysisTaskRef.current) {
+      analysisTaskRef.current.cancel();
+    }
+  }, []);
 
   const pickDocument = async () => {
     try {
@@ -64,191 +146,388 @@ export default function DataScreen({ onBack }) {
     }
   };
 
+  // Full analysis of each segment in turn, through the background runner
+  const analyzeSegmentBlocks = async (ibiData, segments) => {
+    const results = [];
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const { ibiData: segmentIBI } = extractSegment(ibiData, segment);
+      let result = null;
+      if (segmentIBI.length >= 10) {
+        const task = startAnalysisTask(
+          segmentIBI,
+          { artifactCorrection: correctionLevel, pacedFrequency },
+          {
+            onProgress: progress => setAnalysisProgress({
+              label: `${segment.label} (${i + 1}/${segments.length}): ${progress.label}`,
+              overall: (i + progress.overall) / segments.length
+            })
+          }
+        );
+        analysisTaskRef.current = task;
+        result = await task.promise;
+      }
+      results.push({ ...segment, beatCount: segmentIBI.length, result });
+    }
+    return { segments: results, comparison: compareSegments(results) };
+  };
+
+  const compareEnteredSegments = async () => {
+    const segments = manualSegments.length ? manualSegments : fileSegments;
+    try {
+      setIsLoading(true);
+      setSegmentComparison(await analyzeSegmentBlocks(ibiSeries, segments));
+    } catch (error) {
+      if (!error.cancelled) {
+        Alert.alert('Error', 'Failed to compare segments: ' + error.message);
+      }
+    } finally {
+      analysisTaskRef.current = null;
+      setAnalysisProgress(null);
+      setIsLoading(false);
+    }
+  };
+
+  const addManualSegment = () => {
+    const label = segmentForm.label.trim();
+    const start = parseFloat(segmentForm.start);
+    const end = parseFloat(segmentForm.end);
+    if (!label || isNaN(start) || isNaN(end) || end <= start) {
+      Alert.alert('Invalid Segment', 'Enter a label and a start time before the end time (in seconds).');
+      return;
+    }
+    setManualSegments([...manualSegments, { label, start, end }].sort((a, b) => a.start - b.start));
+    setSegmentForm({ label: '', start: '', end: '' });
+  };
+
+  /**
+   * Where a breathing session starts in the recording (s): from the file's start
+   * time when it has one, otherwise assumed to start with the recording
+   */
+  const sessionOffset = (recordingStartedAt, session) => (
+    recordingStartedAt && session && session.startedAt
+      ? { seconds: Math.round((session.startedAt - recordingStartedAt) / 1000), source: 'clock' }
+      : { seconds: 0, source: 'assumed' }
+  );
+
+  /**
+   * Analyse the recorded resonance protocol or pacer session at the given offset
+   */
+  const alignSession = (kind, hrv, offset) => {
+    const options = { offset: offset.seconds, beatTimes: hrv.rawData.beatTimes };
+    if (kind === 'protocol') {
+      setProtocolResult(resonanceProtocol
+        ? analyzeResonanceProtocol(hrv.rawData.ibiValues, resonanceProtocol.steps, options)
+        : null);
+    } else {
+      setAdherenceResult(pacerSession
+        ? analyzePacerAdherence(hrv.rawData.ibiValues, pacerSession, options)
+        : null);
+    }
+    setSessionOffsets(offsets => ({ ...offsets, [kind]: offset }));
+    setOffsetInputs(inputs => ({ ...inputs, [kind]: `${offset.seconds}` }));
+  };
+
+  const applySessionOffset = (kind) => {
+    const seconds = parseFloat(offsetInputs[kind]);
+    if (isNaN(seconds) || !advancedHRVData) {
+      Alert.alert('Invalid Start', 'Enter how many seconds into the recording the session started.');
+      return;
+    }
+    alignSession(kind, advancedHRVData, { seconds, source: 'entered' });
+  };
+
+  /**
+   * Session start line and field for the adherence and resonance cards
+   */
+  const renderSessionStart = (kind) => sessionOffsets[kind] && (
+    <View>
+      <Text style={styles.hrvSummaryText}>
+        ⏱️ {sessionOffsets[kind].source === 'clock'
+          ? `From the file's start time, the session started ${sessionOffsets[kind].seconds} s into the recording.`
+          : sessionOffsets[kind].source === 'entered'
+            ? `Session start set to ${sessionOffsets[kind].seconds} s into the recording.`
+            : 'This file has no start time, so the session is assumed to start with the recording. Enter the start below if it did not.'}
+      </Text>
+      <View style={styles.segmentForm}>
+        <TextInput
+          style={styles.segmentInput}
+          placeholder="Session start s"
+          placeholderTextColor="#666"
+          keyboardType="numbers-and-punctuation"
+          value={offsetInputs[kind]}
+          onChangeText={value => setOffsetInputs({ ...offsetInputs, [kind]: value })}
+        />
+        <TouchableOpacity style={styles.segmentAddButton} onPress={() => applySessionOffset(kind)}>
+          <Text style={styles.buttonText}>↻</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const cancelAnalysis = () => {
+    if (analysisTaskRef.current) {
+      analysisTaskRef.current.cancel();
+    }
+  };
+
   const clearFile = () => {
     setSelectedFile(null);
     setFileData(null);
   };
 
-  const parseXLSXData = async (fileUri) => {
+  /**
+   * Let the user choose a worksheet; resolves with its name, or null if dismissed
+   */
+  const pickWorksheet = (sheets) => new Promise(resolve => {
+    setSheetPicker({ sheets, resolve });
+  });
+
+  const chooseWorksheet = (name) => {
+    if (sheetPicker) sheetPicker.resolve(name);
+    setSheetPicker(null);
+  };
+
+  /**
+   * One row per beat, so the summary and chart show the tachogram
+   */
+  const tachogramTable = (beatTimes, ibiMs) => ({
+    headers: ['Time (s)', 'IBI (mS)'],
+    data: ibiMs.map((ibi, index) => ({
+      'Time (s)': beatTimes ? beatTimes[index] : '',
+      'IBI (mS)': ibi
+    }))
+  });
+
+  /**
+   * Intermediate CSVs of the Python pipeline: beats and intervals are used as
+   * exported (including its artifact correction), a PSD is kept for comparison
+   */
+  const interpretPipelineTable = (schema, headers, data) => {
+    const table = readPipelineTable(schema, data);
+    const label = PIPELINE_SCHEMAS[schema].label;
+    console.log(`Recognised pipeline ${label} file`);
+    
+    if (table.kind === 'psd') {
+      return { headers, data, dataType: 'pipeline_psd', ibiData: null, ibiLabels: null, psd: table };
+    }
+    
+    return {
+      ...tachogramTable(table.beatTimes, table.ibiMs),
+      dataType: 'pipeline_ibi',
+      ibiData: table.ibiMs,
+      ibiLabels: null,
+      beatTimes: table.beatTimes,
+      importedArtifacts: table.artifacts && { ...table.artifacts, label: 'Python pipeline' },
+      pipeline: {
+        label,
+        beatCount: table.ibiMs.length,
+        artifactCount: table.artifacts ? table.artifacts.flags.filter(flag => flag === 'artifact').length : null
+      }
+    };
+  };
+
+  /**
+   * Detect the data type from the column headers and pull out IBI values
+   * (shared by CSV and Excel imports)
+   */
+  const interpretTable = (headers, data) => {
+    const pipelineSchema = detectPipelineSchema(headers);
+    if (pipelineSchema) return interpretPipelineTable(pipelineSchema, headers, data);
+    
+    // Detect data type based on headers - optimized for user's CSV format
+    const isSecondaryVitals = headers.includes('IBI (mS)') || headers.includes('IBI') || 
+                             headers.includes('BV (mS)') || headers.includes('LVET (mS)');
+    const isVitals = headers.includes('HeartRate (bpm)') || headers.includes('Systolic (mmHg)');
+    
+    let ibiData = null;
+    let ibiLabels = null;
+    if (isSecondaryVitals) {
+      // Extract IBI data for HRV analysis - prioritize exact column name
+      const ibiColumn = headers.find(h => h === 'IBI (mS)') || 
+                       headers.find(h => h.includes('IBI'));
+      
+      const labelColumn = headers.find(h => SEGMENT_LABEL_COLUMN.test(h));
+      
+      if (ibiColumn) {
+        // Filter out zero values and invalid entries more carefully
+        ibiData = [];
+        ibiLabels = labelColumn ? [] : null;
+        let pendingLabel = '';
+        data.forEach(row => {
+          const val = row[ibiColumn];
+          // A label on a dropped row still applies to the next valid beat
+          if (labelColumn && row[labelColumn] !== '') pendingLabel = row[labelColumn];
+          if (!(val > 0 && val < 3000 && !isNaN(val))) return; // Typical IBI range 300-2000ms
+          ibiData.push(parseFloat(val));
+          if (labelColumn) {
+            ibiLabels.push(pendingLabel);
+            pendingLabel = '';
+          }
+        });
+        
+        console.log(`Found ${ibiData.length} valid IBI values from column "${ibiColumn}"`);
+        console.log('IBI sample values:', ibiData.slice(0, 10));
+      } else {
+        console.log('IBI column not found in headers:', headers);
+      }
+    }
+    
+    return { 
+      headers, 
+      data, 
+      dataType: isSecondaryVitals ? 'secondary_vitals' : isVitals ? 'vitals' : 'unknown',
+      ibiData,
+      ibiLabels
+    };
+  };
+
+  /**
+   * Read a worksheet of an Excel file (generator: waits on the worksheet picker
+   * and yields 'parsing' progress while the sheet is unpacked)
+   */
+  const parseXLSXData = function* (bytes) {
     try {
-      console.log('Reading XLSX file from URI:', fileUri);
+      // Unpack the workbook
+      const workbook = openWorkbook(bytes);
+      console.log('Worksheets:', workbook.sheets.map(sheet => sheet.name));
       
-      // Read Excel file as base64
-      const base64Data = await FileSystem.readAsStringAsync(fileUri, {
-        encoding: 'base64',
-      });
+      const sheetName = workbook.sheets.length > 1
+        ? yield pickWorksheet(workbook.sheets.map(sheet => sheet.name))
+        : workbook.sheets[0].name;
+      if (!sheetName) return null;
       
-      console.log('XLSX file size (base64):', base64Data.length);
+      const { headers, data } = yield* withinProgress(workbook.readSheetSteps(sheetName), 0.3, 1);
+      console.log(`Sheet "${sheetName}" headers:`, headers);
+      console.log('Parsed data rows:', data.length);
       
-      // Simple XLSX parsing - this is a basic implementation
-      // For production, you might want to use a more robust library
-      try {
-        // Convert base64 to binary
-        const binaryString = atob(base64Data);
-        
-        // Look for worksheet data (this is a simplified approach)
-        // XLSX files contain XML data that we can extract
-        const sharedStringsMatch = binaryString.match(/<si><t[^>]*>([^<]*)<\/t><\/si>/g);
-        const cellDataMatch = binaryString.match(/<c[^>]*r="[A-Z]+\d+"[^>]*><v>([^<]*)<\/v><\/c>/g);
-        
-        if (!cellDataMatch) {
-          Alert.alert('Parse Error', 'Could not find data in XLSX file. Try using a CSV file instead.');
-          return null;
-        }
-        
-        // Extract cell values (simplified)
-        const values = cellDataMatch.map(match => {
-          const valueMatch = match.match(/<v>([^<]*)<\/v>/);
-          return valueMatch ? parseFloat(valueMatch[1]) || valueMatch[1] : '';
-        }).filter(val => val !== '');
-        
-        console.log('Extracted values:', values.slice(0, 10));
-        
-        if (values.length === 0) {
-          Alert.alert('No Data', 'No numeric data found in XLSX file.');
-          return null;
-        }
-        
-        // Create simple data structure
-        const headers = ['Value'];
-        const data = values.map((value, index) => ({ Value: value }));
-        
-        return { headers, data };
-        
-      } catch (parseError) {
-        console.error('XLSX parsing error:', parseError);
-        Alert.alert('Parse Error', 'Could not parse XLSX file. Please try a CSV file instead.');
+      if (data.length === 0) {
+        Alert.alert('No Data', `The worksheet "${sheetName}" has no data rows.`);
         return null;
       }
       
+      return { ...interpretTable(headers, data), sheetName };
     } catch (error) {
-      console.error('XLSX reading error:', error);
-      Alert.alert('File Error', `Failed to read XLSX file: ${error.message}`);
+      console.error('Excel parsing error:', error);
+      Alert.alert('Parse Error', `Could not read the Excel file: ${error.message}`);
       return null;
     }
   };
 
-  const calculateHRVMetrics = (ibiData) => {
-    if (!ibiData || ibiData.length < 2) return null;
+  /**
+   * Read a START_CAPTURE waveform file and detect its heartbeats
+   * (generator: yields 'parsing' progress)
+   */
+  const parseWaveformCapture = function* (text, encoding) {
+    const capture = yield* withinProgress(parseCaptureFileSteps(text), 0.3, 0.8);
+    console.log('Capture metadata:', capture.metadata);
+    console.log('Capture columns:', capture.headers, 'samples:', capture.sampleCount);
     
-    // Filter out zero values and convert to numbers
-    const validIBI = ibiData.filter(val => val > 0 && !isNaN(val));
-    if (validIBI.length < 2) return null;
+    const beats = yield* withinProgress(detectBeatsSteps(capture.columns), 0.8, 1);
+    console.log(`Detected ${beats.peakIndices.length} beats in "${beats.column}" at ${beats.sampleRate} Hz`);
     
-    // Calculate successive differences
-    const successiveDiffs = [];
-    for (let i = 1; i < validIBI.length; i++) {
-      successiveDiffs.push(Math.abs(validIBI[i] - validIBI[i-1]));
+    if (beats.ibiMs.length < 2) {
+      Alert.alert(
+        'No Heartbeats Found',
+        `Could not find a pulse in the "${beats.column}" signal. Check the sensor placement and record again.`
+      );
+      return null;
     }
     
-    // RMSSD (Root Mean Square of Successive Differences)
-    const sumSquaredDiffs = successiveDiffs.reduce((sum, diff) => sum + (diff * diff), 0);
-    const rmssd = Math.sqrt(sumSquaredDiffs / successiveDiffs.length);
-    
-    // SDNN (Standard Deviation of NN intervals)
-    const mean = validIBI.reduce((sum, val) => sum + val, 0) / validIBI.length;
-    const variance = validIBI.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / validIBI.length;
-    const sdnn = Math.sqrt(variance);
-    
-    // pNN50 (percentage of intervals >50ms different from previous)
-    const nn50 = successiveDiffs.filter(diff => diff > 50).length;
-    const pnn50 = (nn50 / successiveDiffs.length) * 100;
-    
-    // Heart Rate Variability Index
-    const hrvIndex = sdnn / mean * 1000; // Normalized HRV index
-    
     return {
-      rmssd: Math.round(rmssd * 100) / 100,
-      sdnn: Math.round(sdnn * 100) / 100,
-      pnn50: Math.round(pnn50 * 100) / 100,
-      hrvIndex: Math.round(hrvIndex * 100) / 100,
-      meanIBI: Math.round(mean * 100) / 100,
-      validSamples: validIBI.length
+      ...tachogramTable(beats.beatTimes, beats.ibiMs),
+      dataType: 'raw_waveform',
+      ibiData: beats.ibiMs.filter(ibi => ibi > 0 && ibi < 3000),
+      ibiLabels: null,
+      waveform: {
+        metadata: capture.metadata,
+        column: beats.column,
+        sampleRate: beats.sampleRate,
+        duration: beats.duration,
+        sampleCount: capture.sampleCount,
+        beatCount: beats.peakIndices.length
+      },
+      parseReport: {
+        encoding,
+        delimiter: ',',
+        decimalSeparator: '.',
+        warnings: capture.warnings,
+        warningCount: capture.warningCount
+      }
     };
   };
 
-  const parseCSVData = async (fileUri) => {
+  /**
+   * Beat-to-beat exports of other devices and tools (RR text, Kubios, EDF+, Polar HRM),
+   * recognised from the file contents whatever the extension
+   * @returns {Object|null|false} Parsed data, null when parsing failed, false when the
+   *   file is not one of these formats
+   */
+  const parseRRData = (bytes) => {
     try {
-      console.log('Reading file from URI:', fileUri);
+      const recording = readRRFile(bytes);
+      if (!recording) return false;
       
-      // Read CSV file as text
-      const text = await FileSystem.readAsStringAsync(fileUri, {
-        encoding: 'utf8',
-      });
+      const label = RR_FORMATS[recording.source].label;
+      console.log(`Recognised ${label} file:`, recording.ibiMs.length, 'intervals', recording.metadata);
+      
+      return {
+        ...tachogramTable(recording.beatTimes, recording.ibiMs),
+        dataType: 'rr_recording',
+        ibiData: recording.ibiMs.filter(ibi => ibi > 0 && ibi < 3000),
+        ibiLabels: null,
+        beatTimes: recording.ibiMs.every(ibi => ibi > 0 && ibi < 3000) ? recording.beatTimes : null,
+        recordingStartedAt: recording.metadata.startedAt || null,
+        rrRecording: {
+          label,
+          metadata: recording.metadata,
+          beatCount: recording.ibiMs.length
+        },
+        parseReport: {
+          format: label,
+          warnings: recording.warnings.slice(0, 100),
+          warningCount: recording.warnings.length
+        }
+      };
+    } catch (error) {
+      console.error('RR file parsing error:', error);
+      Alert.alert('Parse Error', `Failed to read the RR interval file: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Read a CSV or text file (generator: yields 'parsing' progress)
+   */
+  const parseCSVData = function* (bytes) {
+    try {
+      // Decode the raw bytes so the encoding is detected rather than assumed
+      const { text, encoding } = decodeText(bytes);
       
-      console.log('File content length:', text.length);
+      console.log('File content length:', text.length, 'encoding:', encoding);
       console.log('First 200 chars:', text.substring(0, 200));
       
-      const lines = text.split('\n').filter(line => line.trim());
-      console.log('Number of lines:', lines.length);
+      // Pressure-sensor captures from the Arduino sketches hold a waveform, not rows of vitals
+      if (isCaptureFile(text)) {
+        return yield* parseWaveformCapture(text, encoding);
+      }
+      
+      const { headers, data, delimiter, decimalSeparator, warnings, warningCount } =
+        yield* withinProgress(parseCSVSteps(text), 0.3, 1);
+      console.log('Headers:', headers, 'delimiter:', JSON.stringify(delimiter), 'decimal:', decimalSeparator);
       
-      if (lines.length < 2) {
+      if (data.length === 0) {
         console.log('Not enough lines in CSV');
         return null;
       }
       
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      console.log('Headers:', headers);
-      
-      const data = lines.slice(1).map((line, lineIndex) => {
-        const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-        const row = {};
-        headers.forEach((header, index) => {
-          const value = values[index] || '';
-          // Try to parse as number, otherwise keep as string
-          const numValue = parseFloat(value);
-          row[header] = isNaN(numValue) || value === '' ? value : numValue;
-        });
-        return row;
-      }).filter(row => Object.values(row).some(val => val !== ''));
-      
       console.log('Parsed data rows:', data.length);
       console.log('Sample row:', data[0]);
+      if (warningCount) console.log(`${warningCount} parse warnings, first:`, warnings[0]);
       
-      // Detect data type based on headers - optimized for user's CSV format
-      const isSecondaryVitals = headers.includes('IBI (mS)') || headers.includes('IBI') || 
-                               headers.includes('BV (mS)') || headers.includes('LVET (mS)');
-      const isVitals = headers.includes('HeartRate (bpm)') || headers.includes('Systolic (mmHg)');
-      
-      let hrvMetrics = null;
-      let advancedHRV = null;
-      if (isSecondaryVitals) {
-        // Extract IBI data for HRV analysis - prioritize exact column name
-        const ibiColumn = headers.find(h => h === 'IBI (mS)') || 
-                         headers.find(h => h.includes('IBI'));
-        
-        if (ibiColumn) {
-          // Filter out zero values and invalid entries more carefully
-          const ibiData = data
-            .map(row => row[ibiColumn])
-            .filter(val => val > 0 && val < 3000 && !isNaN(val)) // Typical IBI range 300-2000ms
-            .map(val => parseFloat(val));
-          
-          console.log(`Found ${ibiData.length} valid IBI values from column "${ibiColumn}"`);
-          console.log('IBI sample values:', ibiData.slice(0, 10));
-          
-          if (ibiData.length >= 10) {
-            hrvMetrics = calculateHRVMetrics(ibiData);
-            advancedHRV = calculateAdvancedHRVMetrics(ibiData);
-            console.log('Basic HRV Metrics:', hrvMetrics);
-            console.log('Advanced HRV Analysis:', advancedHRV);
-            
-            // Store advanced HRV data for visualization
-            setAdvancedHRVData(advancedHRV);
-          } else {
-            console.log('Insufficient IBI data for HRV analysis');
-          }
-        } else {
-          console.log('IBI column not found in headers:', headers);
-        }
-      }
-      
-      return { 
-        headers, 
-        data, 
-        dataType: isSecondaryVitals ? 'secondary_vitals' : isVitals ? 'vitals' : 'unknown',
-        hrvMetrics,
-        advancedHRV 
+      return {
+        ...interpretTable(headers, data),
+        parseReport: { encoding, delimiter, decimalSeparator, warnings, warningCount }
       };
     } catch (error) {
       console.error('CSV parsing error:', error);
@@ -257,6 +536,68 @@ export default function DataScreen({ onBack }) {
     }
   };
 
+  /**
+   * Read, parse and analyse a file as one background task (see startStepsTask):
+   * yields the 'parsing' stage and then the analysis stages
+   * @returns {Object|null} { parsedData, advancedHRV }, or null for an unsupported file type
+   */
+  const fileAnalysisSteps = function* (file) {
+    console.log('Selected file:', file.name, 'MIME type:', file.mimeType);
+    
+    // Read the file once; every parser works from its bytes
+    console.log('Reading file from URI:', file.uri);
+    yield { stage: 'parsing', progress: 0 };
+    const base64Data = yield FileSystem.readAsStringAsync(file.uri, {
+      encoding: 'base64',
+    });
+    const bytes = yield* withinProgress(base64ToBytesSteps(base64Data), 0, 0.3);
+    
+    // Handle both CSV and XLSX files
+    let parsedData = null;
+    
+    // Beat-to-beat exports are recognised by their contents before the extension is looked at
+    const rrData = parseRRData(bytes);
+    
+    if (rrData !== false) {
+      console.log('Processing as RR interval file');
+      parsedData = rrData;
+    } else if (file.name.toLowerCase().endsWith('.csv') || 
+               file.name.toLowerCase().endsWith('.txt') || 
+               file.mimeType === 'text/plain' || 
+               file.mimeType === 'text/csv' || 
+               file.mimeType === 'application/csv' || 
+               file.mimeType === 'text/comma-separated-values') {
+      console.log('Processing as CSV file');
+      parsedData = yield* parseCSVData(bytes);
+    } else if (file.name.toLowerCase().endsWith('.xlsx') || 
+               file.name.toLowerCase().endsWith('.xls') ||
+               file.mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+               file.mimeType === 'application/vnd.ms-excel') {
+      console.log('Processing as Excel file');
+      parsedData = yield* parseXLSXData(bytes);
+    } else {
+      Alert.alert(
+        'Unsupported File Type',
+        'Please select a CSV (.csv), Excel (.xlsx, .xls), RR interval (.txt, .hrm) or EDF+ (.edf) file.',
+        [{ text: 'OK' }]
+      );
+      return null;
+    }
+    
+    // A pipeline PSD has no beats to analyse
+    let advancedHRV = null;
+    if (parsedData && parsedData.dataType !== 'pipeline_psd' &&
+        parsedData.ibiData && parsedData.ibiData.length >= 10) {
+      advancedHRV = yield* createHRVAnalysisSteps(parsedData.ibiData, {
+        artifactCorrection: correctionLevel,
+        importedArtifacts: parsedData.importedArtifacts || undefined,
+        beatTimes: parsedData.beatTimes || undefined,
+        pacedFrequency
+      });
+    }
+    return { parsedData, advancedHRV };
+  };
+
   const analyzeFile = async () => {
     if (!selectedFile) {
       Alert.alert('No File', 'Please select a file first.');
@@ -265,34 +606,51 @@ export default function DataScreen({ onBack }) {
     
     try {
       setIsLoading(true);
+      setAnalysisProgress({ label: 'Reading file', overall: 0 });
       
-      // For now, only handle CSV files
-      console.log('Selected file:', selectedFile.name, 'MIME type:', selectedFile.mimeType);
-      
-      // Handle both CSV and XLSX files
-      let parsedData = null;
+      // Parsing and HRV analysis run in background slices so progress and Cancel stay responsive
+      const task = startStepsTask(fileAnalysisSteps(selectedFile), { onProgress: setAnalysisProgress });
+      analysisTaskRef.current = task;
+      const result = await task.promise;
+      if (!result) return;
+      const { parsedData, advancedHRV } = result;
       
-      if (selectedFile.name.toLowerCase().endsWith('.csv') || 
-          selectedFile.mimeType === 'text/csv' || 
-          selectedFile.mimeType === 'application/csv' || 
-          selectedFile.mimeType === 'text/comma-separated-values') {
-        console.log('Processing as CSV file');
-        parsedData = await parseCSVData(selectedFile.uri);
-      } else if (selectedFile.name.toLowerCase().endsWith('.xlsx') || 
-                 selectedFile.name.toLowerCase().endsWith('.xls') ||
-                 selectedFile.mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-                 selectedFile.mimeType === 'application/vnd.ms-excel') {
-        console.log('Processing as XLSX file');
-        parsedData = await parseXLSXData(selectedFile.uri);
-      } else {
+      // A pipeline PSD is kept to overlay on the current analysis
+      if (parsedData && parsedData.dataType === 'pipeline_psd') {
+        setImportedPSD({ ...parsedData.psd, source: selectedFile.name });
         Alert.alert(
-          'Unsupported File Type',
-          'Please select a CSV (.csv) or Excel (.xlsx, .xls) file.',
-          [{ text: 'OK' }]
+          'PSD Imported',
+          advancedHRVData
+            ? 'The Python PSD is now drawn over the app\'s spectrum in the PSD Plot tab.'
+            : 'Analyze an IBI file to compare this PSD with the app\'s spectrum in the PSD Plot tab.'
         );
         return;
       }
       
+      if (parsedData && parsedData.ibiData && parsedData.ibiData.length >= 10) {
+        console.log('Advanced HRV Analysis:', advancedHRV);
+        
+        // Store advanced HRV data for visualization
+        setAdvancedHRVData(advancedHRV);
+        
+        // Rank the resonance finder's rates and score the last session's pacer, lining
+        // each session up with the recording by the file's start time when it has one
+        const startedAt = parsedData.recordingStartedAt || null;
+        alignSession('protocol', advancedHRV, sessionOffset(startedAt, resonanceProtocol));
+        alignSession('pacer', advancedHRV, sessionOffset(startedAt, pacerSession));
+        
+        // Per-segment analysis when the file labels its blocks (or segments were entered)
+        const labelledSegments = parsedData.ibiLabels
+          ? createLabelledSegments(parsedData.ibiLabels, null, parsedData.ibiData)
+          : [];
+        const segments = manualSegments.length ? manualSegments : labelledSegments;
+        setIbiSeries(parsedData.ibiData);
+        setFileSegments(labelledSegments);
+        setSegmentComparison(segments.length >= 2 ? await analyzeSegmentBlocks(parsedData.ibiData, segments) : null);
+      } else if (parsedData && parsedData.ibiData) {
+        console.log('Insufficient IBI data for HRV analysis');
+      }
+      
       if (parsedData) {
         // Find numeric columns for charting - prioritize IBI column for secondary vitals
         const numericColumns = parsedData.headers.filter(header => {
@@ -302,7 +660,7 @@ export default function DataScreen({ onBack }) {
         if (numericColumns.length > 0) {
           // For secondary vitals, prioritize IBI column for main chart display
           let firstNumericCol;
-          if (parsedData.dataType === 'secondary_vitals') {
+          if (CARDIAC_DATA_TYPES.includes(parsedData.dataType)) {
             const ibiColumn = parsedData.headers.find(h => h === 'IBI (mS)') || 
                              parsedData.headers.find(h => h.includes('IBI'));
             firstNumericCol = ibiColumn && numericColumns.includes(ibiColumn) ? ibiColumn : numericColumns[0];
@@ -317,21 +675,10 @@ export default function DataScreen({ onBack }) {
             .filter(point => !isNaN(point.y))
             .slice(0, 50); // Limit to first 50 points for performance
           
+          // HRV insights come from the normative reference ranges at render time,
+          // so they follow profile changes
           const wellnessInsights = [];
-          if (parsedData.dataType === 'secondary_vitals') {
-            if (parsedData.hrvMetrics) {
-              if (parsedData.hrvMetrics.rmssd > 50) {
-                wellnessInsights.push('Your heart rate variability is high, indicating good parasympathetic activity.');
-              } else {
-                wellnessInsights.push('Your heart rate variability is low, indicating potential stress or fatigue.');
-              }
-              if (parsedData.hrvMetrics.sdnn > 50) {
-                wellnessInsights.push('Your overall heart rate variability is high, indicating good cardiovascular fitness.');
-              } else {
-                wellnessInsights.push('Your overall heart rate variability is low, indicating potential cardiovascular risk.');
-              }
-            }
-          } else if (parsedData.dataType === 'vitals') {
+          if (parsedData.dataType === 'vitals') {
             if (parsedData.data.some(row => row[firstNumericCol] > 100)) {
               wellnessInsights.push('Your heart rate is elevated, indicating potential stress or physical activity.');
             } else {
@@ -345,10 +692,14 @@ export default function DataScreen({ onBack }) {
             minY: Math.min(...chartPoints.map(p => p.y)),
             maxY: Math.max(...chartPoints.map(p => p.y)),
             avgY: (chartPoints.reduce((sum, p) => sum + p.y, 0) / chartPoints.length),
-            hrvMetrics: parsedData.hrvMetrics,
             dataType: parsedData.dataType,
+            sheetName: parsedData.sheetName || null,
+            parseReport: parsedData.parseReport || null,
+            waveform: parsedData.waveform || null,
+            pipeline: parsedData.pipeline || null,
+            rrRecording: parsedData.rrRecording || null,
             wellnessInsights,
-            hasAdvancedHRV: !!parsedData.advancedHRV
+            hasAdvancedHRV: !!advancedHRV
           });
           setShowChart(true);
         } else {
@@ -358,8 +709,12 @@ export default function DataScreen({ onBack }) {
         Alert.alert('Parse Error', 'Could not parse the selected file.');
       }
     } catch (error) {
-      Alert.alert('Error', 'Failed to analyze file: ' + error.message);
+      if (!error.cancelled) {
+        Alert.alert('Error', 'Failed to analyze file: ' + error.message);
+      }
     } finally {
+      analysisTaskRef.current = null;
+      setAnalysisProgress(null);
       setIsLoading(false);
     }
   };
@@ -382,7 +737,7 @@ export default function DataScreen({ onBack }) {
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>📁 File Selection</Text>
           <Text style={styles.sectionDescription}>
-            Select Excel (.xlsx, .xls) or CSV files from your device
+            Select Excel (.xlsx, .xls), CSV, RR interval (.txt, .hrm) or EDF+ files from your device
           </Text>
           
           <TouchableOpacity
@@ -390,9 +745,7 @@ export default function DataScreen({ onBack }) {
             onPress={pickDocument}
             disabled={isLoading}
           >
-            <Text style={styles.buttonText}>
-              {isLoading ? 'Selecting...' : '📂 Select File'}
-            </Text>
+            <Text style={styles.buttonText}>📂 Select File</Text>
           </TouchableOpacity>
         </View>
 
@@ -410,6 +763,47 @@ export default function DataScreen({ onBack }) {
               </Text>
             </View>
 
+            {/* Artifact Correction Level */}
+            <Text style={styles.levelTitle}>Artifact correction</Text>
+            <View style={styles.levelRow}>
+              {Object.entries(CORRECTION_LEVELS).map(([level, { label }]) => (
+                <TouchableOpacity
+                  key={level}
+                  style={[styles.levelChip, correctionLevel === level && styles.levelChipActive]}
+                  onPress={() => setCorrectionLevel(level)}
+                >
+                  <Text style={styles.levelChipText}>{label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Profile for normative reference ranges (only asked for when a table is bundled) */}
+            {hasReferenceTables() && (
+              <View>
+                <Text style={styles.levelTitle}>Your profile (reference ranges)</Text>
+                <View style={styles.levelRow}>
+                  <TextInput
+                    style={styles.profileAgeInput}
+                    placeholder="Age"
+                    placeholderTextColor="#666"
+                    keyboardType="numeric"
+                    value={profileAge}
+                    onChangeText={setProfileAge}
+                    onEndEditing={saveProfileAge}
+                  />
+                  {PROFILE_SEXES.map(({ id, label }) => (
+                    <TouchableOpacity
+                      key={label}
+                      style={[styles.levelChip, (userProfile ? userProfile.sex : null) === id && styles.levelChipActive]}
+                      onPress={() => updateProfile({ sex: id })}
+                    >
+                      <Text style={styles.levelChipText}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
             <View style={styles.buttonRow}>
               <TouchableOpacity
                 style={[styles.button, styles.secondaryButton]}
@@ -421,15 +815,31 @@ export default function DataScreen({ onBack }) {
               <TouchableOpacity
                 style={[styles.button, styles.primaryButton]}
                 onPress={analyzeFile}
+                disabled={isLoading}
               >
                 <Text style={styles.buttonText}>📊 Analyze</Text>
               </TouchableOpacity>
             </View>
+
+            {/* Analysis Progress */}
+            {analysisProgress && (
+              <View style={styles.progressContainer}>
+                <Text style={styles.progressLabel}>
+                  {analysisProgress.label} • {Math.round(analysisProgress.overall * 100)}%
+                </Text>
+                <View style={styles.progressTrack}>
+                  <View style={[styles.progressFill, { width: `${Math.round(analysisProgress.overall * 100)}%` }]} />
+                </View>
+                <TouchableOpacity style={styles.cancelButton} onPress={cancelAnalysis}>
+                  <Text style={styles.cancelButtonText}>✕ Cancel</Text>
+                </TouchableOpacity>
+              </View>
+            )}
           </View>
         )}
 
         {/* Enhanced HRV Analysis */}
-        {showChart && chartData && chartData.hrvMetrics && (
+        {showChart && chartData && advancedHRVData && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>❤️ Advanced HRV Analysis</Text>
             <Text style={styles.sectionDescription}>
@@ -440,12 +850,12 @@ export default function DataScreen({ onBack }) {
             <View style={styles.hrvMetricsContainer}>
               <View style={styles.hrvMetricRow}>
                 <View style={styles.hrvMetric}>
-                  <Text style={styles.hrvMetricValue}>{chartData.hrvMetrics.rmssd}</Text>
+                  <Text style={styles.hrvMetricValue}>{advancedHRVData.timeDomain.rmssd}</Text>
                   <Text style={styles.hrvMetricLabel}>RMSSD (ms)</Text>
                   <Text style={styles.hrvMetricDesc}>Parasympathetic activity</Text>
                 </View>
                 <View style={styles.hrvMetric}>
-                  <Text style={styles.hrvMetricValue}>{chartData.hrvMetrics.sdnn}</Text>
+                  <Text style={styles.hrvMetricValue}>{advancedHRVData.timeDomain.sdnn}</Text>
                   <Text style={styles.hrvMetricLabel}>SDNN (ms)</Text>
                   <Text style={styles.hrvMetricDesc}>Overall HRV</Text>
                 </View>
@@ -453,12 +863,12 @@ export default function DataScreen({ onBack }) {
               
               <View style={styles.hrvMetricRow}>
                 <View style={styles.hrvMetric}>
-                  <Text style={styles.hrvMetricValue}>{chartData.hrvMetrics.pnn50}%</Text>
+                  <Text style={styles.hrvMetricValue}>{advancedHRVData.timeDomain.pnn50}%</Text>
                   <Text style={styles.hrvMetricLabel}>pNN50</Text>
                   <Text style={styles.hrvMetricDesc}>Stress indicator</Text>
                 </View>
                 <View style={styles.hrvMetric}>
-                  <Text style={styles.hrvMetricValue}>{chartData.hrvMetrics.hrvIndex}</Text>
+                  <Text style={styles.hrvMetricValue}>{advancedHRVData.timeDomain.hrvIndex}</Text>
                   <Text style={styles.hrvMetricLabel}>HRV Index</Text>
                   <Text style={styles.hrvMetricDesc}>Normalized variability</Text>
                 </View>
@@ -480,19 +890,84 @@ export default function DataScreen({ onBack }) {
                 </View>
               )}
               
+              {advancedHRVData && advancedHRVData.resonance && (
+                <View style={styles.hrvMetricRow}>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>{advancedHRVData.resonance.resonanceScore}</Text>
+                    <Text style={styles.hrvMetricLabel}>Resonance Score</Text>
+                    <Text style={styles.hrvMetricDesc}>
+                      {advancedHRVData.resonance.pacedFrequency ? '% of power at pacer' : '% of power in peak'}
+                    </Text>
+                  </View>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>{advancedHRVData.resonance.peakFrequency}</Text>
+                    <Text style={styles.hrvMetricLabel}>Peak (Hz)</Text>
+                    <Text style={styles.hrvMetricDesc}>
+                      {(advancedHRVData.resonance.peakFrequency * 60).toFixed(1)} breaths/min
+                    </Text>
+                  </View>
+                </View>
+              )}
+              
               <View style={styles.hrvSummary}>
                 <Text style={styles.hrvSummaryText}>
-                  📊 Analysis based on {chartData.hrvMetrics.validSamples} valid IBI samples
+                  📊 Analysis based on {advancedHRVData.rawData.sampleCount} valid IBI samples
                 </Text>
                 <Text style={styles.hrvSummaryText}>
-                  💓 Mean IBI: {chartData.hrvMetrics.meanIBI} ms
+                  💓 Mean IBI: {advancedHRVData.timeDomain.meanNN} ms
                 </Text>
                 {advancedHRVData && (
                   <Text style={styles.hrvSummaryText}>
                     ⏱️ Recording duration: {(advancedHRVData.rawData.duration / 60).toFixed(1)} minutes
                   </Text>
                 )}
+                {advancedHRVData && advancedHRVData.artifacts && (
+                  <Text style={styles.hrvSummaryText}>
+                    🩹 Artifact correction ({advancedHRVData.artifacts.levelLabel}): {advancedHRVData.artifacts.artifactCount} beats ({advancedHRVData.artifacts.artifactPercent}%)
+                  </Text>
+                )}
+                {importedPSD && (
+                  <Text style={styles.hrvSummaryText}>
+                    🐍 Python PSD from {importedPSD.source} overlaid on the PSD plot{' '}
+                    <Text style={styles.linkText} onPress={() => setImportedPSD(null)}>Remove</Text>
+                  </Text>
+                )}
+                {advancedHRVData && advancedHRVData.resonance && (
+                  <Text style={styles.hrvSummaryText}>
+                    🫁 Coherence ratio: {advancedHRVData.resonance.coherenceRatio ?? '—'}
+                    {advancedHRVData.resonance.pacedFrequency
+                      ? ` • Paced at ${advancedHRVData.resonance.pacedFrequency.toFixed(3)} Hz (${Math.round(advancedHRVData.resonance.pacedPowerRatio * 100)}% of power)`
+                      : ''}
+                  </Text>
+                )}
+                {advancedHRVData && advancedHRVData.respiration && !advancedHRVData.respiration.insufficientData && (
+                  <Text style={styles.hrvSummaryText}>
+                    🌬️ Breathing rate from heart rhythm: {advancedHRVData.respiration.rate} breaths/min (confidence {Math.round(advancedHRVData.respiration.confidence * 100)}%)
+                    {pacedFrequency ? ` • Pacer ${(pacedFrequency * 60).toFixed(1)} breaths/min` : ''}
+                  </Text>
+                )}
+                {advancedHRVData && advancedHRVData.respiration && !advancedHRVData.respiration.insufficientData &&
+                  advancedHRVData.respiration.confidence < 0.5 && (
+                  <Text style={styles.hrvSummaryText}>
+                    ⚠️ Low confidence - treat the breathing rate as a rough estimate
+                    {advancedHRVData.respiration.spectralRate !== null &&
+                      Math.abs(advancedHRVData.respiration.rate - advancedHRVData.respiration.spectralRate) >= 0.5
+                      ? ` • The spectrum peaks at ${advancedHRVData.respiration.spectralRate} breaths/min`
+                      : ''}
+                    {advancedHRVData.respiration.competingRate !== null
+                      ? ` • A second rhythm at ${advancedHRVData.respiration.competingRate}/min (slow blood-pressure waves or uneven breathing)`
+                      : ''}
+                  </Text>
+                )}
               </View>
+              
+              {advancedHRVData && advancedHRVData.artifacts && advancedHRVData.artifacts.artifactPercent > 5 && (
+                <View style={styles.warningBox}>
+                  <Text style={styles.warningText}>
+                    ⚠️ {advancedHRVData.artifacts.artifactPercent}% of beats were corrected. Results above 5% correction may be unreliable - consider re-recording with better sensor contact.
+                  </Text>
+                </View>
+              )}
             </View>
             
             {/* Visualization Button */}
@@ -509,12 +984,216 @@ export default function DataScreen({ onBack }) {
           </View>
         )}
 
+        {/* Pacer Adherence */}
+        {showChart && adherenceResult && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>🎐 Pacer Adherence</Text>
+            <Text style={styles.sectionDescription}>
+              How closely your heart rhythm followed the breathing pacer in your last session.
+            </Text>
+            {renderSessionStart('pacer')}
+            
+            {adherenceResult.insufficientData ? (
+              <Text style={styles.hrvSummaryText}>{adherenceResult.reason}</Text>
+            ) : (
+              <View>
+                <View style={styles.hrvMetricRow}>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>{adherenceResult.adherenceScore}</Text>
+                    <Text style={styles.hrvMetricLabel}>Adherence Score</Text>
+                    <Text style={styles.hrvMetricDesc}>0-100</Text>
+                  </View>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>{adherenceResult.percentEntrained}%</Text>
+                    <Text style={styles.hrvMetricLabel}>Time Entrained</Text>
+                    <Text style={styles.hrvMetricDesc}>Phase-locked to pacer</Text>
+                  </View>
+                </View>
+                <View style={styles.hrvMetricRow}>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>{adherenceResult.phaseCoherence}</Text>
+                    <Text style={styles.hrvMetricLabel}>Phase Coherence</Text>
+                    <Text style={styles.hrvMetricDesc}>1 = perfectly locked</Text>
+                  </View>
+                  <View style={styles.hrvMetric}>
+                    <Text style={styles.hrvMetricValue}>
+                      {adherenceResult.rateError === null ? '—' : `${adherenceResult.rateError > 0 ? '+' : ''}${adherenceResult.rateError}`}
+                    </Text>
+                    <Text style={styles.hrvMetricLabel}>Rate Error</Text>
+                    <Text style={styles.hrvMetricDesc}>breaths/min vs pacer</Text>
+                  </View>
+                </View>
+                {adherenceResult.targetFrequency !== null && (
+                  <Text style={styles.hrvSummaryText}>
+                    🎯 Target {(adherenceResult.targetFrequency * 60).toFixed(1)} breaths/min • Heart rhythm peaked at {(adherenceResult.dominantFrequency * 60).toFixed(1)} breaths/min
+                  </Text>
+                )}
+              </View>
+            )}
+          </View>
+        )}
+
+        {/* Resonance Frequency Finder */}
+        {showChart && protocolResult && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>🎯 Resonance Frequency Finder</Text>
+            <Text style={styles.sectionDescription}>
+              Breathing rates from your last stepped protocol, ranked by LF power and spectral peak amplitude.
+            </Text>
+            {renderSessionStart('protocol')}
+            
+            {protocolResult.steps.map(step => (
+              <View
+                key={step.rate}
+                style={[styles.protocolRow, protocolResult.best && step.rate === protocolResult.best.rate && styles.protocolRowBest]}
+              >
+                <Text style={styles.protocolRate}>{step.rate} /min</Text>
+                {step.insufficientData ? (
+                  <Text style={styles.protocolDetail}>{step.reason}</Text>
+                ) : (
+                  <Text style={styles.protocolDetail}>
+                    #{step.rank} • LF {step.lfPower} ms² • Peak {step.peakAmplitude} ms²/Hz @ {step.peakFrequency} Hz
+                  </Text>
+                )}
+              </View>
+            ))}
+            
+            {protocolResult.best ? (
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={[styles.button, styles.primaryButton]}
+                  onPress={async () => {
+                    await onSaveDefaultPattern(patternForBreathingRate(protocolResult.best.rate));
+                    Alert.alert('Pattern Saved', `${protocolResult.best.rate} breaths/min is now your default breathing pattern.`);
+                  }}
+                >
+                  <Text style={styles.buttonText}>💾 Save {protocolResult.best.rate} breaths/min as Default</Text>
+                </TouchableOpacity>
+              </View>
+            ) : (
+              <Text style={styles.hrvSummaryText}>
+                No step had enough beats to analyse - make sure the recording covers the whole protocol.
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Segment Comparison */}
+        {showChart && ibiSeries && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>🧪 Block Comparison</Text>
+            <Text style={styles.sectionDescription}>
+              {fileSegments.length && !manualSegments.length
+                ? 'Blocks labelled in the file. Add segments below to override them.'
+                : 'Mark blocks of the recording (e.g. rest, paced breathing, vibration) by time to compare them. The first label is the baseline.'}
+            </Text>
+            
+            {(manualSegments.length ? manualSegments : fileSegments).map((segment, index) => (
+              <View key={`${segment.label}-${segment.start}`} style={styles.protocolRow}>
+                <Text style={styles.protocolRate}>{segment.label}</Text>
+                <Text style={styles.protocolDetail}>
+                  {Math.round(segment.start)}s - {Math.round(segment.end)}s
+                </Text>
+                {manualSegments.length > 0 && (
+                  <TouchableOpacity onPress={() => setManualSegments(manualSegments.filter((_, i) => i !== index))}>
+                    <Text style={styles.segmentRemove}>✕</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+            
+            <View style={styles.segmentForm}>
+              <TextInput
+                style={[styles.segmentInput, styles.segmentLabelInput]}
+                placeholder="Label"
+                placeholderTextColor="#666"
+                value={segmentForm.label}
+                onChangeText={label => setSegmentForm({ ...segmentForm, label })}
+              />
+              <TextInput
+                style={styles.segmentInput}
+                placeholder="Start s"
+                placeholderTextColor="#666"
+                keyboardType="numeric"
+                value={segmentForm.start}
+                onChangeText={start => setSegmentForm({ ...segmentForm, start })}
+              />
+              <TextInput
+                style={styles.segmentInput}
+                placeholder="End s"
+                placeholderTextColor="#666"
+                keyboardType="numeric"
+                value={segmentForm.end}
+                onChangeText={end => setSegmentForm({ ...segmentForm, end })}
+              />
+              <TouchableOpacity style={styles.segmentAddButton} onPress={addManualSegment}>
+                <Text style={styles.buttonText}>➕</Text>
+              </TouchableOpacity>
+            </View>
+            
+            <View style={styles.buttonRow}>
+              <TouchableOpacity
+                style={[styles.button, styles.primaryButton]}
+                onPress={compareEnteredSegments}
+                disabled={isLoading || (manualSegments.length || fileSegments.length) < 2}
+              >
+                <Text style={styles.buttonText}>📊 Compare Segments</Text>
+              </TouchableOpacity>
+            </View>
+            
+            {segmentComparison && (
+              <View>
+                <Text style={styles.summarySectionTitle}>Per segment</Text>
+                {segmentComparison.segments.map(segment => (
+                  <View key={`${segment.label}-${segment.start}`} style={styles.protocolRow}>
+                    <Text style={styles.protocolRate}>{segment.label}</Text>
+                    <Text style={styles.protocolDetail}>
+                      {segment.result
+                        ? `${segment.beatCount} beats • RMSSD ${segment.result.timeDomain.rmssd} ms • HF ${segment.result.frequency.hfPower ?? '—'} • LF ${segment.result.frequency.lfPower ?? '—'} • Res ${segment.result.resonance ? segment.result.resonance.peakPower : '—'} ms²`
+                        : `${segment.beatCount} beats - too short to analyse`}
+                    </Text>
+                  </View>
+                ))}
+                
+                <Text style={styles.summarySectionTitle}>vs {segmentComparison.comparison.baseline}</Text>
+                <View style={styles.comparisonHeader}>
+                  <Text style={[styles.comparisonCell, styles.comparisonMetric]}>Metric</Text>
+                  <Text style={styles.comparisonCell}>Baseline</Text>
+                  <Text style={styles.comparisonCell}>Value</Text>
+                  <Text style={styles.comparisonCell}>Δ</Text>
+                  <Text style={styles.comparisonCell}>%</Text>
+                  <Text style={styles.comparisonCell}>d</Text>
+                </View>
+                {segmentComparison.comparison.rows.map(row => (
+                  <View key={`${row.condition}-${row.metric}`} style={styles.comparisonRow}>
+                    <Text style={[styles.comparisonCell, styles.comparisonMetric]}>{row.condition}: {row.label}</Text>
+                    {row.insufficientData ? (
+                      <Text style={styles.protocolDetail}>Not available for every segment</Text>
+                    ) : (
+                      <>
+                        <Text style={styles.comparisonCell}>{row.baselineValue}</Text>
+                        <Text style={styles.comparisonCell}>{row.value}</Text>
+                        <Text style={styles.comparisonCell}>{row.delta > 0 ? '+' : ''}{row.delta}</Text>
+                        <Text style={styles.comparisonCell}>{row.percentChange ?? '—'}</Text>
+                        <Text style={styles.comparisonCell}>{row.effectSize ?? '—'}{row.effectSizeType === 'paired' ? '*' : ''}</Text>
+                      </>
+                    )}
+                  </View>
+                ))}
+                <Text style={styles.hrvSummaryText}>
+                  d: Cohen's d_z over repeated blocks (*) or Hedges' g over 30 s windows within the recording
+                </Text>
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Wellness Insights */}
         {showChart && chartData && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>🌱 Wellness Insights</Text>
             <Text style={styles.sectionDescription}>
-              Based on your {chartData.dataType === 'secondary_vitals' ? 'cardiac' : 'vital signs'} data analysis:
+              Based on your {CARDIAC_DATA_TYPES.includes(chartData.dataType) ? 'cardiac' : 'vital signs'} data analysis:
             </Text>
             
             <View style={styles.summaryContainer}>
@@ -524,6 +1203,19 @@ export default function DataScreen({ onBack }) {
                 {chartData.wellnessInsights && chartData.wellnessInsights.map((insight, index) => (
                   <Text key={index} style={styles.summaryText}>• {insight}</Text>
                 ))}
+                {advancedHRVData && assessHRVQuality(advancedHRVData, userProfile).map(assessment => (
+                  <Text key={assessment.metric} style={styles.summaryText}>• {assessment.interpretation}</Text>
+                ))}
+                {advancedHRVData && !hasReferenceTables() && (
+                  <Text style={styles.summaryText}>
+                    • HRV percentiles for your age group are not shown yet: no published reference table is included.
+                  </Text>
+                )}
+                {advancedHRVData && hasReferenceTables() && !(userProfile && userProfile.age) && (
+                  <Text style={styles.summaryText}>
+                    • Add your age and sex under Selected File to compare with your own age group.
+                  </Text>
+                )}
               </View>
               
               {/* Data Overview */}
@@ -532,11 +1224,19 @@ export default function DataScreen({ onBack }) {
                 <Text style={styles.summaryText}>
                   📈 Analyzed {chartData.points.length} data points from {chartData.columnName}
                 </Text>
+                {chartData.sheetName && (
+                  <Text style={styles.summaryText}>
+                    📄 Worksheet: {chartData.sheetName}
+                  </Text>
+                )}
                 <Text style={styles.summaryText}>
                   📊 Range: {chartData.minY.toFixed(1)} - {chartData.maxY.toFixed(1)} (Average: {chartData.avgY.toFixed(1)})
                 </Text>
                 <Text style={styles.summaryText}>
                   🎯 Data Type: {chartData.dataType === 'secondary_vitals' ? 'Advanced Cardiac Measurements' : 
+                                chartData.dataType === 'raw_waveform' ? 'Pulse Waveform Recording' :
+                                chartData.dataType === 'pipeline_ibi' ? 'Python Pipeline Export' :
+                                chartData.dataType === 'rr_recording' ? 'Beat-to-Beat (RR) Recording' :
                                 chartData.dataType === 'vitals' ? 'Basic Vital Signs' : 'General Health Data'}
                 </Text>
               </View>
@@ -544,7 +1244,7 @@ export default function DataScreen({ onBack }) {
               {/* Recommendations */}
               <View style={styles.summarySection}>
                 <Text style={styles.summarySectionTitle}>🎯 Recommendations</Text>
-                {chartData.dataType === 'secondary_vitals' && (
+                {CARDIAC_DATA_TYPES.includes(chartData.dataType) && (
                   <>
                     <Text style={styles.summaryText}>🧘‍♀️ Practice the 0.1 Hz breathing exercises in this app to improve HRV</Text>
                     <Text style={styles.summaryText}>💤 Ensure adequate sleep (7-9 hours) for optimal recovery</Text>
@@ -579,6 +1279,9 @@ export default function DataScreen({ onBack }) {
             <Text style={styles.sectionTitle}>📊 Data Summary</Text>
             <Text style={styles.sectionDescription}>
               {chartData.dataType === 'secondary_vitals' ? 'Secondary Vitals Analysis' : 
+               chartData.dataType === 'raw_waveform' ? 'Pulse Waveform Analysis' :
+               chartData.dataType === 'pipeline_ibi' ? 'Pipeline IBI Analysis' :
+               chartData.dataType === 'rr_recording' ? 'RR Interval Analysis' :
                chartData.dataType === 'vitals' ? 'Vitals Analysis' : 'Data Analysis'} 
               ({chartData.points.length} data points)
             </Text>
@@ -632,11 +1335,90 @@ export default function DataScreen({ onBack }) {
                 </View>
               )}
               
+              {chartData.dataType === 'raw_waveform' && chartData.waveform && (
+                <View style={styles.summarySection}>
+                  <Text style={styles.summarySectionTitle}>📟 Device Recording</Text>
+                  <Text style={styles.summaryText}>
+                    This file is a pressure-sensor capture. Heartbeats were detected in the waveform to get Inter-Beat Intervals (IBI) for HRV analysis.
+                  </Text>
+                  <Text style={styles.summaryText}>
+                    📊 {chartData.waveform.beatCount} beats in {chartData.waveform.duration.toFixed(0)} s of "{chartData.waveform.column}" ({chartData.waveform.sampleCount} samples at {chartData.waveform.sampleRate} Hz)
+                  </Text>
+                  {Object.keys(chartData.waveform.metadata)
+                    .filter(key => /rate|filter/i.test(key))
+                    .map(key => (
+                      <Text key={key} style={styles.summaryText}>
+                        ⚙️ {key}: {`${chartData.waveform.metadata[key]}`}
+                      </Text>
+                    ))}
+                </View>
+              )}
+              
+              {chartData.dataType === 'pipeline_ibi' && chartData.pipeline && (
+                <View style={styles.summarySection}>
+                  <Text style={styles.summarySectionTitle}>🐍 Pipeline Import</Text>
+                  <Text style={styles.summaryText}>
+                    {chartData.pipeline.label} file from the Python HRV pipeline ({chartData.pipeline.beatCount} intervals).
+                  </Text>
+                  {chartData.pipeline.artifactCount !== null ? (
+                    <Text style={styles.summaryText}>
+                      🩹 Using the pipeline's corrected intervals and artifact flags ({chartData.pipeline.artifactCount} flagged); the app's own correction is skipped.
+                    </Text>
+                  ) : (
+                    <Text style={styles.summaryText}>
+                      🩹 Uncorrected intervals; the artifact correction level selected above applies.
+                    </Text>
+                  )}
+                </View>
+              )}
+              
+              {chartData.dataType === 'rr_recording' && chartData.rrRecording && (
+                <View style={styles.summarySection}>
+                  <Text style={styles.summarySectionTitle}>⌚ RR Import</Text>
+                  <Text style={styles.summaryText}>
+                    {chartData.rrRecording.label} file ({chartData.rrRecording.beatCount} intervals).
+                  </Text>
+                  {Object.keys(chartData.rrRecording.metadata)
+                    .filter(key => chartData.rrRecording.metadata[key] !== null && chartData.rrRecording.metadata[key] !== '')
+                    .map(key => (
+                      <Text key={key} style={styles.summaryText}>
+                        ⚙️ {key}: {key === 'startedAt'
+                          ? new Date(chartData.rrRecording.metadata[key]).toLocaleString()
+                          : `${chartData.rrRecording.metadata[key]}`}
+                      </Text>
+                    ))}
+                </View>
+              )}
+              
               {/* Data Quality */}
               <View style={styles.summarySection}>
                 <Text style={styles.summarySectionTitle}>✅ Data Quality</Text>
                 <View style={styles.qualityRow}>
-                  <Text style={styles.qualityGood}>• Data successfully parsed</Text>
+                  {chartData.parseReport && chartData.parseReport.warningCount > 0 ? (
+                    <Text style={styles.qualityWarning}>
+                      • Parsed with {chartData.parseReport.warningCount} warning{chartData.parseReport.warningCount === 1 ? '' : 's'}
+                    </Text>
+                  ) : (
+                    <Text style={styles.qualityGood}>• Data successfully parsed</Text>
+                  )}
+                  {chartData.parseReport && chartData.parseReport.format && (
+                    <Text style={styles.qualityDetail}>• {chartData.parseReport.format}</Text>
+                  )}
+                  {chartData.parseReport && chartData.parseReport.delimiter && (
+                    <Text style={styles.qualityDetail}>
+                      • {chartData.parseReport.encoding.toUpperCase()}, {DELIMITER_NAMES[chartData.parseReport.delimiter] || `"${chartData.parseReport.delimiter}"`}-separated, decimal {chartData.parseReport.decimalSeparator === ',' ? 'comma' : 'point'}
+                    </Text>
+                  )}
+                  {chartData.parseReport && chartData.parseReport.warnings.slice(0, MAX_SHOWN_WARNINGS).map((warning, index) => (
+                    <Text key={index} style={styles.qualityWarning}>
+                      ⚠️ Line {warning.line}: {warning.message}
+                    </Text>
+                  ))}
+                  {chartData.parseReport && chartData.parseReport.warningCount > MAX_SHOWN_WARNINGS && (
+                    <Text style={styles.qualityDetail}>
+                      …and {chartData.parseReport.warningCount - MAX_SHOWN_WARNINGS} more
+                    </Text>
+                  )}
                   <Text style={styles.qualityGood}>• {chartData.points.length} valid measurements</Text>
                   <Text style={styles.qualityGood}>• Ready for analysis</Text>
                 </View>
@@ -673,6 +1455,40 @@ export default function DataScreen({ onBack }) {
 
       </ScrollView>
       
+      {/* Worksheet Picker */}
+      <Modal
+        visible={!!sheetPicker}
+        transparent
+        animationType="fade"
+        onRequestClose={() => chooseWorksheet(null)}
+      >
+        <View style={styles.sheetPickerOverlay}>
+          <View style={styles.sheetPickerCard}>
+            <Text style={styles.sectionTitle}>📑 Choose a Worksheet</Text>
+            <Text style={styles.sectionDescription}>
+              This workbook has several sheets. Which one holds the recording?
+            </Text>
+            <ScrollView style={styles.sheetList}>
+              {sheetPicker && sheetPicker.sheets.map(name => (
+                <TouchableOpacity
+                  key={name}
+                  style={styles.sheetOption}
+                  onPress={() => chooseWorksheet(name)}
+                >
+                  <Text style={styles.sheetOptionText}>{name}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={() => chooseWorksheet(null)}
+            >
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+      
       {/* HRV Visualization Modal */}
       <Modal
         visible={showHRVVisualization}
@@ -682,6 +1498,7 @@ export default function DataScreen({ onBack }) {
         {advancedHRVData && (
           <HRVVisualization
             hrvData={advancedHRVData}
+            referencePSD={importedPSD}
             onClose={() => setShowHRVVisualization(false)}
           />
         )}
@@ -768,6 +1585,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  sheetPickerOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  sheetPickerCard: {
+    backgroundColor: '#2a2a3e',
+    borderRadius: 15,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  sheetList: {
+    marginVertical: 15,
+  },
+  sheetOption: {
+    backgroundColor: '#1a1a2e',
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    marginBottom: 8,
+  },
+  sheetOptionText: {
+    color: '#ffffff',
+    fontSize: 16,
+  },
   fileInfo: {
     backgroundColor: '#1a1a2e',
     borderRadius: 10,
@@ -854,6 +1697,16 @@ const styles = StyleSheet.create({
     color: '#4CAF50',
     marginBottom: 5,
   },
+  qualityWarning: {
+    fontSize: 14,
+    color: '#FF9800',
+    marginBottom: 5,
+  },
+  qualityDetail: {
+    fontSize: 13,
+    color: '#cccccc',
+    marginBottom: 5,
+  },
   // HRV Analysis styles
   hrvMetricsContainer: {
     marginTop: 10,
@@ -900,8 +1753,167 @@ const styles = StyleSheet.create({
     marginBottom: 5,
     textAlign: 'center',
   },
+  linkText: {
+    color: '#2196F3',
+    textDecorationLine: 'underline',
+  },
   visualizationButton: {
     backgroundColor: '#9C27B0',
     flex: 1,
   },
+  // Artifact correction styles
+  levelTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ffffff',
+    marginBottom: 8,
+  },
+  levelRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  levelChip: {
+    backgroundColor: '#1a1a2e',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+  },
+  levelChipActive: {
+    backgroundColor: '#2196F3',
+  },
+  levelChipText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  profileAgeInput: {
+    width: 60,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 15,
+    color: '#ffffff',
+    fontSize: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  progressContainer: {
+    marginTop: 15,
+  },
+  progressLabel: {
+    fontSize: 14,
+    color: '#cccccc',
+    marginBottom: 8,
+  },
+  progressTrack: {
+    height: 8,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 8,
+    backgroundColor: '#4CAF50',
+  },
+  cancelButton: {
+    alignSelf: 'center',
+    marginTop: 10,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 15,
+    backgroundColor: '#f44336',
+  },
+  cancelButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  protocolRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1a1a2e',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 6,
+  },
+  protocolRowBest: {
+    borderColor: '#4CAF50',
+    borderWidth: 1,
+  },
+  protocolRate: {
+    width: 70,
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  protocolDetail: {
+    flex: 1,
+    fontSize: 12,
+    color: '#cccccc',
+  },
+  segmentRemove: {
+    color: '#f44336',
+    fontSize: 16,
+    paddingHorizontal: 8,
+  },
+  segmentForm: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  segmentInput: {
+    flex: 1,
+    backgroundColor: '#1a1a2e',
+    borderRadius: 8,
+    color: '#ffffff',
+    fontSize: 14,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  segmentLabelInput: {
+    flex: 1.5,
+  },
+  segmentAddButton: {
+    backgroundColor: '#4CAF50',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  comparisonHeader: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#444',
+    paddingBottom: 4,
+    marginBottom: 4,
+  },
+  comparisonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  comparisonCell: {
+    flex: 1,
+    fontSize: 11,
+    color: '#cccccc',
+    textAlign: 'right',
+  },
+  comparisonMetric: {
+    flex: 2,
+    textAlign: 'left',
+    color: '#ffffff',
+  },
+  warningBox: {
+    backgroundColor: '#3e2a1a',
+    borderRadius: 10,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9800',
+    padding: 15,
+    marginTop: 10,
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#FFB74D',
+    lineHeight: 20,
+  },
 });
@@ -7,13 +7,53 @@ import {
   ScrollView,
   Dimensions,
 } from 'react-native';
-import Svg, { Circle, Line, Rect, Text as SvgText, G } from 'react-native-svg';
+import Svg, { Circle, Line, Rect, Polygon, Polyline, Text as SvgText, G } from 'react-native-svg';
+import { generateIBIHistogram, GEOMETRIC_BIN_WIDTH } from '../utils/HRVAnalysis';
 
 const { width: screenWidth } = Dimensions.get('window');
 const chartWidth = screenWidth - 60;
 const chartHeight = 200;
 
-export default function HRVVisualization({ hrvData, onClose }) {
+// Task Force bands, used when a result predates band profiles
+const DEFAULT_BANDS = { vlf: [0.003, 0.04], lf: [0.04, 0.15], hf: [0.15, 0.4] };
+const BAND_COLORS = { vlf: '#9C27B0', lf: '#FF9800', hf: '#4CAF50' };
+const formatBand = ([low, high]) => `${low}-${high} Hz`;
+
+// Spectrogram colour scale, low to high power
+const HEAT_STOPS = [[15, 15, 60], [120, 40, 160], [255, 120, 40], [255, 235, 120]];
+const heatColor = (level) => {
+  const position = Math.min(Math.max(level, 0), 1) * (HEAT_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), HEAT_STOPS.length - 2);
+  const weight = position - index;
+  const [r, g, b] = HEAT_STOPS[index].map((value, channel) =>
+    Math.round(value + weight * (HEAT_STOPS[index + 1][channel] - value)));
+  return `rgb(${r}, ${g}, ${b})`;
+};
+const MAX_HEATMAP_COLUMNS = 60;
+
+const REFERENCE_PSD_COLOR = '#FFC107';
+
+/**
+ * Trapezoidal power of a spectrum between two frequencies
+ */
+const integrateBand = (frequencies, psd, [low, high]) => {
+  let power = 0;
+  for (let i = 1; i < frequencies.length; i++) {
+    if (frequencies[i - 1] >= low && frequencies[i] <= high) {
+      power += (frequencies[i] - frequencies[i - 1]) * (psd[i] + psd[i - 1]) / 2;
+    }
+  }
+  return power;
+};
+
+const ESTIMATOR_LABELS = {
+  welch: { name: 'Welch periodogram', detail: 'averaged Hann segments of the resampled IBI series' },
+  lomb: { name: 'Lomb-Scargle periodogram', detail: 'computed directly on beat times, no resampling' },
+  ar: { name: 'Autoregressive (Burg) spectrum', detail: 'model fitted to the resampled IBI series' },
+  fft: { name: 'FFT periodogram', detail: 'single Hann window over the detrended, resampled IBI series' }
+};
+
+export default function HRVVisualization({ hrvData, onClose, referencePSD }) {
   const [activeTab, setActiveTab] = useState('scatter');
 
   if (!hrvData || !hrvData.rawData) {
@@ -47,6 +87,11 @@ export default function HRVVisualization({ hrvData, onClose }) {
     return points;
   }, [ibiValues]);
 
+  const histogramData = useMemo(() => {
+    const binWidth = hrvData.geometric?.binWidth || GEOMETRIC_BIN_WIDTH;
+    return generateIBIHistogram(ibiValues, undefined, { binWidth });
+  }, [ibiValues]);
+
 
   const renderScatterPlot = () => {
     const maxY = Math.max(...scatterData.map(d => d.y));
@@ -145,6 +190,30 @@ export default function HRVVisualization({ hrvData, onClose }) {
     const plotWidth = chartWidth - 2 * padding;
     const plotHeight = chartHeight - 2 * padding;
 
+    const toX = (value) => padding + ((value - minVal) / range) * plotWidth;
+    const toY = (value) => padding + (1 - (value - minVal) / range) * plotHeight;
+
+    // Fitted ellipse in data space: SD2 along the identity line, SD1 across it.
+    // Traced as a polygon because the two axes are drawn at different pixel scales.
+    const poincare = hrvData.poincare;
+    let ellipsePoints = null;
+    let sdAxes = null;
+    if (poincare && poincare.sd1 > 0 && poincare.sd2 > 0) {
+      const { sd1, sd2, centerX, centerY } = poincare;
+      ellipsePoints = Array.from({ length: 73 }, (_, i) => {
+        const theta = (i / 72) * 2 * Math.PI;
+        const along = sd2 * Math.cos(theta);
+        const across = sd1 * Math.sin(theta);
+        const x = centerX + (along - across) / Math.SQRT2;
+        const y = centerY + (along + across) / Math.SQRT2;
+        return `${toX(x)},${toY(y)}`;
+      }).join(' ');
+      sdAxes = {
+        sd1: [centerX + sd1 / Math.SQRT2, centerY - sd1 / Math.SQRT2, centerX - sd1 / Math.SQRT2, centerY + sd1 / Math.SQRT2],
+        sd2: [centerX - sd2 / Math.SQRT2, centerY - sd2 / Math.SQRT2, centerX + sd2 / Math.SQRT2, centerY + sd2 / Math.SQRT2]
+      };
+    }
+
     return (
       <View style={styles.chartContainer}>
         <Text style={styles.chartTitle}>Poincaré Plot</Text>
@@ -188,21 +257,45 @@ export default function HRVVisualization({ hrvData, onClose }) {
           ))}
           
           {/* Data points */}
-          {poincareData.map((point, index) => {
-            const x = padding + ((point.x - minVal) / range) * plotWidth;
-            const y = padding + (1 - (point.y - minVal) / range) * plotHeight;
-            
-            return (
-              <Circle
-                key={index}
-                cx={x}
-                cy={y}
-                r={1.5}
-                fill="#2196F3"
-                opacity={0.6}
+          {poincareData.map((point, index) => (
+            <Circle
+              key={index}
+              cx={toX(point.x)}
+              cy={toY(point.y)}
+              r={1.5}
+              fill="#2196F3"
+              opacity={0.6}
+            />
+          ))}
+          
+          {/* Fitted ellipse and SD1/SD2 axes */}
+          {ellipsePoints && (
+            <G>
+              <Polygon points={ellipsePoints} fill="none" stroke="#FFC107" strokeWidth={1.5} />
+              <Line
+                x1={toX(sdAxes.sd2[0])}
+                y1={toY(sdAxes.sd2[1])}
+                x2={toX(sdAxes.sd2[2])}
+                y2={toY(sdAxes.sd2[3])}
+                stroke="#4CAF50"
+                strokeWidth={2}
               />
-            );
-          })}
+              <Line
+                x1={toX(sdAxes.sd1[0])}
+                y1={toY(sdAxes.sd1[1])}
+                x2={toX(sdAxes.sd1[2])}
+                y2={toY(sdAxes.sd1[3])}
+                stroke="#FF5722"
+                strokeWidth={2}
+              />
+              <SvgText x={toX(sdAxes.sd2[2]) + 4} y={toY(sdAxes.sd2[3])} fill="#4CAF50" fontSize="10">
+                SD2
+              </SvgText>
+              <SvgText x={toX(sdAxes.sd1[2]) - 24} y={toY(sdAxes.sd1[3])} fill="#FF5722" fontSize="10">
+                SD1
+              </SvgText>
+            </G>
+          )}
           
           {/* Axis labels */}
           <SvgText x={15} y={padding + 5} fill="#888" fontSize="10">
@@ -221,7 +314,10 @@ export default function HRVVisualization({ hrvData, onClose }) {
         
         <View style={styles.chartInfo}>
           <Text style={styles.infoText}>
-            🎯 SD1: {hrvData.poincare?.sd1}ms • SD2: {hrvData.poincare?.sd2}ms • Ratio: {hrvData.poincare?.sd1sd2Ratio}
+            🎯 SD1: {poincare?.sd1}ms • SD2: {poincare?.sd2}ms • Ratio: {poincare?.sd1sd2Ratio}
+          </Text>
+          <Text style={styles.infoText}>
+            Ellipse area: {poincare?.ellipseArea}ms² • CSI: {poincare?.csi} • CVI: {poincare?.cvi}
           </Text>
         </View>
         
@@ -234,6 +330,7 @@ export default function HRVVisualization({ hrvData, onClose }) {
             • <Text style={styles.highlight}>SD1</Text> (width): Measures short-term variability, reflecting parasympathetic activity{'\n'}
             • <Text style={styles.highlight}>SD2</Text> (length): Measures long-term variability, reflecting overall autonomic balance{'\n'}
             • <Text style={styles.highlight}>Shape</Text>: A wider, more elliptical cloud indicates better HRV and autonomic balance{'\n'}
+            • <Text style={styles.highlight}>CSI / CVI</Text>: Cardiac sympathetic index (SD2/SD1) and cardiac vagal index (log₁₀ of the ellipse axes product){'\n'}
             • <Text style={styles.highlight}>Tight cluster</Text>: May indicate stress, fatigue, or reduced heart rate variability
           </Text>
         </View>
@@ -244,7 +341,9 @@ export default function HRVVisualization({ hrvData, onClose }) {
 
   const renderFrequencyDomain = () => {
     const { frequency } = hrvData;
-    if (!frequency) return null;
+    if (!frequency || frequency.insufficientData) return null;
+
+    const bandRanges = frequency.bandProfile?.bands || DEFAULT_BANDS;
 
     const bands = [
       { name: 'VLF', value: frequency.vlfPower, color: '#9C27B0', desc: 'Very Low Frequency' },
@@ -303,9 +402,9 @@ export default function HRVVisualization({ hrvData, onClose }) {
             Frequency domain analysis breaks down your heart rate variability into different frequency bands, each reflecting different aspects of your autonomic nervous system.
           </Text>
           <Text style={styles.explanationText}>
-            • <Text style={styles.highlight}>VLF (0.003-0.04 Hz)</Text>: Very low frequency, related to thermoregulation and hormonal influences{'\n'}
-            • <Text style={styles.highlight}>LF (0.04-0.15 Hz)</Text>: Low frequency, reflects both sympathetic and parasympathetic activity{'\n'}
-            • <Text style={styles.highlight}>HF (0.15-0.4 Hz)</Text>: High frequency, primarily parasympathetic activity and respiratory influence{'\n'}
+            • <Text style={styles.highlight}>VLF ({formatBand(bandRanges.vlf)})</Text>: Very low frequency, related to thermoregulation and hormonal influences{'\n'}
+            • <Text style={styles.highlight}>LF ({formatBand(bandRanges.lf)})</Text>: Low frequency, reflects both sympathetic and parasympathetic activity{'\n'}
+            • <Text style={styles.highlight}>HF ({formatBand(bandRanges.hf)})</Text>: High frequency, primarily parasympathetic activity and respiratory influence{'\n'}
             • <Text style={styles.highlight}>LF/HF Ratio</Text>: Balance between sympathetic and parasympathetic systems (lower is generally better)
           </Text>
         </View>
@@ -315,32 +414,50 @@ export default function HRVVisualization({ hrvData, onClose }) {
 
   const renderPSDPlot = () => {
     const { frequency } = hrvData;
-    if (!frequency || !frequency.psdData || !frequency.sampleRate) {
+    if (!frequency || !frequency.psdData || !(frequency.frequencies || frequency.sampleRate)) {
       return (
         <View style={styles.chartContainer}>
           <Text style={styles.chartTitle}>Power Spectral Density Plot</Text>
-          <Text style={styles.errorText}>PSD data not available. This requires FFT analysis with sufficient data points.</Text>
+          <Text style={styles.errorText}>
+            {frequency?.reason || 'PSD data not available. This requires spectral analysis with sufficient data points.'}
+          </Text>
         </View>
       );
     }
 
     const psdData = frequency.psdData;
     const sampleRate = frequency.sampleRate;
-    const freqResolution = sampleRate / (2 * psdData.length);
-    
-    // Generate frequency array
-    const frequencies = psdData.map((_, index) => index * freqResolution);
+    const estimator = ESTIMATOR_LABELS[frequency.method] || ESTIMATOR_LABELS.fft;
     
-    // Find max PSD value for scaling
-    const maxPSD = Math.max(...psdData);
-    const logMaxPSD = Math.log10(maxPSD + 1);
+    // Welch and Lomb-Scargle results carry their own frequency axis; the FFT path is implied by the sample rate
+    const frequencies = frequency.frequencies || psdData.map((_, index) => index * sampleRate / (2 * psdData.length));
+    // AR spectra add points around narrow peaks, so the nominal step is reported
+    const freqResolution = frequency.ar ? frequency.ar.frequencyStep : frequencies[1] - frequencies[0];
     
     // Focus on 0-0.5 Hz range (relevant for HRV)
     const maxFreq = 0.5;
+    
+    // Imported spectrum (e.g. from the Python pipeline) drawn over the app's for comparison
+    const reference = referencePSD && referencePSD.frequencies.length > 1
+      ? referencePSD.frequencies
+        .map((freq, index) => ({ freq, power: referencePSD.psd[index] }))
+        .filter(point => point.freq <= maxFreq)
+      : null;
+    
+    // Find max PSD value for scaling
+    const maxPSD = Math.max(...psdData, ...(reference ? reference.map(point => point.power) : []));
+    const logMaxPSD = Math.log10(maxPSD + 1);
     const relevantIndices = frequencies.map((freq, index) => freq <= maxFreq ? index : -1).filter(i => i >= 0);
     const relevantFreqs = relevantIndices.map(i => frequencies[i]);
     const relevantPSD = relevantIndices.map(i => psdData[i]);
     
+    // Band shading and notches follow the profile the spectrum was integrated with
+    const bandRanges = frequency.bandProfile?.bands || DEFAULT_BANDS;
+    const bandShading = ['vlf', 'lf', 'hf'].map(key => ({ key, range: bandRanges[key], color: BAND_COLORS[key] }));
+    const notches = frequency.bandProfile?.notches || [];
+    const breathingFreq = frequency.bandProfile?.breathingFrequency || 0.1;
+    const isNearBreathing = (freq) => Math.abs(freq - breathingFreq) <= 0.02;
+    
     const padding = 50;
     const plotWidth = chartWidth - 2 * padding;
     const plotHeight = chartHeight - 2 * padding;
@@ -348,7 +465,7 @@ export default function HRVVisualization({ hrvData, onClose }) {
     return (
       <View style={styles.chartContainer}>
         <Text style={styles.chartTitle}>Power Spectral Density Plot</Text>
-        <Text style={styles.chartSubtitle}>FFT-based frequency analysis (0-0.5 Hz)</Text>
+        <Text style={styles.chartSubtitle}>{estimator.name} (0-0.5 Hz)</Text>
         
         <Svg width={chartWidth} height={chartHeight} style={styles.chart}>
           {/* Background */}
@@ -377,41 +494,36 @@ export default function HRVVisualization({ hrvData, onClose }) {
           ))}
           
           {/* Frequency band markers */}
-          {/* VLF band (0.003-0.04 Hz) */}
-          <Rect
-            x={padding + (0.003 / maxFreq) * plotWidth}
-            y={padding}
-            width={((0.04 - 0.003) / maxFreq) * plotWidth}
-            height={plotHeight}
-            fill="#9C27B0"
-            opacity={0.1}
-          />
-          
-          {/* LF band (0.04-0.15 Hz) */}
-          <Rect
-            x={padding + (0.04 / maxFreq) * plotWidth}
-            y={padding}
-            width={((0.15 - 0.04) / maxFreq) * plotWidth}
-            height={plotHeight}
-            fill="#FF9800"
-            opacity={0.1}
-          />
+          {bandShading.map(band => (
+            <Rect
+              key={`band-${band.key}`}
+              x={padding + (band.range[0] / maxFreq) * plotWidth}
+              y={padding}
+              width={((Math.min(band.range[1], maxFreq) - band.range[0]) / maxFreq) * plotWidth}
+              height={plotHeight}
+              fill={band.color}
+              opacity={0.1}
+            />
+          ))}
           
-          {/* HF band (0.15-0.4 Hz) */}
-          <Rect
-            x={padding + (0.15 / maxFreq) * plotWidth}
-            y={padding}
-            width={((0.4 - 0.15) / maxFreq) * plotWidth}
-            height={plotHeight}
-            fill="#4CAF50"
-            opacity={0.1}
-          />
+          {/* Excluded notches */}
+          {notches.map((notch, index) => (
+            <Rect
+              key={`notch-${index}`}
+              x={padding + ((notch.frequency - notch.halfWidth) / maxFreq) * plotWidth}
+              y={padding}
+              width={((2 * notch.halfWidth) / maxFreq) * plotWidth}
+              height={plotHeight}
+              fill="#888"
+              opacity={0.35}
+            />
+          ))}
           
-          {/* 0.1 Hz marker (breathing frequency) */}
+          {/* Breathing frequency marker */}
           <Line
-            x1={padding + (0.1 / maxFreq) * plotWidth}
+            x1={padding + (breathingFreq / maxFreq) * plotWidth}
             y1={padding}
-            x2={padding + (0.1 / maxFreq) * plotWidth}
+            x2={padding + (breathingFreq / maxFreq) * plotWidth}
             y2={padding + plotHeight}
             stroke="#FF5722"
             strokeWidth={2}
@@ -436,10 +548,10 @@ export default function HRVVisualization({ hrvData, onClose }) {
             const y1 = padding + plotHeight - (logPower1 / logMaxPSD) * plotHeight;
             const y2 = padding + plotHeight - (logPower2 / logMaxPSD) * plotHeight;
             
-            // Highlight peaks near 0.1 Hz with different color
-            const isNear01Hz = freq2 >= 0.08 && freq2 <= 0.12;
-            const strokeColor = isNear01Hz ? "#FF5722" : "#00BCD4";
-            const strokeWidth = isNear01Hz ? 2.5 : 1.5;
+            // Highlight peaks near the breathing frequency with different color
+            const highlight = isNearBreathing(freq2);
+            const strokeColor = highlight ? "#FF5722" : "#00BCD4";
+            const strokeWidth = highlight ? 2.5 : 1.5;
             
             return (
               <Line
@@ -454,12 +566,23 @@ export default function HRVVisualization({ hrvData, onClose }) {
             );
           })}
           
-          {/* Add circles to highlight actual peak points near 0.1 Hz */}
+          {reference && (
+            <Polyline
+              points={reference.map(({ freq, power }) =>
+                `${padding + (freq / maxFreq) * plotWidth},${padding + plotHeight - (Math.log10(power + 1) / logMaxPSD) * plotHeight}`
+              ).join(' ')}
+              fill="none"
+              stroke={REFERENCE_PSD_COLOR}
+              strokeWidth={1.5}
+              strokeDasharray="4,3"
+            />
+          )}
+          
+          {/* Add circles to highlight actual peak points near the breathing frequency */}
           {relevantPSD.map((power, index) => {
             const freq = relevantFreqs[index];
-            const isNear01Hz = freq >= 0.08 && freq <= 0.12;
             
-            if (!isNear01Hz) return null;
+            if (!isNearBreathing(freq)) return null;
             
             const logPower = Math.log10(power + 1);
             
@@ -492,22 +615,45 @@ export default function HRVVisualization({ hrvData, onClose }) {
             0.5 Hz
           </SvgText>
           
-          {/* 0.1 Hz label */}
+          {/* Breathing frequency label */}
           <SvgText 
-            x={padding + (0.1 / maxFreq) * plotWidth - 15} 
+            x={padding + (breathingFreq / maxFreq) * plotWidth - 15} 
             y={padding - 5} 
             fill="#FF5722" 
             fontSize="10"
             fontWeight="bold"
           >
-            0.1 Hz
+            {breathingFreq} Hz
           </SvgText>
         </Svg>
         
         <View style={styles.chartInfo}>
           <Text style={styles.infoText}>
-            🎯 Sample Rate: {sampleRate} Hz • Resolution: {freqResolution.toFixed(4)} Hz • Points: {psdData.length}
+            🧮 Estimator: {estimator.name} • {estimator.detail}
+          </Text>
+          <Text style={styles.infoText}>
+            🎯 {sampleRate ? `Sample Rate: ${sampleRate} Hz` : `Beats: ${frequency.lomb?.beatCount}`} • Resolution: {freqResolution.toFixed(4)} Hz • Points: {psdData.length}
           </Text>
+          {frequency.ar && (
+            <Text style={styles.infoText}>
+              📍 Order {frequency.ar.order} ({frequency.ar.orderSelection}) • {['vlf', 'lf', 'hf']
+                .filter(band => frequency.ar.bandPoles[band]?.peakFrequency !== null)
+                .map(band => `${band.toUpperCase()} pole ${frequency.ar.bandPoles[band].peakFrequency} Hz (${frequency.ar.bandPoles[band].power} ms²)`)
+                .join(' • ')}
+            </Text>
+          )}
+          {notches.length > 0 && (
+            <Text style={styles.infoText}>
+              ⛔ Excluded: {notches.map(notch => `${notch.frequency} ± ${notch.halfWidth} Hz`).join(', ')}
+            </Text>
+          )}
+          {reference && (
+            <Text style={[styles.infoText, { color: REFERENCE_PSD_COLOR }]}>
+              🐍 Dashed: {referencePSD.source || 'imported PSD'} • {['lf', 'hf']
+                .map(band => `${band.toUpperCase()} ${Math.round(integrateBand(referencePSD.frequencies, referencePSD.psd, bandRanges[band]))} ms² (app ${Math.round(frequency[`${band}Power`])} ms²)`)
+                .join(' • ')}
+            </Text>
+          )}
         </View>
         
         <View style={styles.explanationContainer}>
@@ -516,11 +662,13 @@ export default function HRVVisualization({ hrvData, onClose }) {
             The Power Spectral Density (PSD) plot shows the distribution of power across different frequencies in your heart rate variability signal.
           </Text>
           <Text style={styles.explanationText}>
-            • <Text style={styles.highlight}>Purple area (VLF)</Text>: Very low frequency band (0.003-0.04 Hz){'\n'}
-            • <Text style={styles.highlight}>Orange area (LF)</Text>: Low frequency band (0.04-0.15 Hz){'\n'}
-            • <Text style={styles.highlight}>Green area (HF)</Text>: High frequency band (0.15-0.4 Hz){'\n'}
-            • <Text style={styles.highlight}>Red dashed line (0.1 Hz)</Text>: Target breathing frequency for optimal HRV{'\n'}
-            • <Text style={styles.highlight}>Peaks near 0.1 Hz</Text>: Indicate good respiratory-cardiac coupling
+            • <Text style={styles.highlight}>Purple area (VLF)</Text>: Very low frequency band ({formatBand(bandRanges.vlf)}){'\n'}
+            • <Text style={styles.highlight}>Orange area (LF)</Text>: Low frequency band ({formatBand(bandRanges.lf)}){'\n'}
+            • <Text style={styles.highlight}>Green area (HF)</Text>: High frequency band ({formatBand(bandRanges.hf)}){'\n'}
+            • <Text style={styles.highlight}>Grey areas</Text>: Excluded notches, left out of every band{'\n'}
+            {reference ? <>• <Text style={styles.highlight}>Yellow dashed line</Text>: Imported spectrum, for comparison{'\n'}</> : null}
+            • <Text style={styles.highlight}>Red dashed line ({breathingFreq} Hz)</Text>: Target breathing frequency for optimal HRV{'\n'}
+            • <Text style={styles.highlight}>Peaks near {breathingFreq} Hz</Text>: Indicate good respiratory-cardiac coupling
           </Text>
         </View>
       </View>
@@ -733,6 +881,12 @@ export default function HRVVisualization({ hrvData, onClose }) {
         {/* Time-Power Plot Section */}
         {hasTimePower ? (
           <View>
+            {timePower.spectrogram && (
+              <View>
+                <Text style={styles.sectionTitle}>Spectrogram</Text>
+                {renderSpectrogram(timePower)}
+              </View>
+            )}
             <Text style={styles.sectionTitle}>Power Over Time</Text>
             {renderTimePowerChart(timePower)}
           </View>
@@ -743,7 +897,12 @@ export default function HRVVisualization({ hrvData, onClose }) {
         )}
         
         {/* Frequency Domain Summary Section */}
-        {frequency && (
+        {frequency && frequency.insufficientData && (
+          <View style={styles.noDataSection}>
+            <Text style={styles.noDataText}>{frequency.reason}</Text>
+          </View>
+        )}
+        {frequency && !frequency.insufficientData && (
           <View style={styles.frequencySection}>
             <Text style={styles.sectionTitle}>Overall Power Distribution</Text>
             {renderFrequencyBars(frequency)}
@@ -757,7 +916,8 @@ export default function HRVVisualization({ hrvData, onClose }) {
             This combined analysis shows both how your frequency power changes over time and the overall distribution across frequency bands.
           </Text>
           <Text style={styles.explanationText}>
-            • <Text style={styles.highlight}>Time plot (top)</Text>: Shows when HF power increases during 0.1 Hz breathing{'\n'}
+            • <Text style={styles.highlight}>Spectrogram (top)</Text>: Bright bands show where the power sits over time; a steady band on the dashed line means your heart rhythm followed the pacer{'\n'}
+            • <Text style={styles.highlight}>Time plot</Text>: Shows when HF power increases during 0.1 Hz breathing{'\n'}
             • <Text style={styles.highlight}>Power bars (bottom)</Text>: Shows total power distribution across VLF, LF, and HF bands{'\n'}
             • <Text style={styles.highlight}>Same colors</Text>: Purple (VLF), Orange (LF), Green (HF) for easy comparison{'\n'}
             • <Text style={styles.highlight}>LF/HF Ratio</Text>: Lower values indicate better autonomic balance
@@ -767,6 +927,88 @@ export default function HRVVisualization({ hrvData, onClose }) {
     );
   };
 
+  const renderSpectrogram = (timePower) => {
+    const { times, frequencies, spectrogram, settings } = timePower;
+    const maxFreq = 0.4;
+    const rows = frequencies.map((freq, index) => ({ freq, index })).filter(row => row.freq <= maxFreq);
+    const pacedFreq = hrvData.resonance?.pacedFrequency ?? hrvData.frequency?.bandProfile?.breathingFrequency ?? null;
+
+    // Long recordings are averaged into at most MAX_HEATMAP_COLUMNS columns
+    const groupSize = Math.ceil(times.length / MAX_HEATMAP_COLUMNS);
+    const columns = [];
+    for (let start = 0; start < times.length; start += groupSize) {
+      const group = spectrogram.slice(start, start + groupSize);
+      columns.push({
+        time: times[Math.min(start + groupSize, times.length) - 1],
+        psd: rows.map(({ index }) => group.reduce((sum, psd) => sum + psd[index], 0) / group.length)
+      });
+    }
+
+    // Log colour scale over the top three decades
+    const maxLog = Math.log10(Math.max(...columns.map(column => Math.max(...column.psd)), 1e-12));
+    const level = (value) => (Math.log10(Math.max(value, 1e-12)) - maxLog + 3) / 3;
+
+    const padding = 40;
+    const plotWidth = chartWidth - 2 * padding;
+    const plotHeight = 160;
+    const cellWidth = plotWidth / columns.length;
+    const cellHeight = plotHeight / rows.length;
+    const pacedY = 10 + plotHeight - (pacedFreq / maxFreq) * plotHeight;
+
+    return (
+      <View>
+        <Svg width={chartWidth} height={plotHeight + 40} style={styles.chart}>
+          <Rect x={0} y={0} width={chartWidth} height={plotHeight + 40} fill="#0f0f1a" />
+
+          {/* Heatmap cells: time on x, frequency on y */}
+          {columns.map((column, c) => column.psd.map((value, r) => (
+            <Rect
+              key={`cell-${c}-${r}`}
+              x={padding + c * cellWidth}
+              y={10 + plotHeight - (r + 1) * cellHeight}
+              width={cellWidth + 0.5}
+              height={cellHeight + 0.5}
+              fill={heatColor(level(value))}
+            />
+          )))}
+
+          {/* Paced breathing guide */}
+          {pacedFreq && pacedFreq < maxFreq && (
+            <G>
+              <Line
+                x1={padding}
+                y1={pacedY}
+                x2={padding + plotWidth}
+                y2={pacedY}
+                stroke="#ffffff"
+                strokeWidth={1.5}
+                strokeDasharray="5,5"
+              />
+              <SvgText x={padding + plotWidth + 3} y={pacedY + 3} fill="#ffffff" fontSize="9">
+                {pacedFreq.toFixed(3)}
+              </SvgText>
+            </G>
+          )}
+
+          {/* Axis labels */}
+          <SvgText x={4} y={14} fill="#888" fontSize="10">{maxFreq} Hz</SvgText>
+          <SvgText x={4} y={plotHeight + 10} fill="#888" fontSize="10">0 Hz</SvgText>
+          <SvgText x={padding} y={plotHeight + 30} fill="#888" fontSize="10">{Math.round(times[0])}s</SvgText>
+          <SvgText x={padding + plotWidth - 30} y={plotHeight + 30} fill="#888" fontSize="10">
+            {Math.round(times[times.length - 1])}s
+          </SvgText>
+        </Svg>
+
+        <View style={styles.chartInfo}>
+          <Text style={styles.infoText}>
+            🌈 {ESTIMATOR_LABELS[settings.estimator]?.name || settings.estimator} • {timePower.windowSize}s windows every {timePower.stepSize}s • colour spans 3 decades of power
+            {pacedFreq ? ` • dashed line: paced breathing (${pacedFreq.toFixed(3)} Hz)` : ''}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
   const renderTimePowerChart = (timePower) => {
     const timePoints = timePower.timePoints;
     const maxTime = Math.max(...timePoints.map(p => p.time));
@@ -919,11 +1161,248 @@ export default function HRVVisualization({ hrvData, onClose }) {
     );
   };
 
+  const renderDFAPlot = () => {
+    const nonlinear = hrvData.nonlinear;
+    const curve = nonlinear?.dfa?.curve || [];
+    if (curve.length < 2) {
+      return (
+        <View style={styles.chartContainer}>
+          <Text style={styles.chartTitle}>Detrended Fluctuation Analysis</Text>
+          <Text style={styles.infoText}>Not enough beats for DFA</Text>
+        </View>
+      );
+    }
+
+    const padding = 40;
+    const plotWidth = chartWidth - 2 * padding;
+    const plotHeight = chartHeight - 2 * padding;
+
+    const minX = curve[0].logScale;
+    const maxX = curve[curve.length - 1].logScale;
+    const logValues = curve.map(point => point.logFluctuation);
+    const minY = Math.min(...logValues);
+    const maxY = Math.max(...logValues);
+    const rangeY = maxY - minY || 1;
+
+    const toX = (logScale) => padding + ((logScale - minX) / (maxX - minX)) * plotWidth;
+    const toY = (logFluctuation) => padding + (1 - (logFluctuation - minY) / rangeY) * plotHeight;
+
+    const fits = [
+      { key: 'alpha1', label: 'α1', color: '#FF9800', fit: nonlinear.dfa.alpha1 },
+      { key: 'alpha2', label: 'α2', color: '#4CAF50', fit: nonlinear.dfa.alpha2 }
+    ].filter(item => item.fit);
+
+    return (
+      <View style={styles.chartContainer}>
+        <Text style={styles.chartTitle}>Detrended Fluctuation Analysis</Text>
+        <Text style={styles.chartSubtitle}>log₁₀ F(n) vs log₁₀ n (box size in beats)</Text>
+
+        <Svg width={chartWidth} height={chartHeight} style={styles.chart}>
+          {/* Background */}
+          <Rect x={0} y={0} width={chartWidth} height={chartHeight} fill="#0f0f1a" />
+
+          {/* Grid lines */}
+          {[0, 0.25, 0.5, 0.75, 1].map(ratio => (
+            <Line
+              key={`grid-${ratio}`}
+              x1={padding}
+              y1={padding + ratio * plotHeight}
+              x2={padding + plotWidth}
+              y2={padding + ratio * plotHeight}
+              stroke="#333"
+              strokeWidth={0.5}
+            />
+          ))}
+
+          {/* Fitted slopes over their scale ranges */}
+          {fits.map(({ key, color, fit }) => {
+            const x1 = Math.log10(fit.range[0]);
+            const x2 = Math.log10(fit.range[1]);
+            return (
+              <Line
+                key={`fit-${key}`}
+                x1={toX(x1)}
+                y1={toY(fit.intercept + fit.slope * x1)}
+                x2={toX(x2)}
+                y2={toY(fit.intercept + fit.slope * x2)}
+                stroke={color}
+                strokeWidth={2}
+              />
+            );
+          })}
+
+          {/* Fluctuation curve */}
+          {curve.map(point => (
+            <Circle
+              key={point.scale}
+              cx={toX(point.logScale)}
+              cy={toY(point.logFluctuation)}
+              r={2}
+              fill="#2196F3"
+              opacity={0.8}
+            />
+          ))}
+
+          {/* Axis labels */}
+          <SvgText x={5} y={padding + 5} fill="#888" fontSize="10">
+            {Math.round(Math.pow(10, maxY))}
+          </SvgText>
+          <SvgText x={5} y={padding + plotHeight} fill="#888" fontSize="10">
+            {Math.round(Math.pow(10, minY))}
+          </SvgText>
+          <SvgText x={padding} y={chartHeight - 10} fill="#888" fontSize="10">
+            n={curve[0].scale}
+          </SvgText>
+          <SvgText x={padding + plotWidth - 30} y={chartHeight - 10} fill="#888" fontSize="10">
+            n={curve[curve.length - 1].scale}
+          </SvgText>
+
+          {/* Legend */}
+          {fits.map(({ key, label, color, fit }, index) => (
+            <SvgText key={`legend-${key}`} x={padding + 5} y={padding - 20 + index * 12} fill={color} fontSize="10">
+              {label} = {fit.slope.toFixed(2)} (n {fit.range[0]}-{fit.range[1]})
+            </SvgText>
+          ))}
+        </Svg>
+
+        <View style={styles.chartInfo}>
+          <Text style={styles.infoText}>
+            🧮 SampEn: {nonlinear.sampEn ?? '—'} • ApEn: {nonlinear.apEn ?? '—'} • DFA α1: {nonlinear.dfaAlpha1 ?? '—'} • α2: {nonlinear.dfaAlpha2 ?? '—'}
+          </Text>
+          <Text style={styles.infoText}>
+            m = {nonlinear.settings.m} • r = {nonlinear.settings.r} × SD ({nonlinear.settings.tolerance} ms)
+          </Text>
+        </View>
+
+        <View style={styles.explanationContainer}>
+          <Text style={styles.explanationTitle}>What This Shows:</Text>
+          <Text style={styles.explanationText}>
+            DFA measures how beat-to-beat fluctuations scale with the length of the window they are measured over.
+          </Text>
+          <Text style={styles.explanationText}>
+            • <Text style={styles.highlight}>α1</Text> (short-term): Around 1.0 in healthy resting adults; slow paced breathing pushes it higher{'\n'}
+            • <Text style={styles.highlight}>α2</Text> (long-term): Correlations across longer stretches of beats{'\n'}
+            • <Text style={styles.highlight}>α ≈ 0.5</Text>: Uncorrelated, random-like variation; α ≈ 1.5: smooth, drifting variation{'\n'}
+            • <Text style={styles.highlight}>Entropy</Text>: Higher SampEn / ApEn means a less predictable, more complex rhythm
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderHistogramPlot = () => {
+    if (!histogramData || !histogramData.length) return null;
+
+    const geometric = hrvData.geometric;
+    const padding = 40;
+    const plotWidth = chartWidth - 2 * padding;
+    const plotHeight = chartHeight - 2 * padding;
+
+    // Keep the fitted triangle's feet inside the plot
+    const minVal = Math.min(histogramData[0].start, geometric?.tinnN ?? Infinity);
+    const maxVal = Math.max(histogramData[histogramData.length - 1].end, geometric?.tinnM ?? -Infinity);
+    const range = maxVal - minVal;
+    const maxCount = Math.max(...histogramData.map(bin => bin.count));
+
+    const toX = (value) => padding + ((value - minVal) / range) * plotWidth;
+    const toY = (count) => padding + (1 - count / maxCount) * plotHeight;
+
+    const triangle = geometric?.histogramPeak
+      ? [
+          `${toX(geometric.tinnN)},${toY(0)}`,
+          `${toX(geometric.histogramPeak.center)},${toY(geometric.histogramPeak.count)}`,
+          `${toX(geometric.tinnM)},${toY(0)}`
+        ].join(' ')
+      : null;
+
+    return (
+      <View style={styles.chartContainer}>
+        <Text style={styles.chartTitle}>IBI Histogram</Text>
+        <Text style={styles.chartSubtitle}>1/128 s bins with the TINN triangle fit</Text>
+
+        <Svg width={chartWidth} height={chartHeight} style={styles.chart}>
+          {/* Background */}
+          <Rect x={0} y={0} width={chartWidth} height={chartHeight} fill="#0f0f1a" />
+
+          {/* Grid lines */}
+          {[0, 0.25, 0.5, 0.75, 1].map(ratio => (
+            <Line
+              key={`grid-${ratio}`}
+              x1={padding}
+              y1={padding + ratio * plotHeight}
+              x2={padding + plotWidth}
+              y2={padding + ratio * plotHeight}
+              stroke="#333"
+              strokeWidth={0.5}
+            />
+          ))}
+
+          {/* Bins */}
+          {histogramData.map((bin, index) => (
+            <Rect
+              key={index}
+              x={toX(bin.start)}
+              y={toY(bin.count)}
+              width={Math.max(toX(bin.end) - toX(bin.start) - 1, 1)}
+              height={toY(0) - toY(bin.count)}
+              fill="#2196F3"
+              opacity={0.7}
+            />
+          ))}
+
+          {/* Fitted triangle */}
+          {triangle && (
+            <G>
+              <Polygon points={triangle} fill="none" stroke="#FF9800" strokeWidth={2} />
+              <SvgText x={toX(geometric.tinnN)} y={toY(0) + 12} fill="#FF9800" fontSize="10" textAnchor="middle">
+                N
+              </SvgText>
+              <SvgText x={toX(geometric.tinnM)} y={toY(0) + 12} fill="#FF9800" fontSize="10" textAnchor="middle">
+                M
+              </SvgText>
+            </G>
+          )}
+
+          {/* Axis labels */}
+          <SvgText x={5} y={padding + 5} fill="#888" fontSize="10">
+            {maxCount}
+          </SvgText>
+          <SvgText x={padding} y={chartHeight - 10} fill="#888" fontSize="10">
+            {Math.round(minVal)}ms
+          </SvgText>
+          <SvgText x={padding + plotWidth - 40} y={chartHeight - 10} fill="#888" fontSize="10">
+            {Math.round(maxVal)}ms
+          </SvgText>
+        </Svg>
+
+        <View style={styles.chartInfo}>
+          <Text style={styles.infoText}>
+            📐 TINN: {geometric?.tinn}ms (N {geometric?.tinnN} - M {geometric?.tinnM}) • Triangular index: {geometric?.triangularIndex}
+          </Text>
+        </View>
+
+        <View style={styles.explanationContainer}>
+          <Text style={styles.explanationTitle}>What This Shows:</Text>
+          <Text style={styles.explanationText}>
+            The distribution of IBI values in 7.8125 ms (1/128 s) bins, with a triangle fitted to its shape by least squares.
+          </Text>
+          <Text style={styles.explanationText}>
+            • <Text style={styles.highlight}>TINN</Text>: Width of the triangle base (M - N), a geometric measure of overall variability{'\n'}
+            • <Text style={styles.highlight}>Triangular index</Text>: Total beats divided by the height of the tallest bin{'\n'}
+            • <Text style={styles.highlight}>Wide, flat histogram</Text>: Higher overall HRV
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
   const tabs = [
     { id: 'scatter', name: 'IBI Plot', icon: '📊' },
     { id: 'poincare', name: 'Poincaré', icon: '🎯' },
+    { id: 'histogram', name: 'Histogram', icon: '📐' },
     { id: 'spectral', name: 'Spectral Analysis', icon: '🌊' },
-    { id: 'psd', name: 'PSD Plot', icon: '📈' }
+    { id: 'psd', name: 'PSD Plot', icon: '📈' },
+    { id: 'dfa', name: 'Nonlinear', icon: '🧮' }
   ];
 
   return (
@@ -935,7 +1414,12 @@ export default function HRVVisualization({ hrvData, onClose }) {
         </TouchableOpacity>
       </View>
 
-      <View style={styles.tabContainer}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.tabScroll}
+        contentContainerStyle={styles.tabContainer}
+      >
         {tabs.map(tab => (
           <TouchableOpacity
             key={tab.id}
@@ -948,13 +1432,15 @@ export default function HRVVisualization({ hrvData, onClose }) {
             </Text>
           </TouchableOpacity>
         ))}
-      </View>
+      </ScrollView>
 
       <ScrollView style={styles.content} contentContainerStyle={styles.contentContainer}>
         {activeTab === 'scatter' && renderScatterPlot()}
         {activeTab === 'poincare' && renderPoincarePlot()}
+        {activeTab === 'histogram' && renderHistogramPlot()}
         {activeTab === 'spectral' && renderSpectralAnalysis()}
         {activeTab === 'psd' && renderPSDPlot()}
+        {activeTab === 'dfa' && renderDFAPlot()}
       </ScrollView>
     </View>
   );
@@ -990,20 +1476,22 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
-  tabContainer: {
-    flexDirection: 'row',
+  tabScroll: {
+    flexGrow: 0,
     backgroundColor: '#2a2a3e',
     marginHorizontal: 20,
     borderRadius: 10,
+  },
+  tabContainer: {
+    flexDirection: 'row',
     padding: 5,
   },
   tab: {
-    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     paddingVertical: 10,
-    paddingHorizontal: 5,
+    paddingHorizontal: 10,
     borderRadius: 8,
   },
   activeTab: {
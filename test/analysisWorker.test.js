@@ -0,0 +1,152 @@
+// Background task runner, and the yield points that keep one hour of data responsive
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startStepsTask, withinProgress } from '../utils/AnalysisWorker';
+import { NONLINEAR_DEFAULTS, calculateNonlinearMetrics, createHRVAnalysisSteps } from '../utils/HRVAnalysis';
+import { parseCSV, parseCSVSteps } from '../utils/CSVParser';
+import { synthesizeIBI } from './helpers';
+
+// Longest stretch between two yields on one hour of beats; a single
+// Lomb-Scargle step used to take about 2 s
+const STEP_BUDGET_MS = 250;
+
+// ApEn / SampEn over 12 hours of beats: about 1 s segmented, hours as one O(n²) pass
+const HOLTER_ENTROPY_BUDGET_MS = 20000;
+
+const oneHour = synthesizeIBI({
+  duration: 3600,
+  components: [{ frequency: 0.1, amplitude: 50 }, { frequency: 0.25, amplitude: 20 }],
+  noise: 20
+});
+
+/**
+ * Whether the templates of length dim starting at i and j match within r
+ */
+const matches = (data, dim, r, i, j) => {
+  for (let k = 0; k < dim; k++) if (Math.abs(data[i + k] - data[j + k]) > r) return false;
+  return true;
+};
+
+// Plain ApEn (Pincus 1991) and SampEn (Richman & Moorman 2000), one full pass each
+const referenceApEn = (data, m, r) => {
+  const phi = (dim) => {
+    const count = data.length - dim + 1;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      let c = 0;
+      for (let j = 0; j < count; j++) if (matches(data, dim, r, i, j)) c++;
+      total += Math.log(c / count);
+    }
+    return total / count;
+  };
+  return phi(m) - phi(m + 1);
+};
+
+const referenceSampEn = (data, m, r) => {
+  const templates = data.length - m;
+  let b = 0;
+  let a = 0;
+  for (let i = 0; i < templates; i++) {
+    for (let j = i + 1; j < templates; j++) {
+      if (matches(data, m, r, i, j)) b++;
+      if (matches(data, m + 1, r, i, j)) a++;
+    }
+  }
+  return -Math.log(a / b);
+};
+
+/**
+ * Drain a step generator, recording the stages it reports and its longest step
+ */
+const runSteps = (steps) => {
+  const stages = [];
+  let longest = 0;
+  let last = Date.now();
+  let step = steps.next();
+  while (!step.done) {
+    const now = Date.now();
+    longest = Math.max(longest, now - last);
+    last = now;
+    stages.push(step.value);
+    step = steps.next();
+  }
+  return { stages, longest: Math.max(longest, Date.now() - last), result: step.value };
+};
+
+test('resumes with the values of yielded promises', async () => {
+  function* steps() {
+    yield { stage: 'parsing', progress: 0 };
+    const text = yield Promise.resolve('a,b\n1,2\n');
+    try {
+      yield Promise.reject(new Error('dismissed'));
+    } catch (error) {
+      return { text, error: error.message };
+    }
+    return null;
+  }
+  assert.deepEqual(await startStepsTask(steps()).promise, { text: 'a,b\n1,2\n', error: 'dismissed' });
+});
+
+test('cancels while waiting on a promise', async () => {
+  let resumed = false;
+  function* steps() {
+    yield new Promise(resolve => setTimeout(resolve, 20));
+    resumed = true;
+  }
+  const task = startStepsTask(steps());
+  setTimeout(task.cancel, 5);
+  await assert.rejects(task.promise, error => error.cancelled === true);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(resumed, false);
+});
+
+test('maps progress onto part of a stage', () => {
+  const { stages, result } = runSteps(withinProgress(parseCSVSteps('x\n1\n'), 0.3, 1));
+  assert.ok(stages.every(({ stage, progress }) => stage === 'parsing' && progress >= 0.3 && progress <= 1));
+  assert.deepEqual(result.data, [{ x: 1 }]);
+});
+
+test('reports parsing progress through a large CSV', () => {
+  const text = ['time,IBI (mS)', ...oneHour.map((ibi, i) => `${i},${ibi.toFixed(1)}`)].join('\n');
+  const { stages, result } = runSteps(parseCSVSteps(text));
+  assert.ok(stages.length >= 4);
+  stages.slice(1).forEach((item, i) => assert.ok(item.progress >= stages[i].progress));
+  assert.deepEqual(result, parseCSV(text));
+});
+
+for (const method of ['welch', 'lomb', 'ar', 'fft']) {
+  test(`yields at least every ${STEP_BUDGET_MS} ms on one hour (${method})`, () => {
+    const { stages, longest } = runSteps(createHRVAnalysisSteps(oneHour, {
+      artifactCorrection: 'automatic',
+      spectral: { method }
+    }));
+    assert.ok(longest < STEP_BUDGET_MS, `longest step ${longest} ms`);
+    // The stage start, then one step per correction level
+    assert.ok(stages.filter(item => item.stage === 'correction').length >= 8);
+    assert.ok(stages.some(item => item.stage === 'respiration'));
+  });
+}
+
+test(`entropy on a 12-hour recording finishes within ${HOLTER_ENTROPY_BUDGET_MS / 1000} s`, () => {
+  const holter = synthesizeIBI({
+    duration: 12 * 3600,
+    components: [{ frequency: 0.1, amplitude: 50 }, { frequency: 0.25, amplitude: 20 }],
+    noise: 20
+  });
+  const started = Date.now();
+  const result = calculateNonlinearMetrics(holter);
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed < HOLTER_ENTROPY_BUDGET_MS, `${elapsed} ms`);
+  assert.equal(result.settings.entropySegments, Math.ceil(holter.length / NONLINEAR_DEFAULTS.entropySegmentBeats));
+  assert.ok(result.apEn > 0 && result.sampEn > 0);
+
+  // Up to one segment long, the entropies are the textbook whole-series values
+  const short = holter.slice(0, 300);
+  const segmented = calculateNonlinearMetrics(short);
+  assert.equal(segmented.settings.entropySegments, 1);
+  const mean = short.reduce((sum, val) => sum + val, 0) / short.length;
+  const r = 0.2 * Math.sqrt(short.reduce((sum, val) => sum + (val - mean) ** 2, 0) / (short.length - 1));
+  assert.equal(segmented.apEn, Math.round(referenceApEn(short, 2, r) * 1000) / 1000);
+  assert.equal(segmented.sampEn, Math.round(referenceSampEn(short, 2, r) * 1000) / 1000);
+});
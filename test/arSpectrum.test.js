@@ -0,0 +1,44 @@
+// Burg AR spectrum: band integration against oscillations of known power
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAdvancedHRVMetrics } from '../utils/HRVAnalysis';
+import { readFixture, synthesizeIBI } from './helpers';
+
+const POWER_TOLERANCE = 0.05;
+
+const arFrequency = (ibi, options = {}) =>
+  calculateAdvancedHRVMetrics(ibi, { spectral: { method: 'ar', ...options } }).frequency;
+
+const assertClose = (actual, expected, label) => {
+  assert.ok(Math.abs(actual - expected) <= POWER_TOLERANCE * expected, `${label}: ${actual} vs ${expected}`);
+};
+
+test('AR band powers match known LF and HF oscillations over 1 hour', () => {
+  // A sinusoid of amplitude A carries A²/2: 1250 ms² at 0.1 Hz, 200 ms² at 0.25 Hz
+  const ibi = synthesizeIBI({
+    duration: 3600,
+    components: [{ frequency: 0.1, amplitude: 50 }, { frequency: 0.25, amplitude: 20 }],
+    noise: 15
+  });
+  const frequency = arFrequency(ibi);
+  assertClose(frequency.lfPower, 1250, 'LF');
+  assertClose(frequency.hfPower, 200, 'HF');
+  // The integrated spectrum agrees with the pole decomposition
+  assertClose(frequency.lfPower, frequency.ar.bandPoles.lf.power, 'LF vs poles');
+});
+
+test('A nearly pure tone narrower than the grid step is integrated correctly', () => {
+  const ibi = synthesizeIBI({ duration: 300, components: [{ frequency: 0.1, amplitude: 50 }], noise: 2 });
+  const frequency = arFrequency(ibi, { order: 10 });
+  assertClose(frequency.lfPower, 1250, 'LF');
+});
+
+test('AR band powers add up to the variance of a short recording', () => {
+  // 57 s, so estimators legitimately differ band by band; the total must still hold
+  const ibi = readFixture('raw_filtered_capture_ibi_corrected.csv').map(row => row.ibi_corrected_ms);
+  const mean = ibi.reduce((sum, val) => sum + val, 0) / ibi.length;
+  const variance = ibi.reduce((sum, val) => sum + (val - mean) ** 2, 0) / ibi.length;
+  const frequency = arFrequency(ibi);
+  assertClose(frequency.vlfPower + frequency.lfPower + frequency.hfPower, variance, 'total');
+});
@@ -0,0 +1,48 @@
+// Artifact correction against hrv_pipeline/scripts/correct_ibi_artifacts.py
+//
+// fixtures/artifacts_ibi_raw.csv is the first 50 beats of
+// raw_filtered_capture_ibi_raw.csv with artifacts injected: a run at the start,
+// a deviating beat, an ectopic short-long pair below the deviation threshold,
+// three consecutive missed/extra beats and a run at the end.
+// fixtures/artifacts_ibi_corrected.csv is the script's unedited output for it
+// (python scripts/correct_ibi_artifacts.py data/artifacts_ibi_raw.csv).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseCSV } from '../utils/CSVParser';
+import { detectAndCorrectArtifacts } from '../utils/ArtifactCorrection';
+
+// The script writes corrected IBIs rounded to 2 decimals
+const IBI_TOLERANCE_MS = 0.005;
+
+const readTestFixture = (name) =>
+  parseCSV(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8')).data;
+
+const raw = readTestFixture('artifacts_ibi_raw.csv');
+const expected = readTestFixture('artifacts_ibi_corrected.csv');
+const result = detectAndCorrectArtifacts(raw.map(row => row.ibi_ms));
+
+test('flags the same beats for the same reasons', () => {
+  assert.deepEqual(result.flags, expected.map(row => row.artifact_flag));
+  // The script writes 'deviation_97%_from_median'; the port keeps the category
+  const reasons = expected.map(row => `${row.artifact_reason}`.replace(/^deviation_.*$/, 'deviation'));
+  assert.deepEqual(result.reasons, reasons);
+});
+
+test('covers every artifact pattern of the script', () => {
+  const reasons = new Set(expected.map(row => row.artifact_reason).filter(Boolean).map(reason => reason.split('_')[0]));
+  assert.ok(reasons.has('deviation') && reasons.has('ectopic'));
+  assert.equal(expected[0].artifact_flag, 'artifact');
+  assert.equal(expected[expected.length - 1].artifact_flag, 'artifact');
+});
+
+test('interpolates like np.interp, clamped at both ends', () => {
+  result.corrected.forEach((ibi, i) => {
+    assert.ok(
+      Math.abs(ibi - expected[i].ibi_corrected_ms) <= IBI_TOLERANCE_MS,
+      `beat ${expected[i].beat_index}: ${ibi} vs ${expected[i].ibi_corrected_ms}`
+    );
+  });
+});
@@ -0,0 +1,70 @@
+// CSV import - RFC 4180 quoting, delimiter and decimal separator detection, text encodings
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeText, detectDecimalSeparator, detectDelimiter, parseCSV, parseNumber } from '../utils/CSVParser';
+
+test('keeps quoted delimiters, newlines and "" escapes inside a field', () => {
+  const text = [
+    'Time,Note,IBI (mS)',
+    '0,"resting, eyes closed",812',
+    '1,"said ""ok""\r\nthen stood up",790',
+    '2,plain,805'
+  ].join('\n');
+  const { headers, data, warnings } = parseCSV(text);
+  assert.deepEqual(headers, ['Time', 'Note', 'IBI (mS)']);
+  assert.deepEqual(data, [
+    { Time: 0, Note: 'resting, eyes closed', 'IBI (mS)': 812 },
+    { Time: 1, Note: 'said "ok"\r\nthen stood up', 'IBI (mS)': 790 },
+    { Time: 2, Note: 'plain', 'IBI (mS)': 805 }
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('warns about an unclosed quote at the line it opens on', () => {
+  const text = 'Time,Note\n0,ok\n1,"never closed\n2,swallowed\n';
+  const { data, warnings } = parseCSV(text, { delimiter: ',' });
+  assert.equal(data.length, 2);
+  assert.equal(data[1].Note, 'never closed\n2,swallowed\n');
+  assert.deepEqual(warnings, [{ line: 3, message: 'quoted field is never closed; the rest of the file was read into it' }]);
+});
+
+test('reads ";" files with decimal commas', () => {
+  const text = 'Time;IBI (mS);HeartRate (bpm)\n0;812,5;73,8\n1;790,25;75,9\n2;805;74,5\n';
+  assert.equal(detectDelimiter(text), ';');
+  const { delimiter, decimalSeparator, data } = parseCSV(text);
+  assert.equal(delimiter, ';');
+  assert.equal(decimalSeparator, ',');
+  assert.deepEqual(data.map(row => row['IBI (mS)']), [812.5, 790.25, 805]);
+});
+
+test('does not take "1,234" thousands grouping for decimal commas', () => {
+  const records = [['1,234', '0.812'], ['2,345', '0.790'], ['12,000', '0.805']].map(fields => ({ fields }));
+  assert.equal(detectDecimalSeparator(records), '.');
+
+  const text = 'Steps;Interval (s)\n1,234;0.812\n2,345;0.790\n12,000;0.805\n';
+  const { decimalSeparator, data } = parseCSV(text);
+  assert.equal(decimalSeparator, '.');
+  assert.deepEqual(data.map(row => row['Interval (s)']), [0.812, 0.79, 0.805]);
+  // Grouped numbers stay text rather than becoming 1.234
+  assert.equal(data[0].Steps, '1,234');
+  assert.equal(parseNumber('0,812', ','), 0.812);
+  assert.equal(parseNumber('12 ms'), null);
+});
+
+test('decodes UTF-16LE with a byte order mark', () => {
+  const bytes = new Uint8Array(Buffer.from('\ufeffTime\tIBI (µs)\n0\t812000\n', 'utf16le'));
+  const { text, encoding } = decodeText(bytes);
+  assert.equal(encoding, 'utf-16le');
+  assert.equal(text, 'Time\tIBI (µs)\n0\t812000\n');
+  assert.deepEqual(parseCSV(text).data, [{ Time: 0, 'IBI (µs)': 812000 }]);
+});
+
+test('falls back to Windows-1252 when the bytes are not UTF-8', () => {
+  // “Zeit” € café in Windows-1252: curly quotes and € live in 0x80-0x9F, é is Latin-1
+  const bytes = new Uint8Array([0x93, 0x5a, 0x65, 0x69, 0x74, 0x94, 0x20, 0x80, 0x20, 0x63, 0x61, 0x66, 0xe9]);
+  assert.deepEqual(decodeText(bytes), { text: '“Zeit” € café', encoding: 'windows-1252' });
+
+  const utf8 = new Uint8Array(Buffer.from('\ufeffcafé,€', 'utf8'));
+  assert.deepEqual(decodeText(utf8), { text: 'café,€', encoding: 'utf-8' });
+});
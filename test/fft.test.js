@@ -0,0 +1,102 @@
+// FFT against a naive DFT, and the speed target of the FFT spectral path
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fft, realPowerSpectrum } from '../utils/FFT';
+import { calculateFrequencyDomainMetrics, calculateTimeFrequency } from '../utils/HRVAnalysis';
+import { synthesizeIBI } from './helpers';
+
+const RADIX2_SIZES = [1, 2, 4, 8, 64, 256, 1024];
+const BLUESTEIN_SIZES = [3, 5, 7, 12, 100, 127, 600, 1000];
+// Relative to the largest bin magnitude
+const DFT_TOLERANCE = 1e-9;
+// FFT periodogram plus the sliding-window spectrogram of one hour of beats. They
+// take about 30 ms warm; the budget leaves a wide margin for a loaded runner,
+// and the best of a few runs is timed
+const ONE_HOUR_BUDGET_MS = 1000;
+const TIMED_RUNS = 3;
+
+const naiveDFT = (re, im) => {
+  const N = re.length;
+  const outRe = new Float64Array(N);
+  const outIm = new Float64Array(N);
+  for (let k = 0; k < N; k++) {
+    for (let n = 0; n < N; n++) {
+      const angle = -2 * Math.PI * ((k * n) % N) / N;
+      outRe[k] += re[n] * Math.cos(angle) - im[n] * Math.sin(angle);
+      outIm[k] += re[n] * Math.sin(angle) + im[n] * Math.cos(angle);
+    }
+  }
+  return { re: outRe, im: outIm };
+};
+
+const randomSignal = (size, seed) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+  return {
+    re: Float64Array.from({ length: size }, random),
+    im: Float64Array.from({ length: size }, random)
+  };
+};
+
+const assertMatchesDFT = (size) => {
+  const input = randomSignal(size, size + 1);
+  const expected = naiveDFT(input.re, input.im);
+  const re = input.re.slice();
+  const im = input.im.slice();
+  fft(re, im);
+
+  const scale = Math.max(1, ...expected.re.map((val, k) => Math.hypot(val, expected.im[k])));
+  for (let k = 0; k < size; k++) {
+    const error = Math.hypot(re[k] - expected.re[k], im[k] - expected.im[k]);
+    assert.ok(error <= DFT_TOLERANCE * scale, `N=${size}, bin ${k}: error ${error}`);
+  }
+};
+
+test('radix-2 FFT matches the DFT', () => {
+  RADIX2_SIZES.forEach(assertMatchesDFT);
+});
+
+test('Bluestein FFT matches the DFT for other lengths', () => {
+  BLUESTEIN_SIZES.forEach(assertMatchesDFT);
+});
+
+test('realPowerSpectrum returns |X_k|² of a real signal', () => {
+  [256, 600].forEach(size => {
+    const { re } = randomSignal(size, 7);
+    const expected = naiveDFT(re, new Float64Array(size));
+    const binCount = Math.floor(size / 2) + 1;
+    const power = realPowerSpectrum(re, binCount);
+    for (let k = 0; k < binCount; k++) {
+      const exact = expected.re[k] ** 2 + expected.im[k] ** 2;
+      assert.ok(Math.abs(power[k] - exact) <= DFT_TOLERANCE * Math.max(1, exact), `N=${size}, bin ${k}`);
+    }
+  });
+});
+
+test('the FFT spectral and sliding-window path handles 1 hour well under a second', () => {
+  const ibi = synthesizeIBI({
+    duration: 3600,
+    components: [{ frequency: 0.1, amplitude: 50 }, { frequency: 0.25, amplitude: 20 }],
+    noise: 15
+  });
+  const spectralPath = () => ({
+    frequency: calculateFrequencyDomainMetrics(ibi, { method: 'fft' }),
+    windows: calculateTimeFrequency(ibi, { estimator: 'fft' })
+  });
+  // Warm up so the timing measures the analysis, not compilation
+  const { frequency, windows } = spectralPath();
+  assert.ok(frequency.lfPower > 0);
+  assert.ok(windows.times.length > 600);
+
+  let best = Infinity;
+  for (let run = 0; run < TIMED_RUNS; run++) {
+    const start = Date.now();
+    spectralPath();
+    best = Math.min(best, Date.now() - start);
+  }
+  assert.ok(best < ONE_HOUR_BUDGET_MS, `${ibi.length} beats took ${best} ms`);
+});
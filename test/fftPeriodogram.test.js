@@ -0,0 +1,39 @@
+// 'fft' periodogram estimator: detrended and scaled like Welch, so both agree
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAdvancedHRVMetrics } from '../utils/HRVAnalysis';
+import { readFixture, synthesizeIBI } from './helpers';
+
+// A single periodogram has more variance than Welch's average; band powers
+// integrate many bins, so they stay well within this
+const ESTIMATOR_AGREEMENT = 0.1;
+
+const bandPowers = (ibi, method) => calculateAdvancedHRVMetrics(ibi, { spectral: { method } }).frequency;
+
+const assertClose = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance * expected, `${label}: ${actual} vs ${expected}`);
+};
+
+test('FFT and Welch band powers agree on the bundled capture', () => {
+  const ibi = readFixture('raw_filtered_capture_ibi_corrected.csv').map(row => row.ibi_corrected_ms);
+  const welch = bandPowers(ibi, 'welch');
+  const fft = bandPowers(ibi, 'fft');
+  assert.equal(fft.method, 'fft');
+  assertClose(fft.lfPower, welch.lfPower, ESTIMATOR_AGREEMENT, 'LF');
+  assertClose(fft.hfPower, welch.hfPower, ESTIMATOR_AGREEMENT, 'HF');
+});
+
+test('FFT recovers the power of known oscillations', () => {
+  // A sinusoid of amplitude A carries A²/2: 1250 ms² at 0.1 Hz, 200 ms² at 0.25 Hz
+  const ibi = synthesizeIBI({
+    duration: 600,
+    components: [{ frequency: 0.1, amplitude: 50 }, { frequency: 0.25, amplitude: 20 }],
+    noise: 15
+  });
+  const fft = bandPowers(ibi, 'fft');
+  assertClose(fft.lfPower, 1250, ESTIMATOR_AGREEMENT, 'LF');
+  assertClose(fft.hfPower, 200, ESTIMATOR_AGREEMENT, 'HF');
+  // The mean IBI (850 ms) must not leak into the bands
+  assert.ok(fft.vlfPower < 50, `VLF ${fft.vlfPower}`);
+});
@@ -0,0 +1,84 @@
+// Test helpers - fixture loading, synthetic series and archives shared by the node:test suites
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { parseCSV } from '../utils/CSVParser';
+
+export const FIXTURE_DIR = path.join(__dirname, '..', 'hrv_pipeline', 'data');
+
+/**
+ * Rows of a CSV under hrv_pipeline/data, parsed the way the app imports it
+ */
+export const readFixture = (name) => parseCSV(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8')).data;
+
+/**
+ * Synthetic IBI series (ms): meanIBI plus sinusoids sampled at each beat, plus uniform noise
+ * @param {Object} options - { duration (s), meanIBI, components: [{ frequency, amplitude }],
+ *   noise (peak-to-peak ms), seed }
+ */
+export const synthesizeIBI = ({ duration, meanIBI = 850, components = [], noise = 0, seed = 1 }) => {
+  // Park-Miller generator, so every run sees the same series
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  const ibi = [];
+  let time = 0;
+  while (time < duration) {
+    let value = meanIBI + noise * (random() - 0.5);
+    components.forEach(({ frequency, amplitude }) => {
+      value += amplitude * Math.sin(2 * Math.PI * frequency * time);
+    });
+    ibi.push(value);
+    time += value / 1000;
+  }
+  return ibi;
+};
+
+/**
+ * ZIP archive bytes from [{ name, data (Uint8Array), method (0 stored, 8 deflate), compressed }],
+ * where compressed is the raw deflate stream of a method 8 entry
+ */
+export const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data, method = 0, compressed = data }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, Buffer.from(compressed));
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+};
@@ -0,0 +1,84 @@
+// Normative reference lookups, against a test table (no published table is bundled yet)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NORM_AGE_BANDS,
+  REFERENCE_TABLES,
+  assessAgainstNorms,
+  describePercentile,
+  findAgeBand,
+  getReferenceRange,
+  hasReferenceTables,
+  ordinal,
+  percentileFor
+} from '../utils/HRVNorms';
+
+// Quartiles symmetric on a log scale, so p25 and p75 map to the 25th and 75th percentiles
+const row = (median) => [median / 2, median, median * 2];
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+const TABLES = {
+  rmssd: {
+    source: 'test table',
+    female: NORM_AGE_BANDS.map((_, i) => row(40 - 2 * i)),
+    male: NORM_AGE_BANDS.map((_, i) => (i === 6 ? null : row(20 - i)))
+  }
+};
+
+test('finds the age band at its edges', () => {
+  assert.equal(findAgeBand(17), null);
+  assert.equal(findAgeBand(18).id, '18-24');
+  assert.equal(findAgeBand(24).id, '18-24');
+  assert.equal(findAgeBand(25).id, '25-34');
+  assert.equal(findAgeBand(74).id, '65-74');
+  assert.equal(findAgeBand(75).id, '75+');
+  assert.equal(findAgeBand(102).id, '75+');
+  assert.equal(findAgeBand(null), null);
+  assert.equal(findAgeBand(NaN), null);
+});
+
+test('pools quartiles without an age or sex', () => {
+  const female25 = getReferenceRange('rmssd', { age: 30, sex: 'female' }, TABLES);
+  close(female25.median, 38);
+  assert.equal(female25.ageBand, '25-34');
+  assert.equal(female25.source, 'test table');
+
+  // Geometric mean of the female (38) and male (19) medians
+  const both = getReferenceRange('rmssd', { age: 30 }, TABLES);
+  close(both.median, Math.sqrt(38 * 19));
+  assert.equal(both.sex, null);
+
+  // Every female band: medians 40, 38, ... 28
+  const allAges = getReferenceRange('rmssd', { sex: 'female' }, TABLES);
+  const expected = Math.exp(NORM_AGE_BANDS.reduce((sum, _, i) => sum + Math.log(40 - 2 * i), 0) / 7);
+  close(allAges.median, expected);
+  assert.equal(allAges.ageBand, null);
+
+  // A band the source does not cover has no range
+  assert.equal(getReferenceRange('rmssd', { age: 80, sex: 'male' }, TABLES), null);
+  assert.equal(getReferenceRange('sdnn', { age: 30 }, TABLES), null);
+});
+
+test('places the median at the 50th and the quartiles at the 25th and 75th percentile', () => {
+  const profile = { age: 50, sex: 'male' };
+  const { p25, median, p75 } = getReferenceRange('rmssd', profile, TABLES);
+  assert.equal(percentileFor('rmssd', median, profile, TABLES).percentile, 50);
+  assert.equal(percentileFor('rmssd', p25, profile, TABLES).percentile, 25);
+  assert.equal(percentileFor('rmssd', p75, profile, TABLES).percentile, 75);
+  assert.equal(percentileFor('rmssd', 0, profile, TABLES), null);
+  assert.equal(describePercentile('rmssd', median, profile, TABLES), 'RMSSD at the 50th percentile for your age group (45-54, male)');
+});
+
+test('shows no percentiles without a published table', () => {
+  assert.equal(hasReferenceTables(REFERENCE_TABLES), false);
+  const metrics = { timeDomain: { rmssd: 20, sdnn: 30 }, frequency: { hfPower: 200, lfhfRatio: 2 } };
+  assert.deepEqual(assessAgainstNorms(metrics, { age: 60, sex: 'male' }), []);
+  assert.equal(assessAgainstNorms(metrics, { age: 60, sex: 'male' }, TABLES).length, 1);
+});
+
+test('writes ordinals', () => {
+  assert.deepEqual(
+    [1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 50, 99].map(ordinal),
+    ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '23rd', '50th', '99th']
+  );
+});
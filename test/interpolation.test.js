@@ -0,0 +1,127 @@
+// RR resampling - the linear scheme against the original scan, and the cubic and monotone schemes
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolateRRIntervals } from '../utils/HRVAnalysis';
+import { synthesizeIBI } from './helpers';
+
+const TOLERANCE = 1e-9;
+
+/**
+ * The original O(samples × beats) linear resampler, kept as the reference
+ */
+const scanLinear = (ibiData) => {
+  const cumulativeTime = [0];
+  for (let i = 0; i < ibiData.length; i++) {
+    cumulativeTime.push(cumulativeTime[i] + ibiData[i] / 1000);
+  }
+  const sampleRate = 8;
+  const totalDuration = cumulativeTime[cumulativeTime.length - 1];
+  const numSamples = Math.floor(totalDuration * sampleRate);
+  const interpolatedRR = new Array(numSamples);
+  const timeStep = 1 / sampleRate;
+  for (let i = 0; i < numSamples; i++) {
+    const targetTime = i * timeStep;
+    let leftIndex = 0;
+    for (let j = 0; j < cumulativeTime.length - 1; j++) {
+      if (cumulativeTime[j] <= targetTime && targetTime < cumulativeTime[j + 1]) {
+        leftIndex = j;
+        break;
+      }
+    }
+    if (leftIndex < ibiData.length - 1) {
+      const t1 = cumulativeTime[leftIndex];
+      const t2 = cumulativeTime[leftIndex + 1];
+      const weight = (targetTime - t1) / (t2 - t1);
+      interpolatedRR[i] = ibiData[leftIndex] + weight * (ibiData[leftIndex + 1] - ibiData[leftIndex]);
+    } else {
+      interpolatedRR[i] = ibiData[ibiData.length - 1];
+    }
+  }
+  return interpolatedRR;
+};
+
+/**
+ * IBIs whose values lie on f at their own start times (knot i sits at the sum of IBIs before it)
+ */
+const ibiOnCurve = (f, count) => {
+  const ibi = [];
+  let time = 0;
+  for (let i = 0; i < count; i++) {
+    ibi.push(f(time));
+    time += ibi[i] / 1000;
+  }
+  return ibi;
+};
+
+const knotsOf = (ibi) => ibi.map((_, i) => ibi.slice(0, i).reduce((sum, val) => sum + val, 0) / 1000);
+
+test('linear output is identical to the original scan on an irregular series', () => {
+  const ibi = synthesizeIBI({
+    duration: 600,
+    components: [{ frequency: 0.1, amplitude: 60 }, { frequency: 0.3, amplitude: 25 }],
+    noise: 120,
+    seed: 11
+  });
+  const result = interpolateRRIntervals(ibi);
+  assert.equal(result.method, 'linear');
+  assert.equal(result.sampleRate, 8);
+  assert.deepEqual(result.interpolatedRR, scanLinear(ibi));
+});
+
+test('cubic is the not-a-knot spline: it reproduces a cubic exactly', () => {
+  // A natural or clamped spline would bend away from the cubic near the ends
+  const cubic = (t) => 850 + 40 * t - 6 * t * t + 0.3 * t * t * t;
+  const ibi = ibiOnCurve(cubic, 10);
+  const knots = knotsOf(ibi);
+  const { interpolatedRR, method, sampleRate } = interpolateRRIntervals(ibi, { method: 'cubic', sampleRate: 10 });
+  assert.equal(method, 'cubic');
+
+  let checked = 0;
+  interpolatedRR.forEach((value, i) => {
+    const t = i / sampleRate;
+    if (t >= knots[knots.length - 1]) return;
+    assert.ok(Math.abs(value - cubic(t)) < 1e-6, `t=${t}: ${value} vs ${cubic(t)}`);
+    checked++;
+  });
+  assert.ok(checked > 60);
+});
+
+test('monotone is PCHIP: it matches hand-derived values and does not overshoot a step', () => {
+  // Knots [0, 1, 3, 4] s with values [1000, 2000, 1000, 1000]: the interior slopes are 0
+  // (local maximum, then a flat stretch), the first end slope is
+  // ((2·1 + 2)·1000 - 1·(-500)) / 3 = 1500 ms/s, the last is 0. At t = 0.5 the Hermite
+  // basis gives 0.5·1000 + 0.125·1·1500 + 0.5·2000 = 1687.5
+  const peak = interpolateRRIntervals([1000, 2000, 1000, 1000], { method: 'monotone', sampleRate: 2 });
+  assert.equal(peak.method, 'monotone');
+  assert.ok(Math.abs(peak.interpolatedRR[1] - 1687.5) < TOLERANCE);
+  assert.equal(peak.interpolatedRR[2], 2000);
+  // Flat stretches stay flat
+  peak.interpolatedRR.slice(6).forEach(value => assert.ok(Math.abs(value - 1000) < TOLERANCE));
+
+  // A step with zero slopes either side follows 3s² - 2s³ between the knots at 1.6 and 2.4 s
+  const step = [800, 800, 800, 1000, 1000, 1000];
+  const smooth = interpolateRRIntervals(step, { method: 'monotone', sampleRate: 10 }).interpolatedRR;
+  assert.ok(Math.abs(smooth[18] - 831.25) < 1e-6);
+  assert.ok(Math.abs(smooth[20] - 900) < 1e-6);
+
+  // On a noisy step every sample stays between its two knots; the cubic spline overshoots
+  const noisy = [
+    ...Array.from({ length: 8 }, (_, i) => 800 + (i % 3) * 5),
+    ...Array.from({ length: 8 }, (_, i) => 1100 - (i % 2) * 5)
+  ];
+  const knots = knotsOf(noisy);
+  const between = (values, sampleRate) => values.every((value, i) => {
+    const t = i / sampleRate;
+    let k = 0;
+    while (k < knots.length - 2 && t >= knots[k + 1]) k++;
+    if (t >= knots[knots.length - 1]) return value === noisy[noisy.length - 1];
+    return value >= Math.min(noisy[k], noisy[k + 1]) - TOLERANCE && value <= Math.max(noisy[k], noisy[k + 1]) + TOLERANCE;
+  });
+  assert.equal(between(interpolateRRIntervals(noisy, { method: 'monotone', sampleRate: 20 }).interpolatedRR, 20), true);
+  assert.equal(between(interpolateRRIntervals(noisy, { method: 'cubic', sampleRate: 20 }).interpolatedRR, 20), false);
+});
+
+test('rejects an unknown scheme', () => {
+  assert.throws(() => interpolateRRIntervals([800, 810, 820], { method: 'quintic' }), /Unknown interpolation method/);
+});
@@ -0,0 +1,36 @@
+// Breathing rate from RSA - confidence when the tracked and spectral rates disagree
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateRespirationRate } from '../utils/HRVAnalysis';
+import { synthesizeIBI } from './helpers';
+
+const fiveMinutes = (components) => synthesizeIBI({ duration: 300, components, noise: 20 });
+
+test('tracks a single breathing rhythm with high confidence', () => {
+  const result = estimateRespirationRate(fiveMinutes([{ frequency: 0.25, amplitude: 40 }]));
+  assert.equal(result.rate, 15);
+  assert.equal(result.spectralRate, 15);
+  assert.equal(result.competingRate, null);
+  assert.ok(result.confidence > 0.7, `confidence ${result.confidence}`);
+});
+
+test('lowers the confidence when LF and HF rhythms are mixed', () => {
+  // 0.1 Hz and 0.25 Hz together: the tracked swings (about 5.5/min) miss the
+  // spectral peak (6/min), and the 15/min peak competes with it
+  const result = estimateRespirationRate(fiveMinutes([
+    { frequency: 0.1, amplitude: 50 },
+    { frequency: 0.25, amplitude: 20 }
+  ]));
+  assert.equal(result.spectralRate, 6);
+  assert.notEqual(result.rate, result.spectralRate);
+  assert.equal(result.competingRate, 15);
+  assert.ok(result.agreement < 0.7, `agreement ${result.agreement}`);
+  assert.ok(result.confidence < 0.35, `confidence ${result.confidence}`);
+
+  const equal = estimateRespirationRate(fiveMinutes([
+    { frequency: 0.1, amplitude: 30 },
+    { frequency: 0.25, amplitude: 30 }
+  ]));
+  assert.ok(equal.confidence < 0.1, `confidence ${equal.confidence}`);
+});
@@ -0,0 +1,49 @@
+// RR export detection - numeric tables the CSV import already knows stay out of the RR adapters
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRRFormat, readRRFile } from '../utils/RRFormats';
+
+const toBytes = (text) => new TextEncoder().encode(text);
+
+const table = (header, row) =>
+  [header, ...Array.from({ length: 20 }, (_, i) => row(i))].join('\n');
+
+test('leaves known CSV schemas to the CSV import', () => {
+  const vitals = table('Time\tHeartRate (bpm)\tSystolic (mmHg)', i => `${i}\t${70 + (i % 3)}\t${120 + i}`);
+  const pipeline = table('beat_index\tpeak_time_s\tibi_ms\tbpm\trolling_med_ms\tvalid',
+    i => `${i}\t${(i * 0.82).toFixed(3)}\t820\t73.2\t820\t1`);
+  assert.equal(detectRRFormat(toBytes(vitals)), null);
+  assert.equal(detectRRFormat(toBytes(pipeline)), null);
+});
+
+test('returns null for a numeric table without an RR column', () => {
+  const counts = table('Time (s)\tSteps', i => `${i}\t${i * 12}`);
+  assert.equal(detectRRFormat(toBytes(counts)), 'kubios');
+  assert.equal(readRRFile(toBytes(counts)), null);
+});
+
+test('still reads Kubios and plain RR exports', () => {
+  const rr = (i) => (0.8 + (i % 5) * 0.02).toFixed(3);
+  const kubios = table('Time(s)\tRR(s)', i => `${(i * 0.85).toFixed(3)}\t${rr(i)}`);
+  const plain = table('RR intervals', i => rr(i));
+
+  const fromKubios = readRRFile(toBytes(kubios));
+  assert.equal(fromKubios.source, 'kubios');
+  assert.equal(fromKubios.ibiMs.length, 20);
+  assert.equal(fromKubios.ibiMs[1], 820);
+
+  const fromText = readRRFile(toBytes(plain));
+  assert.equal(fromText.source, 'rrText');
+  assert.deepEqual(fromText.ibiMs, fromKubios.ibiMs);
+});
+
+test('reads the recording start time of an HRM file', () => {
+  const hrm = [
+    '[Params]', 'Version=106', 'Interval=238', 'Date=20240315', 'StartTime=08:30:15.5', '',
+    '[HRData]', ...Array.from({ length: 20 }, () => '820')
+  ].join('\n');
+  const recording = readRRFile(toBytes(hrm));
+  assert.equal(recording.source, 'hrm');
+  assert.equal(recording.metadata.startedAt, new Date(2024, 2, 15, 8, 30, 15, 500).getTime());
+});
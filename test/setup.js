@@ -0,0 +1,6 @@
+// Test setup - compiles the app's ES modules for node:test with the project Babel config
+// Loaded with `node --require`, so it stays CommonJS itself.
+
+require('@babel/register')({
+  only: [filename => !filename.includes('node_modules')]
+});
@@ -0,0 +1,51 @@
+// Time-domain metrics - the HRV card and the visualization read one analysis result
+//
+// The expected values are numpy's on the ibi_corrected_ms column of
+// raw_filtered_capture_ibi_corrected.csv (SDNN with ddof=1, the sample standard
+// deviation; compute_psd.py prints the population one).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFixture } from './helpers';
+import { detectPipelineSchema, readPipelineTable } from '../utils/PipelineImport';
+import { startAnalysisTask } from '../utils/AnalysisWorker';
+
+const EXPECTED = { sampleCount: 71, meanNN: 805.21, sdnn: 77.89, rmssd: 61.84, pnn50: 37.14, hrvIndex: 96.74 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Imported the way DataScreen imports a pipeline IBI file
+const loadAnalysis = async () => {
+  const data = readFixture('raw_filtered_capture_ibi_corrected.csv');
+  const table = readPipelineTable(detectPipelineSchema(Object.keys(data[0])), data);
+  const task = startAnalysisTask(table.ibiMs, {
+    importedArtifacts: { ...table.artifacts, label: 'Python pipeline' },
+    beatTimes: table.beatTimes
+  }, { sliceMs: 1000 });
+  return task.promise;
+};
+
+test('card values match the reference', async () => {
+  const { timeDomain, rawData } = await loadAnalysis();
+  assert.equal(rawData.sampleCount, EXPECTED.sampleCount);
+  ['meanNN', 'sdnn', 'rmssd', 'pnn50', 'hrvIndex'].forEach(metric => {
+    assert.equal(timeDomain[metric], EXPECTED[metric], metric);
+  });
+});
+
+test('visualization inputs give the card values', async () => {
+  const { timeDomain, rawData } = await loadAnalysis();
+  // HRVVisualization draws rawData.ibiValues and labels the tachogram with timeDomain.meanNN
+  const ibi = rawData.ibiValues;
+  const mean = ibi.reduce((sum, value) => sum + value, 0) / ibi.length;
+  const sdnn = Math.sqrt(ibi.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (ibi.length - 1));
+  const diffs = ibi.slice(1).map((value, i) => value - ibi[i]);
+  const rmssd = Math.sqrt(diffs.reduce((sum, diff) => sum + diff * diff, 0) / diffs.length);
+  const pnn50 = diffs.filter(diff => Math.abs(diff) > 50).length / diffs.length * 100;
+
+  assert.equal(ibi.length, rawData.sampleCount);
+  assert.deepEqual(
+    { meanNN: round2(mean), sdnn: round2(sdnn), rmssd: round2(rmssd), pnn50: round2(pnn50), hrvIndex: round2(sdnn / mean * 1000) },
+    { meanNN: timeDomain.meanNN, sdnn: timeDomain.sdnn, rmssd: timeDomain.rmssd, pnn50: timeDomain.pnn50, hrvIndex: timeDomain.hrvIndex }
+  );
+});
@@ -0,0 +1,53 @@
+// Welch PSD against hrv_pipeline/scripts/compute_psd.py on the bundled capture
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAdvancedHRVMetrics } from '../utils/HRVAnalysis';
+import { readFixture } from './helpers';
+
+// compute_psd.py writes s²/Hz; the app's spectra are in ms²/Hz
+const S2_TO_MS2 = 1e6;
+// Both sides use double precision throughout, so bins agree far below this
+const PSD_RELATIVE_TOLERANCE = 1e-6;
+// psd_values.csv rounds frequencies to 5 decimals
+const FREQUENCY_TOLERANCE_HZ = 1e-5;
+// Band powers are reported rounded to whole ms²
+const BAND_POWER_RELATIVE_TOLERANCE = 1e-3;
+
+const ibi = readFixture('raw_filtered_capture_ibi_corrected.csv').map(row => row.ibi_corrected_ms);
+const reference = readFixture('raw_filtered_capture_psd_values.csv');
+
+/**
+ * band_power() of compute_psd.py: trapezoid over bins with low <= f < high
+ */
+const pipelineBandPower = (low, high) => {
+  const bins = reference.filter(row => row.frequency_hz >= low && row.frequency_hz < high);
+  return bins.slice(1).reduce((sum, row, i) =>
+    sum + (row.frequency_hz - bins[i].frequency_hz) * (row.psd_s2_per_hz + bins[i].psd_s2_per_hz) / 2, 0) * S2_TO_MS2;
+};
+
+test('Welch PSD matches psd_values.csv bin by bin', () => {
+  const { frequency } = calculateAdvancedHRVMetrics(ibi);
+  assert.equal(frequency.method, 'welch');
+  assert.equal(frequency.psdData.length, reference.length);
+
+  reference.forEach((row, k) => {
+    assert.ok(
+      Math.abs(frequency.frequencies[k] - row.frequency_hz) <= FREQUENCY_TOLERANCE_HZ,
+      `bin ${k}: ${frequency.frequencies[k]} Hz vs ${row.frequency_hz} Hz`
+    );
+    const expected = row.psd_s2_per_hz * S2_TO_MS2;
+    assert.ok(
+      Math.abs(frequency.psdData[k] - expected) <= PSD_RELATIVE_TOLERANCE * expected,
+      `bin ${k}: ${frequency.psdData[k]} vs ${expected} ms²/Hz`
+    );
+  });
+});
+
+test('LF and HF powers match the pipeline band integration', () => {
+  const { frequency } = calculateAdvancedHRVMetrics(ibi);
+  const lf = pipelineBandPower(0.04, 0.15);
+  const hf = pipelineBandPower(0.15, 0.4);
+  assert.ok(Math.abs(frequency.lfPower - lf) <= BAND_POWER_RELATIVE_TOLERANCE * lf, `LF ${frequency.lfPower} vs ${lf}`);
+  assert.ok(Math.abs(frequency.hfPower - hf) <= BAND_POWER_RELATIVE_TOLERANCE * hf, `HF ${frequency.hfPower} vs ${hf}`);
+});
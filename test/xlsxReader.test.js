@@ -0,0 +1,144 @@
+// ZIP inflate and XLSX workbook reading, on archives built with Node's zlib
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { inflateRaw, readZipEntries, extractZipEntry } from '../utils/Zip';
+import { openWorkbook } from '../utils/XLSXReader';
+import { buildZip } from './helpers';
+
+const bytesOf = (text) => new Uint8Array(Buffer.from(text, 'utf8'));
+
+// BTYPE of the first deflate block: 0 stored, 1 fixed Huffman, 2 dynamic Huffman
+const firstBlockType = (stream) => (stream[0] >> 1) & 3;
+
+// Repetitive but varied text, long enough for zlib to pick dynamic Huffman codes
+const TABLE_TEXT = Array.from({ length: 400 }, (_, i) => `${i},${800 + (i * 37) % 90},beat ${i % 7}`).join('\n');
+
+test('inflates stored, fixed and dynamic Huffman blocks', () => {
+  const data = bytesOf(TABLE_TEXT);
+  const streams = {
+    0: zlib.deflateRawSync(data, { level: 0 }),
+    1: zlib.deflateRawSync(data, { strategy: zlib.constants.Z_FIXED }),
+    2: zlib.deflateRawSync(data)
+  };
+  Object.entries(streams).forEach(([type, stream]) => {
+    assert.equal(firstBlockType(stream), Number(type));
+    assert.deepEqual(inflateRaw(new Uint8Array(stream), data.length), data);
+  });
+
+  // Several stored blocks of at most 65 535 bytes each
+  const large = bytesOf(TABLE_TEXT.repeat(20));
+  assert.deepEqual(inflateRaw(new Uint8Array(zlib.deflateRawSync(large, { level: 0 })), large.length), large);
+});
+
+test('reads stored and deflated ZIP entries', () => {
+  const stored = bytesOf('plain text entry');
+  const deflated = bytesOf(TABLE_TEXT);
+  const archive = buildZip([
+    { name: 'stored.txt', data: stored },
+    { name: 'dir/deflated.csv', data: deflated, method: 8, compressed: zlib.deflateRawSync(deflated) }
+  ]);
+
+  const entries = readZipEntries(archive);
+  assert.deepEqual([...entries.keys()], ['stored.txt', 'dir/deflated.csv']);
+  assert.equal(entries.get('dir/deflated.csv').method, 8);
+  assert.deepEqual(extractZipEntry(archive, entries.get('stored.txt')), stored);
+  assert.deepEqual(extractZipEntry(archive, entries.get('dir/deflated.csv')), deflated);
+  assert.throws(() => readZipEntries(bytesOf('not an archive at all, just some text')), /Not a ZIP archive/);
+});
+
+const WORKBOOK = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+  xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    <sheet name="Readings" sheetId="1" r:id="rId1"/>
+    <sheet name="Notes &amp; Log" sheetId="2" r:id="rId2"/>
+  </sheets>
+</workbook>`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+</Relationships>`;
+
+// Shared strings: a plain one, a rich-text run with an entity, one with a phonetic hint
+const SHARED_STRINGS = `<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="3" uniqueCount="3">
+  <si><t>Time</t></si>
+  <si><r><t>HeartRate </t></r><r><rPr><b/></rPr><t>(bpm) &amp; more</t></r></si>
+  <si><t>rest</t><rPh sb="0" eb="1"><t>ignored</t></rPh></si>
+</sst>`;
+
+// Styles 1-3: built-in date (14), custom date-time (164), built-in time (21)
+const STYLES = `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+  <numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd hh:mm:ss"/></numFmts>
+  <cellXfs count="4">
+    <xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/><xf numFmtId="21"/>
+  </cellXfs>
+</styleSheet>`;
+
+const SHEET1 = `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+  <row r="1">
+    <c r="A1" t="s"><v>0</v></c><c r="B1" t="inlineStr"><is><t>IBI (mS)</t></is></c>
+    <c r="C1" t="s"><v>1</v></c><c r="D1" t="s"><v>2</v></c><c r="E1" t="inlineStr"><is><t>Day</t></is></c>
+    <c r="F1" t="inlineStr"><is><t>Clock</t></is></c>
+  </row>
+  <row r="2">
+    <c r="A2" s="2"><v>45366.5</v></c><c r="B2"><v>812.5</v></c><c r="C2"><v>74</v></c>
+    <c r="E2" s="1"><v>45366</v></c><c r="F2" s="3"><v>0.25</v></c>
+  </row>
+  <row r="4">
+    <c r="A4" s="2"><v>45366.500011574</v></c><c r="B4"><v>790</v></c><c r="C4" t="b"><v>1</v></c>
+    <c r="D4" t="str"><v>a &lt; b</v></c>
+  </row>
+</sheetData></worksheet>`;
+
+const SHEET2 = `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+  <row r="1"><c r="A1" t="inlineStr"><is><t>Note</t></is></c></row>
+  <row r="2"><c r="A2" t="s"><v>2</v></c></row>
+</sheetData></worksheet>`;
+
+const buildWorkbook = () => {
+  const part = (name, xml, deflate = true) => {
+    const data = bytesOf(xml);
+    return deflate
+      ? { name, data, method: 8, compressed: zlib.deflateRawSync(data) }
+      : { name, data };
+  };
+  return buildZip([
+    part('xl/workbook.xml', WORKBOOK),
+    part('xl/_rels/workbook.xml.rels', RELATIONSHIPS, false),
+    part('xl/sharedStrings.xml', SHARED_STRINGS),
+    part('xl/styles.xml', STYLES),
+    part('xl/worksheets/sheet1.xml', SHEET1),
+    part('xl/worksheets/sheet2.xml', SHEET2, false)
+  ]);
+};
+
+test('lists worksheets and reads shared strings, inline strings and date cells', () => {
+  const workbook = openWorkbook(buildWorkbook());
+  assert.deepEqual(workbook.sheets, [
+    { name: 'Readings', path: 'xl/worksheets/sheet1.xml' },
+    { name: 'Notes & Log', path: 'xl/worksheets/sheet2.xml' }
+  ]);
+
+  const { headers, data, sheet } = workbook.readSheet('Readings');
+  assert.equal(sheet, 'Readings');
+  assert.deepEqual(headers, ['Time', 'IBI (mS)', 'HeartRate (bpm) & more', 'rest', 'Day', 'Clock']);
+  assert.deepEqual(data, [
+    { Time: '2024-03-15 12:00:00', 'IBI (mS)': 812.5, 'HeartRate (bpm) & more': 74, rest: '', Day: '2024-03-15', Clock: '06:00:00' },
+    { Time: '2024-03-15 12:00:01', 'IBI (mS)': 790, 'HeartRate (bpm) & more': true, rest: 'a < b', Day: '', Clock: '' }
+  ]);
+
+  assert.deepEqual(workbook.readSheet('Notes & Log').data, [{ Note: 'rest' }]);
+});
+
+test('rejects legacy .xls and non-workbook files with a clear message', () => {
+  const ole = new Uint8Array(512);
+  ole.set([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+  assert.throws(() => openWorkbook(ole), /legacy Excel 97-2003 \(\.xls\)/);
+  assert.throws(() => openWorkbook(bytesOf('Time,IBI\n0,800\n')), /not a readable \.xlsx workbook/);
+  const noWorkbook = buildZip([{ name: 'word/document.xml', data: bytesOf('<document/>') }]);
+  assert.throws(() => openWorkbook(noWorkbook), /No workbook found/);
+});
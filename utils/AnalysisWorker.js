@@ -0,0 +1,134 @@
+// Background HRV Analysis - runs file parsing and the analysis in short slices between UI frames
+// React Native gives app code a single JS thread, so their step generators are
+// advanced for at most `sliceMs` at a time and then hand control back, which
+// keeps rendering, progress updates and the cancel button responsive. This is
+// not a separate thread: the work still runs on the JS thread between frames,
+// so every step has to be bounded. The one superlinear step, ApEn / SampEn, is
+// computed over segments of NONLINEAR_DEFAULTS.entropySegmentBeats beats, which
+// keeps a 12-hour Holter export (about 50 000 beats) to seconds of work.
+
+import { createHRVAnalysisSteps } from './HRVAnalysis';
+
+export const ANALYSIS_STAGES = [
+  { id: 'parsing', label: 'Reading file' },
+  { id: 'correction', label: 'Correcting artifacts' },
+  { id: 'timeDomain', label: 'Time-domain metrics' },
+  { id: 'spectral', label: 'Spectral analysis' },
+  { id: 'respiration', label: 'Breathing rate' },
+  { id: 'nonlinear', label: 'Entropy and DFA' },
+  { id: 'windows', label: 'Sliding-window power' }
+];
+
+/**
+ * Overall progress (0-1) from a stage and the progress within it
+ */
+export const overallProgress = ({ stage, progress = 0 }) => {
+  const index = ANALYSIS_STAGES.findIndex(item => item.id === stage);
+  if (index < 0) return 0;
+  return (index + Math.min(Math.max(progress, 0), 1)) / ANALYSIS_STAGES.length;
+};
+
+/**
+ * Re-yield a generator's progress mapped onto [start, end] of its stage, so
+ * several steps can share one stage; promises and sent values pass through
+ * @returns The generator's result
+ */
+export function* withinProgress(steps, start, end) {
+  let step = steps.next();
+  while (!step.done) {
+    const value = step.value;
+    const scaled = value && typeof value.then !== 'function'
+      ? { ...value, progress: start + Math.min(Math.max(value.progress || 0, 0), 1) * (end - start) }
+      : value;
+    step = steps.next(yield scaled);
+  }
+  return step.value;
+}
+
+/**
+ * Run a step generator in the background
+ *
+ * The generator yields { stage, progress } between units of work, or a promise
+ * (e.g. a file read or a user choice) to pause on: the runner resumes it with
+ * the resolved value, or throws the rejection into it.
+ * @param {Generator} steps - Generator to run to completion
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Called with { stage, label, progress, overall }
+ *   at most once per slice
+ * @param {number} [callbacks.sliceMs=16] - Longest stretch of work between yields
+ * @returns {Object} { promise, cancel } - promise resolves with the generator's result and
+ *   rejects with an error whose `cancelled` flag is set after cancel()
+ */
+export const startStepsTask = (steps, { onProgress, sliceMs = 16 } = {}) => {
+  let timer = null;
+  let settled = false;
+  let rejectTask = null;
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = (callback, value) => {
+      settled = true;
+      callback(value);
+    };
+    rejectTask = (error) => finish(reject, error);
+
+    const runSlice = (resume) => {
+      timer = null;
+      const sliceEnd = Date.now() + sliceMs;
+      let latest = null;
+      let waitFor = null;
+      try {
+        let step = resume();
+        while (!step.done) {
+          if (step.value && typeof step.value.then === 'function') {
+            waitFor = step.value;
+            break;
+          }
+          latest = step.value;
+          if (Date.now() >= sliceEnd) break;
+          step = steps.next();
+        }
+
+        if (latest && onProgress) {
+          const stage = ANALYSIS_STAGES.find(item => item.id === latest.stage);
+          onProgress({ ...latest, label: stage ? stage.label : latest.stage, overall: overallProgress(latest) });
+        }
+
+        // onProgress may have cancelled the task
+        if (settled) return;
+        if (step.done) {
+          finish(resolve, step.value);
+        } else if (waitFor) {
+          waitFor.then(
+            value => !settled && runSlice(() => steps.next(value)),
+            error => !settled && runSlice(() => steps.throw(error))
+          );
+        } else {
+          timer = setTimeout(() => runSlice(() => steps.next()), 0);
+        }
+      } catch (error) {
+        finish(reject, error);
+      }
+    };
+
+    timer = setTimeout(() => runSlice(() => steps.next()), 0);
+  });
+
+  const cancel = () => {
+    if (settled) return;
+    clearTimeout(timer);
+    timer = null;
+    rejectTask(Object.assign(new Error('Analysis cancelled'), { cancelled: true }));
+  };
+
+  return { promise, cancel };
+};
+
+/**
+ * Start calculateAdvancedHRVMetrics in the background (see startStepsTask)
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options] - Same options as calculateAdvancedHRVMetrics
+ * @param {Object} [callbacks] - { onProgress, sliceMs } as for startStepsTask
+ * @returns {Object} { promise, cancel }
+ */
+export const startAnalysisTask = (ibiData, options = {}, callbacks = {}) =>
+  startStepsTask(createHRVAnalysisSteps(ibiData, options), callbacks);
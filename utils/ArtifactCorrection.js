@@ -0,0 +1,244 @@
+// Beat Artifact Correction - port of hrv_pipeline/scripts/correct_ibi_artifacts.py
+// Flags deviating and ectopic beats and replaces them by interpolation
+
+export const ARTIFACT_DEFAULTS = {
+  deviationThreshold: 0.25,   // Flag if >25% deviation from rolling median
+  medianWindow: 7,            // Rolling median window (beats, centred)
+  minPeriods: 3,              // Beats needed in the window before a median is trusted
+  ectopicShortFraction: 0.8,  // Short IBI < 80% of median => possible ectopic first beat
+  ectopicLongFraction: 1.2    // Followed by long IBI > 120% => compensatory pause
+};
+
+/**
+ * Centred rolling median (pandas rolling(window, center=True, min_periods))
+ */
+const rollingMedian = (values, window, minPeriods) => {
+  // pandas centres even windows one step to the right
+  const right = Math.floor(window / 2);
+  const left = window - 1 - right;
+
+  return values.map((_, i) => {
+    const slice = values
+      .slice(Math.max(0, i - left), Math.min(values.length, i + right + 1))
+      .filter(val => !isNaN(val));
+    if (slice.length < minPeriods) return NaN;
+
+    const sorted = slice.sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  });
+};
+
+/**
+ * Flag artifact beats
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options] - Threshold overrides (see ARTIFACT_DEFAULTS)
+ * @returns {Object} Per-beat flags ('ok' | 'artifact'), reasons ('' | 'deviation' |
+ *   'ectopic_short' | 'ectopic_compensatory_pause'), deviations and rolling medians
+ */
+export const detectArtifacts = (ibiData, options = {}) => {
+  const settings = { ...ARTIFACT_DEFAULTS, ...options };
+  const n = ibiData.length;
+  const medians = rollingMedian(ibiData, settings.medianWindow, settings.minPeriods);
+
+  const flags = new Array(n).fill('ok');
+  const reasons = new Array(n).fill('');
+  const deviations = new Array(n).fill(null);
+
+  for (let i = 0; i < n; i++) {
+    const med = medians[i];
+    if (isNaN(med) || med <= 0) continue;
+
+    deviations[i] = Math.abs(ibiData[i] - med) / med;
+    if (deviations[i] > settings.deviationThreshold) {
+      flags[i] = 'artifact';
+      reasons[i] = 'deviation';
+    }
+  }
+
+  // Second pass: ectopic short-long pairs
+  for (let i = 0; i < n - 1; i++) {
+    const med = medians[i];
+    if (isNaN(med) || med <= 0) continue;
+
+    if (ibiData[i] < settings.ectopicShortFraction * med && ibiData[i + 1] > settings.ectopicLongFraction * med) {
+      if (flags[i] === 'ok') {
+        flags[i] = 'artifact';
+        reasons[i] = 'ectopic_short';
+      }
+      if (flags[i + 1] === 'ok') {
+        flags[i + 1] = 'artifact';
+        reasons[i + 1] = 'ectopic_compensatory_pause';
+      }
+    }
+  }
+
+  return { flags, reasons, deviations, rollingMedian: medians };
+};
+
+/**
+ * Replace flagged beats by linear interpolation (over beat index) between the
+ * nearest valid neighbours; never inserts zero
+ */
+export const correctArtifacts = (ibiData, flags) => {
+  const corrected = ibiData.map(val => parseFloat(val));
+  const validIdx = [];
+  flags.forEach((flag, i) => {
+    if (flag !== 'artifact') validIdx.push(i);
+  });
+
+  if (validIdx.length === ibiData.length) return corrected;
+
+  if (validIdx.length < 2) {
+    // Cannot interpolate with fewer than 2 valid points - fall back to the one valid beat or the mean
+    const fallback = validIdx.length === 1
+      ? corrected[validIdx[0]]
+      : corrected.reduce((sum, val) => sum + val, 0) / corrected.length;
+    return corrected.map((val, i) => (flags[i] === 'artifact' ? fallback : val));
+  }
+
+  // Walk the valid indices alongside the beats (np.interp, clamped at the ends)
+  let next = 0;
+  for (let i = 0; i < corrected.length; i++) {
+    if (flags[i] !== 'artifact') continue;
+    while (next < validIdx.length && validIdx[next] < i) next++;
+
+    if (next === 0) {
+      corrected[i] = corrected[validIdx[0]];
+    } else if (next === validIdx.length) {
+      corrected[i] = corrected[validIdx[validIdx.length - 1]];
+    } else {
+      const lo = validIdx[next - 1];
+      const hi = validIdx[next];
+      corrected[i] = corrected[lo] + (corrected[hi] - corrected[lo]) * (i - lo) / (hi - lo);
+    }
+  }
+
+  return corrected;
+};
+
+/**
+ * Detect and correct artifacts in one pass
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options] - Threshold overrides (see ARTIFACT_DEFAULTS)
+ * @returns {Object} Corrected series with per-beat flags, reasons and a summary
+ */
+export const detectAndCorrectArtifacts = (ibiData, options = {}) => {
+  const settings = { ...ARTIFACT_DEFAULTS, ...options };
+  const detection = detectArtifacts(ibiData, settings);
+  const corrected = correctArtifacts(ibiData, detection.flags);
+  const artifactCount = detection.flags.filter(flag => flag === 'artifact').length;
+
+  return {
+    corrected,
+    flags: detection.flags,
+    reasons: detection.reasons,
+    deviations: detection.deviations,
+    rollingMedian: detection.rollingMedian,
+    artifactCount,
+    artifactPercent: ibiData.length > 0 ? Math.round((artifactCount / ibiData.length) * 100 * 100) / 100 : 0,
+    settings
+  };
+};
+
+/**
+ * Kubios-style correction levels
+ *
+ * Threshold levels flag a beat when it differs from the local median by more
+ * than the threshold. Thresholds are given for 60 bpm and scaled by the mean
+ * IBI, so they tighten as heart rate rises. 'automatic' uses the adaptive
+ * deviation + ectopic-pair detector above.
+ */
+export const CORRECTION_LEVELS = {
+  none: { label: 'None', thresholdMs: null },
+  veryLow: { label: 'Very low', thresholdMs: 450 },
+  low: { label: 'Low', thresholdMs: 350 },
+  medium: { label: 'Medium', thresholdMs: 250 },
+  strong: { label: 'Strong', thresholdMs: 150 },
+  veryStrong: { label: 'Very strong', thresholdMs: 50 },
+  automatic: { label: 'Automatic', thresholdMs: null }
+};
+
+/**
+ * Flag beats further than a heart-rate-adjusted threshold from the local median
+ */
+export const detectThresholdArtifacts = (ibiData, thresholdMs, options = {}) => {
+  const settings = { ...ARTIFACT_DEFAULTS, ...options };
+  const meanIBI = ibiData.reduce((sum, val) => sum + val, 0) / ibiData.length;
+  const adjustedThreshold = thresholdMs * meanIBI / 1000;
+  const medians = rollingMedian(ibiData, settings.medianWindow, settings.minPeriods);
+
+  const flags = ibiData.map((val, i) =>
+    !isNaN(medians[i]) && Math.abs(val - medians[i]) > adjustedThreshold ? 'artifact' : 'ok'
+  );
+  const reasons = flags.map(flag => (flag === 'artifact' ? 'threshold' : ''));
+
+  return { flags, reasons, rollingMedian: medians, adjustedThreshold };
+};
+
+/**
+ * Detect and correct artifacts at a named correction level
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {string} level - Key of CORRECTION_LEVELS
+ * @param {Object} [options] - Threshold overrides (see ARTIFACT_DEFAULTS)
+ * @returns {Object} Corrected series, per-beat flags and reasons, and the threshold applied
+ */
+export const correctArtifactsAtLevel = (ibiData, level, options = {}) => {
+  const definition = CORRECTION_LEVELS[level];
+  if (!definition) {
+    throw new Error(`Unknown artifact correction level "${level}"`);
+  }
+
+  if (level === 'automatic') {
+    return { level, adjustedThresholdMs: null, ...detectAndCorrectArtifacts(ibiData, options) };
+  }
+
+  const settings = { ...ARTIFACT_DEFAULTS, ...options };
+  const detection = level === 'none'
+    ? { flags: ibiData.map(() => 'ok'), reasons: ibiData.map(() => ''), rollingMedian: [], adjustedThreshold: null }
+    : detectThresholdArtifacts(ibiData, definition.thresholdMs, settings);
+  const corrected = correctArtifacts(ibiData, detection.flags);
+  const artifactCount = detection.flags.filter(flag => flag === 'artifact').length;
+
+  return {
+    level,
+    adjustedThresholdMs: detection.adjustedThreshold === null ? null : Math.round(detection.adjustedThreshold * 10) / 10,
+    corrected,
+    flags: detection.flags,
+    reasons: detection.reasons,
+    rollingMedian: detection.rollingMedian,
+    artifactCount,
+    artifactPercent: ibiData.length > 0 ? Math.round((artifactCount / ibiData.length) * 100 * 100) / 100 : 0,
+    settings
+  };
+};
+
+/**
+ * Percentage of beats each correction level would correct
+ */
+export const summarizeCorrectionLevels = (ibiData, options = {}) => {
+  const steps = correctionLevelSummarySteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * summarizeCorrectionLevels as a generator (yields 'correction' progress before each level)
+ */
+export function* correctionLevelSummarySteps(ibiData, options = {}) {
+  const levels = Object.keys(CORRECTION_LEVELS);
+  const summary = [];
+  for (let i = 0; i < levels.length; i++) {
+    yield { stage: 'correction', progress: i / levels.length };
+    const level = levels[i];
+    const result = correctArtifactsAtLevel(ibiData, level, options);
+    summary.push({
+      level,
+      label: CORRECTION_LEVELS[level].label,
+      adjustedThresholdMs: result.adjustedThresholdMs,
+      artifactPercent: result.artifactPercent
+    });
+  }
+  return summary;
+}
@@ -0,0 +1,175 @@
+// Pulse Beat Detection - port of the peak detection and IBI extraction steps of
+// hrv_pipeline/scripts/run_full_analysis.py (scipy.signal.find_peaks with a
+// minimum distance and a prominence relative to the signal's amplitude range)
+
+export const BEAT_DETECTION_DEFAULTS = {
+  // Waveform columns to try, cleanest first (phase 1 captures only have `raw`)
+  columns: ['filtered_10hz', 'filtered_15hz', 'filtered_200hz', 'raw'],
+  minPeakDistanceMs: 300,     // Reject any two peaks closer than this (200 BPM)
+  minProminenceFraction: 0.10, // Min prominence as fraction of the amplitude range
+  minProminence: 10,          // ADC counts
+  warmupSamples: 200          // Skip the on-device filters' cold-start ramp
+};
+
+/**
+ * Sample rate in Hz from microsecond timestamps (median spacing of the first 500)
+ */
+export const inferSampleRate = (timeUs) => {
+  const steps = [];
+  for (let i = 1; i < Math.min(timeUs.length, 500); i++) {
+    const dt = timeUs[i] - timeUs[i - 1];
+    if (dt > 0 && dt < 1000000) steps.push(dt);
+  }
+  if (!steps.length) return 100;
+
+  steps.sort((a, b) => a - b);
+  const mid = Math.floor(steps.length / 2);
+  const median = steps.length % 2 === 0 ? (steps[mid - 1] + steps[mid]) / 2 : steps[mid];
+  return Math.round(1000000 / median);
+};
+
+/**
+ * Local maxima; a flat top counts once, at its middle sample (scipy _local_maxima_1d)
+ */
+const localMaxima = (x) => {
+  const peaks = [];
+  let i = 1;
+  while (i < x.length - 1) {
+    if (x[i - 1] < x[i]) {
+      let ahead = i + 1;
+      while (ahead < x.length - 1 && x[ahead] === x[i]) ahead++;
+      if (x[ahead] < x[i]) {
+        peaks.push(Math.floor((i + ahead - 1) / 2));
+        i = ahead;
+      }
+    }
+    i++;
+  }
+  return peaks;
+};
+
+/**
+ * Drop peaks closer than `distance` samples to a higher peak (scipy _select_by_peak_distance)
+ */
+const selectByDistance = (x, peaks, distance) => {
+  const keep = peaks.map(() => true);
+  // Stable sort, visited from the highest peak down
+  const order = peaks.map((_, i) => i).sort((a, b) => x[peaks[a]] - x[peaks[b]] || a - b);
+
+  for (let n = order.length - 1; n >= 0; n--) {
+    const j = order[n];
+    if (!keep[j]) continue;
+    for (let k = j - 1; k >= 0 && peaks[j] - peaks[k] < distance; k--) keep[k] = false;
+    for (let k = j + 1; k < peaks.length && peaks[k] - peaks[j] < distance; k++) keep[k] = false;
+  }
+  return peaks.filter((_, i) => keep[i]);
+};
+
+/**
+ * Prominence of a peak: its height above the higher of the lowest points
+ * between it and the nearest higher sample on either side (scipy _peak_prominences)
+ */
+const peakProminence = (x, peak) => {
+  let leftMin = x[peak];
+  for (let i = peak; i >= 0 && x[i] <= x[peak]; i--) {
+    if (x[i] < leftMin) leftMin = x[i];
+  }
+  let rightMin = x[peak];
+  for (let i = peak; i < x.length && x[i] <= x[peak]; i++) {
+    if (x[i] < rightMin) rightMin = x[i];
+  }
+  return x[peak] - Math.max(leftMin, rightMin);
+};
+
+/**
+ * scipy.signal.find_peaks(x, distance=..., prominence=...)
+ * @param {ArrayLike<number>} x - Signal
+ * @param {Object} options - { distance (samples), prominence (minimum) }
+ * @returns {Array} Sample indices of the peaks, ascending
+ */
+export const findPeaks = (x, options = {}) => {
+  const steps = findPeaksSteps(x, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+const PEAKS_PER_YIELD = 500;
+
+/**
+ * findPeaks as a generator (yields 'parsing' progress between passes and every
+ * PEAKS_PER_YIELD prominence checks)
+ */
+function* findPeaksSteps(x, { distance = 1, prominence = 0 } = {}) {
+  yield { stage: 'parsing', progress: 0 };
+  let peaks = localMaxima(x);
+  yield { stage: 'parsing', progress: 0.3 };
+  if (distance > 1) peaks = selectByDistance(x, peaks, Math.ceil(distance));
+  if (!(prominence > 0)) return peaks;
+
+  const prominent = [];
+  for (let i = 0; i < peaks.length; i++) {
+    if (i % PEAKS_PER_YIELD === 0) {
+      yield { stage: 'parsing', progress: 0.5 + 0.5 * i / peaks.length };
+    }
+    if (peakProminence(x, peaks[i]) >= prominence) prominent.push(peaks[i]);
+  }
+  return prominent;
+}
+
+/**
+ * Detect heartbeats in a pressure-sensor waveform and extract inter-beat intervals
+ * @param {Object} columns - Waveform columns by name (time_us plus signal columns)
+ * @param {Object} [options] - Overrides for BEAT_DETECTION_DEFAULTS; `column` forces a column
+ * @returns {Object} { column, sampleRate, duration, prominence, peakIndices, peakTimes,
+ *   beatTimes, ibiMs } - times in seconds; beatTimes[i] is the beat that ends ibiMs[i]
+ */
+export const detectBeats = (columns, options = {}) => {
+  const steps = detectBeatsSteps(columns, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * detectBeats as a generator (yields 'parsing' progress while finding peaks)
+ */
+export function* detectBeatsSteps(columns, options = {}) {
+  const settings = { ...BEAT_DETECTION_DEFAULTS, ...options };
+  const timeUs = columns.time_us;
+  if (!timeUs) throw new Error('The waveform has no time_us column');
+
+  const column = settings.column || settings.columns.find(name => columns[name]);
+  if (!column || !columns[column]) {
+    throw new Error(`No waveform column found (looked for ${settings.columns.join(', ')})`);
+  }
+
+  const signal = columns[column];
+  const sampleRate = inferSampleRate(timeUs);
+  const warmup = Math.min(settings.warmupSamples, Math.floor(signal.length / 4));
+  const steady = signal.subarray ? signal.subarray(warmup) : signal.slice(warmup);
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < steady.length; i++) {
+    if (steady[i] < min) min = steady[i];
+    if (steady[i] > max) max = steady[i];
+  }
+  const prominence = Math.max(settings.minProminenceFraction * (max - min), settings.minProminence);
+  const distance = Math.max(Math.floor(settings.minPeakDistanceMs * sampleRate / 1000), 1);
+
+  const peakIndices = (yield* findPeaksSteps(steady, { distance, prominence })).map(index => index + warmup);
+  const peakTimes = peakIndices.map(index => timeUs[index] / 1000000);
+  const ibiMs = peakTimes.slice(1).map((time, i) => (time - peakTimes[i]) * 1000);
+
+  return {
+    column,
+    sampleRate,
+    duration: timeUs.length ? (timeUs[timeUs.length - 1] - timeUs[0]) / 1000000 : 0,
+    prominence,
+    peakIndices,
+    peakTimes,
+    beatTimes: peakTimes.slice(1),
+    ibiMs
+  };
+}
@@ -0,0 +1,296 @@
+// CSV Parser - RFC 4180 tokenizer with delimiter, decimal separator and encoding detection
+// Handles quoted fields with embedded delimiters, quotes and newlines, CRLF/LF/CR
+// line endings and byte order marks, and collects line-numbered warnings
+// instead of failing on the first malformed row.
+
+import { decodeUTF8 } from './Zip';
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const DETECTION_RECORDS = 50;   // Records sampled to detect the delimiter and decimal separator
+const MAX_WARNINGS = 100;       // Further warnings are only counted
+const RECORDS_PER_YIELD = 1000; // Records parsed between progress steps (parseCSVSteps)
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DOT_DECIMAL = /^[-+]?\d*\.\d+$/;
+const COMMA_DECIMAL = /^[-+]?\d*,\d+$/;
+// Thousands grouping like 1,234 or 1.234.567 looks like a decimal, so it is not counted
+// (0.812 or 0,812 cannot be grouping and still counts)
+const GROUPED_THOUSANDS = /^[-+]?[1-9]\d{0,2}([.,]\d{3})+$/;
+
+// Windows-1252 characters for bytes 0x80-0x9F (Latin-1 control codes otherwise)
+const CP1252_HIGH = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d,
+  0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+  0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+/**
+ * Decode file bytes, detecting the encoding from the byte order mark or,
+ * without one, from whether the bytes are valid UTF-8
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {Object} { text, encoding: 'utf-8' | 'utf-16le' | 'utf-16be' | 'windows-1252' }
+ */
+export const decodeText = (bytes) => {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { text: decodeUTF16(bytes, 2, true), encoding: 'utf-16le' };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { text: decodeUTF16(bytes, 2, false), encoding: 'utf-16be' };
+  // decodeUTF8 skips a UTF-8 byte order mark itself
+  if (isValidUTF8(bytes)) return { text: decodeUTF8(bytes), encoding: 'utf-8' };
+
+  const codes = Array.from(bytes, byte => CP1252_HIGH[byte] || byte);
+  let text = '';
+  for (let i = 0; i < codes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, codes.slice(i, i + 8192));
+  }
+  return { text, encoding: 'windows-1252' };
+};
+
+const decodeUTF16 = (bytes, start, littleEndian) => {
+  const codes = [];
+  let text = '';
+  for (let i = start; i + 1 < bytes.length; i += 2) {
+    codes.push(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    if (codes.length >= 8192) {
+      text += String.fromCharCode.apply(null, codes);
+      codes.length = 0;
+    }
+  }
+  return text + String.fromCharCode.apply(null, codes);
+};
+
+const isValidUTF8 = (bytes) => {
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte < 0x80) continue;
+    const extra = byte >= 0xc2 && byte < 0xe0 ? 1 : byte >= 0xe0 && byte < 0xf0 ? 2 : byte >= 0xf0 && byte < 0xf5 ? 3 : -1;
+    if (extra < 0) return false;
+    for (let k = 1; k <= extra; k++) {
+      if ((bytes[i + k] & 0xc0) !== 0x80) return false;
+    }
+    i += extra;
+  }
+  return true;
+};
+
+/**
+ * Split CSV text into records, one at a time
+ * @param {string} text - Decoded file contents
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @param {Function} [options.onWarning] - Called with (line, message) for malformed quoting
+ * @yields {Object} { fields, line, end } - line is the 1-based line the record starts on,
+ *   end the offset in `text` just after it
+ */
+export function* tokenizeCSV(text, { delimiter = ',', onWarning = () => {} } = {}) {
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let line = 1;
+
+  while (i < text.length) {
+    const recordLine = line;
+    const fields = [];
+    let field = '';
+    let quoted = false;      // Inside a quoted section
+    let wasQuoted = false;   // Field opened with a quote
+    let quoteLine = line;
+    let endOfRecord = false;
+
+    while (i < text.length && !endOfRecord) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i += 2;
+            continue;
+          }
+          quoted = false;
+          i++;
+          const next = text[i];
+          if (next !== undefined && next !== delimiter && next !== '\n' && next !== '\r') {
+            onWarning(line, 'text after a closing quote was kept as part of the field');
+          }
+          continue;
+        }
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+        i++;
+        continue;
+      }
+
+      if (char === delimiter) {
+        fields.push(wasQuoted ? field : field.trim());
+        field = '';
+        wasQuoted = false;
+        i++;
+      } else if (char === '\n' || char === '\r') {
+        i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+        line++;
+        endOfRecord = true;
+      } else if (char === '"' && field.trim() === '' && !wasQuoted) {
+        quoted = true;
+        wasQuoted = true;
+        quoteLine = line;
+        field = '';
+        i++;
+      } else {
+        if (char === '"') onWarning(line, 'stray quote inside an unquoted field was kept as text');
+        field += char;
+        i++;
+      }
+    }
+
+    if (quoted) onWarning(quoteLine, 'quoted field is never closed; the rest of the file was read into it');
+    fields.push(wasQuoted ? field : field.trim());
+
+    // Blank lines are not records
+    if (fields.length > 1 || fields[0] !== '') {
+      yield { fields, line: recordLine, end: i };
+    }
+  }
+}
+
+/**
+ * Delimiter whose first records split into the most consistent number of columns
+ */
+export const detectDelimiter = (text) => {
+  let best = { delimiter: ',', score: 0 };
+  CSV_DELIMITERS.forEach(delimiter => {
+    const counts = [];
+    for (const record of tokenizeCSV(text, { delimiter })) {
+      counts.push(record.fields.length);
+      if (counts.length >= DETECTION_RECORDS) break;
+    }
+    if (!counts.length || counts[0] < 2) return;
+
+    // Share of records with the header's column count, weighted by the column count
+    const consistent = counts.filter(count => count === counts[0]).length / counts.length;
+    const score = consistent * Math.log2(counts[0] + 1);
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+};
+
+/**
+ * ',' when numeric fields are written with decimal commas, otherwise '.'
+ */
+export const detectDecimalSeparator = (records) => {
+  let dots = 0;
+  let commas = 0;
+  records.forEach(({ fields }) => fields.forEach(value => {
+    if (GROUPED_THOUSANDS.test(value)) return;
+    if (DOT_DECIMAL.test(value)) dots++;
+    else if (COMMA_DECIMAL.test(value)) commas++;
+  }));
+  return commas > dots ? ',' : '.';
+};
+
+/**
+ * Number for a whole-field numeric value, otherwise null ('12 ms' is text)
+ */
+export const parseNumber = (value, decimalSeparator = '.') => {
+  const normalized = decimalSeparator === ',' ? value.replace(',', '.') : value;
+  return NUMBER_PATTERN.test(normalized) ? parseFloat(normalized) : null;
+};
+
+/**
+ * Parse CSV text into a header row and row objects
+ * @param {string} text - Decoded file contents
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Detected when omitted
+ * @param {string} [options.decimalSeparator] - Detected when omitted
+ * @returns {Object} { headers, data, delimiter, decimalSeparator, warnings: [{ line, message }], warningCount }
+ */
+export const parseCSV = (text, options = {}) => {
+  const steps = parseCSVSteps(text, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * parseCSV as a generator (yields 'parsing' progress every RECORDS_PER_YIELD records)
+ */
+export function* parseCSVSteps(text, options = {}) {
+  const warnings = [];
+  let warningCount = 0;
+  const warn = (line, message) => {
+    warningCount++;
+    if (warnings.length < MAX_WARNINGS) warnings.push({ line, message });
+  };
+
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const records = tokenizeCSV(text, { delimiter, onWarning: warn });
+
+  const first = records.next();
+  if (first.done) return { headers: [], data: [], delimiter, decimalSeparator: '.', warnings, warningCount };
+
+  // Blank and repeated header names would overwrite each other in the row objects
+  const headers = [];
+  first.value.fields.forEach((raw, index) => {
+    let name = raw.trim() || `Column ${index + 1}`;
+    if (headers.includes(name)) {
+      warn(first.value.line, `duplicate column name "${name}" renamed to "${name} (${index + 1})"`);
+      name = `${name} (${index + 1})`;
+    }
+    headers.push(name);
+  });
+
+  // The decimal separator comes from the first data records, which are then replayed
+  const buffered = [];
+  let step = records.next();
+  while (!step.done && buffered.length < DETECTION_RECORDS) {
+    buffered.push(step.value);
+    step = records.next();
+  }
+  const decimalSeparator = options.decimalSeparator || detectDecimalSeparator(buffered);
+
+  const data = [];
+  const addRecord = ({ fields, line }) => {
+    if (fields.length !== headers.length) {
+      warn(line, fields.length < headers.length
+        ? `expected ${headers.length} fields, found ${fields.length}; missing values left blank`
+        : `expected ${headers.length} fields, found ${fields.length}; extra values ignored`);
+    }
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = fields[index] ?? '';
+      const number = value === '' ? null : parseNumber(value, decimalSeparator);
+      // Try to parse as number, otherwise keep as string
+      row[header] = number === null ? value : number;
+    });
+    if (Object.values(row).some(val => val !== '')) data.push({ row, line });
+  };
+
+  buffered.forEach(addRecord);
+  for (let count = buffered.length; !step.done; count++) {
+    if (count % RECORDS_PER_YIELD === 0) {
+      yield { stage: 'parsing', progress: step.value.end / text.length };
+    }
+    addRecord(step.value);
+    step = records.next();
+  }
+
+  // Text in a column that is otherwise numeric is usually a typo or a unit suffix
+  headers.forEach(header => {
+    const numeric = data.filter(({ row }) => typeof row[header] === 'number').length;
+    if (numeric < data.length / 2) return;
+    data.forEach(({ row, line }) => {
+      if (typeof row[header] === 'string' && row[header] !== '') {
+        const shown = row[header].length > 20 ? `${row[header].slice(0, 20)}…` : row[header];
+        warn(line, `"${shown}" in numeric column "${header}" is not a number`);
+      }
+    });
+  });
+  warnings.sort((a, b) => a.line - b.line);
+
+  return {
+    headers,
+    data: data.map(({ row }) => row),
+    delimiter,
+    decimalSeparator,
+    warnings,
+    warningCount
+  };
+}
@@ -0,0 +1,118 @@
+// Pressure-Sensor Capture Parser - reads START_CAPTURE files written by the
+// hrv_pipeline/arduino sketches: `# key: value` metadata, then a header row
+// (time_us, raw, filtered_200hz, ...) and integer samples, one row per line.
+
+const METADATA_LINE = /^#\s*([^:]+?)\s*:\s*(.*)$/;
+const NUMERIC_VALUE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const MAX_WARNINGS = 100;
+const LINES_PER_YIELD = 2000; // Lines read between progress steps (parseCaptureFileSteps)
+
+/**
+ * True when the text looks like a capture file: a START_CAPTURE line, or
+ * metadata comments followed by a time_us header
+ */
+export const isCaptureFile = (text) => {
+  const lines = text.slice(0, 4096).split(/\r\n|\r|\n/).map(line => line.replace(/^\uFEFF/, '').trim()).filter(Boolean);
+  if (lines.some(line => line.toUpperCase() === 'START_CAPTURE')) return true;
+  const header = lines.find(line => !line.startsWith('#'));
+  return !!header && lines[0].startsWith('#') && /^time_us\s*,/i.test(header);
+};
+
+/**
+ * Parse a capture file into metadata and waveform columns
+ *
+ * Lines are read the way hrv_pipeline/scripts/run_full_analysis.py reads them:
+ * comments and markers are skipped, the first non-numeric line is the header
+ * and rows with a missing or non-numeric value are dropped (a serial capture
+ * often ends mid-line). Serial monitor text pasted around the capture (the
+ * sketch banner before START_CAPTURE, prompts after END_CAPTURE) is ignored,
+ * except for the summary comments printed after END_CAPTURE.
+ * @param {string} text - Decoded file contents
+ * @returns {Object} { metadata, headers, columns: { name: Float64Array }, sampleCount,
+ *   warnings: [{ line, message }], warningCount }
+ */
+export const parseCaptureFile = (text) => {
+  const steps = parseCaptureFileSteps(text);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * parseCaptureFile as a generator (yields 'parsing' progress every LINES_PER_YIELD lines)
+ */
+export function* parseCaptureFileSteps(text) {
+  const metadata = {};
+  const warnings = [];
+  let warningCount = 0;
+  const warn = (line, message) => {
+    warningCount++;
+    if (warnings.length < MAX_WARNINGS) warnings.push({ line, message });
+  };
+
+  let headers = null;
+  let values = null;
+  let sampleCount = 0;
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const hasStartMarker = lines.some(line => line.trim().toUpperCase() === 'START_CAPTURE');
+  let capturing = !hasStartMarker;
+  let ended = false;
+
+  for (let index = 0; index < lines.length; index++) {
+    if (index % LINES_PER_YIELD === 0) {
+      yield { stage: 'parsing', progress: index / lines.length };
+    }
+    const line = lines[index].trim();
+    const lineNumber = index + 1;
+    const marker = line.toUpperCase();
+    if (marker === 'START_CAPTURE') {
+      capturing = true;
+      continue;
+    }
+    if (marker === 'END_CAPTURE') {
+      ended = true;
+      continue;
+    }
+    if (!line || !capturing || (ended && !line.startsWith('#'))) continue;
+
+    if (line.startsWith('#')) {
+      const match = line.match(METADATA_LINE);
+      if (match) {
+        const key = match[1].trim();
+        const value = match[2].trim();
+        metadata[key] = NUMERIC_VALUE.test(value) ? parseFloat(value) : value;
+      }
+      continue;
+    }
+
+    if (!headers) {
+      if (/^[-+\d.]/.test(line)) {
+        warn(lineNumber, 'sample row before the column header was skipped');
+        continue;
+      }
+      headers = line.split(',').map(name => name.trim());
+      values = headers.map(() => []);
+      continue;
+    }
+
+    const fields = line.split(',').map(field => field.trim());
+    if (fields.length !== headers.length || !fields.every(field => NUMERIC_VALUE.test(field))) {
+      warn(lineNumber, fields.length !== headers.length
+        ? `expected ${headers.length} values, found ${fields.length}; row skipped`
+        : 'non-numeric value; row skipped');
+      continue;
+    }
+    fields.forEach((field, col) => values[col].push(parseFloat(field)));
+    sampleCount++;
+  }
+
+  if (!headers) throw new Error('No column header found in the capture file');
+
+  const columns = {};
+  headers.forEach((name, col) => {
+    columns[name] = Float64Array.from(values[col]);
+  });
+
+  return { metadata, headers, columns, sampleCount, warnings, warningCount };
+}
@@ -0,0 +1,191 @@
+// Fast Fourier Transform - in-place on Float64Array buffers
+// Iterative radix-2 for power-of-two sizes, Bluestein (chirp-z) for any other size
+
+const MAX_CACHED_PLANS = 32;
+const planCache = new Map();
+
+/**
+ * Radix-2 tables: bit-reversal permutation and twiddles exp(-2πik/N), k < N/2
+ */
+const createRadix2Tables = (size) => {
+  const bits = Math.round(Math.log2(size));
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      r = (r << 1) | ((i >>> b) & 1);
+    }
+    reversed[i] = r;
+  }
+
+  const half = size >>> 1;
+  const cos = new Float64Array(half);
+  const sin = new Float64Array(half);
+  for (let k = 0; k < half; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / size);
+    sin[k] = -Math.sin(2 * Math.PI * k / size);
+  }
+
+  return { reversed, cos, sin };
+};
+
+/**
+ * In-place iterative radix-2 FFT (inverse uses conjugate twiddles, unscaled)
+ */
+const radix2 = (re, im, tables, inverse = false) => {
+  const size = re.length;
+  const { reversed, cos, sin } = tables;
+  const sign = inverse ? -1 : 1;
+
+  for (let i = 0; i < size; i++) {
+    const j = reversed[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const halfLength = length >>> 1;
+    const stride = size / length;
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < halfLength; k++) {
+        const wr = cos[k * stride];
+        const wi = sign * sin[k * stride];
+        const a = start + k;
+        const b = a + halfLength;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+/**
+ * Bluestein tables: chirp exp(-iπn²/N), the FFT of its conjugate padded to a
+ * power of two M ≥ 2N - 1, and work buffers of size M
+ */
+const createBluesteinTables = (size) => {
+  let padded = 1;
+  while (padded < 2 * size - 1) padded <<= 1;
+
+  const chirpRe = new Float64Array(size);
+  const chirpIm = new Float64Array(size);
+  for (let n = 0; n < size; n++) {
+    // n² mod 2N keeps the angle small for large n
+    const angle = Math.PI * ((n * n) % (2 * size)) / size;
+    chirpRe[n] = Math.cos(angle);
+    chirpIm[n] = -Math.sin(angle);
+  }
+
+  const inner = createRadix2Tables(padded);
+  const kernelRe = new Float64Array(padded);
+  const kernelIm = new Float64Array(padded);
+  kernelRe[0] = chirpRe[0];
+  kernelIm[0] = -chirpIm[0];
+  for (let n = 1; n < size; n++) {
+    kernelRe[n] = kernelRe[padded - n] = chirpRe[n];
+    kernelIm[n] = kernelIm[padded - n] = -chirpIm[n];
+  }
+  radix2(kernelRe, kernelIm, inner);
+
+  return {
+    padded,
+    inner,
+    chirpRe,
+    chirpIm,
+    kernelRe,
+    kernelIm,
+    workRe: new Float64Array(padded),
+    workIm: new Float64Array(padded)
+  };
+};
+
+/**
+ * Cached transform plan for a size, with reusable input buffers `re` and `im`
+ */
+export const getFFTPlan = (size) => {
+  let plan = planCache.get(size);
+  if (plan) return plan;
+
+  const isPowerOfTwo = size > 0 && (size & (size - 1)) === 0;
+  plan = {
+    size,
+    isPowerOfTwo,
+    re: new Float64Array(size),
+    im: new Float64Array(size),
+    tables: isPowerOfTwo ? createRadix2Tables(size) : createBluesteinTables(size)
+  };
+
+  if (planCache.size >= MAX_CACHED_PLANS) {
+    planCache.delete(planCache.keys().next().value);
+  }
+  planCache.set(size, plan);
+  return plan;
+};
+
+/**
+ * Forward DFT of (re, im) in place; any length
+ * @param {Float64Array} re - Real parts, overwritten with the spectrum
+ * @param {Float64Array} im - Imaginary parts, overwritten with the spectrum
+ */
+export const fft = (re, im) => {
+  const size = re.length;
+  if (size <= 1) return;
+
+  const plan = getFFTPlan(size);
+  if (plan.isPowerOfTwo) {
+    radix2(re, im, plan.tables);
+    return;
+  }
+
+  const { padded, inner, chirpRe, chirpIm, kernelRe, kernelIm, workRe, workIm } = plan.tables;
+
+  // a_n = x_n · chirp_n, zero padded
+  for (let n = 0; n < size; n++) {
+    workRe[n] = re[n] * chirpRe[n] - im[n] * chirpIm[n];
+    workIm[n] = re[n] * chirpIm[n] + im[n] * chirpRe[n];
+  }
+  workRe.fill(0, size);
+  workIm.fill(0, size);
+
+  // Circular convolution with the conjugate chirp via the padded radix-2 FFT
+  radix2(workRe, workIm, inner);
+  for (let k = 0; k < padded; k++) {
+    const r = workRe[k] * kernelRe[k] - workIm[k] * kernelIm[k];
+    workIm[k] = workRe[k] * kernelIm[k] + workIm[k] * kernelRe[k];
+    workRe[k] = r;
+  }
+  radix2(workRe, workIm, inner, true);
+
+  // X_k = chirp_k · (a ⊛ b)_k / M
+  for (let k = 0; k < size; k++) {
+    const r = workRe[k] / padded;
+    const i = workIm[k] / padded;
+    re[k] = r * chirpRe[k] - i * chirpIm[k];
+    im[k] = r * chirpIm[k] + i * chirpRe[k];
+  }
+};
+
+/**
+ * Squared magnitude of the first `binCount` DFT bins of a real signal
+ * @param {ArrayLike<number>} data - Real input (copied into the size's cached buffers)
+ * @param {number} binCount - Number of bins to return (e.g. N/2 + 1)
+ * @param {Float64Array} [out] - Optional output buffer to reuse
+ */
+export const realPowerSpectrum = (data, binCount, out = new Float64Array(binCount)) => {
+  const { re, im } = getFFTPlan(data.length);
+  for (let i = 0; i < data.length; i++) {
+    re[i] = data[i];
+    im[i] = 0;
+  }
+  fft(re, im);
+  for (let k = 0; k < binCount; k++) {
+    out[k] = re[k] * re[k] + im[k] * im[k];
+  }
+  return out;
+};
@@ -1,25 +1,108 @@
 // HRV Analysis Utilities - Kubios-inspired implementation
 // Provides comprehensive heart rate variability analysis from IBI data
 
+import { CORRECTION_LEVELS, correctArtifactsAtLevel, correctionLevelSummarySteps } from './ArtifactCorrection';
+import { fft, getFFTPlan, realPowerSpectrum } from './FFT';
+import { assessAgainstNorms } from './HRVNorms';
+
 /**
  * Calculate comprehensive HRV metrics from IBI data
  * @param {Array} ibiData - Array of Inter-Beat Intervals in milliseconds
+ * @param {Object} [options] - Analysis options
+ * @param {Object} [options.spectral] - Spectral estimator options (see calculateFrequencyDomainMetrics)
+ * @param {Object} [options.bandProfile] - Frequency bands and exclusion notches (see BAND_PROFILES)
+ * @param {Array} [options.beatTimes] - Time in seconds of the beat closing each IBI; keeps gaps
+ *   from removed beats visible to the Lomb-Scargle estimator
+ * @param {boolean|string|Object} [options.artifactCorrection] - Artifact correction level (key of
+ *   CORRECTION_LEVELS, `true` for 'automatic'), or { level, ...thresholds } to also override
+ *   detector thresholds (see ARTIFACT_DEFAULTS)
+ * @param {Object} [options.importedArtifacts] - Correction already applied upstream (e.g. by
+ *   hrv_pipeline/scripts/correct_ibi_artifacts.py): { flags, reasons, originalIBI, label }, one
+ *   entry per IBI. ibiData is taken as corrected and artifactCorrection is ignored
+ * @param {Object} [options.nonlinear] - Entropy and DFA parameters (see NONLINEAR_DEFAULTS)
+ * @param {number} [options.pacedFrequency] - Breathing pacer frequency in Hz; defaults to the
+ *   band profile's breathingFrequency when it has one
+ * @param {Object} [options.resonance] - Resonance window overrides (see RESONANCE_DEFAULTS)
+ * @param {Object} [options.respiration] - RSA breathing-rate estimator overrides (see RESPIRATION_DEFAULTS)
+ * @param {Object} [options.timeFrequency] - Window, step and estimator of the sliding-window
+ *   spectrogram stored as `timePower` (see TIME_FREQUENCY_DEFAULTS)
  * @returns {Object} Complete HRV analysis results
  */
-export const calculateAdvancedHRVMetrics = (ibiData) => {
+export const calculateAdvancedHRVMetrics = (ibiData, options = {}) => {
+  const steps = createHRVAnalysisSteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * The analysis as a generator: yields { stage, progress } between units of work
+ * ('correction', 'timeDomain', 'spectral', 'respiration', 'nonlinear', 'windows';
+ * progress 0-1 within the stage) and returns the same result as
+ * calculateAdvancedHRVMetrics.
+ * Lets a runner (see utils/AnalysisWorker.js) pause between slices and cancel.
+ */
+export function* createHRVAnalysisSteps(ibiData, options = {}) {
   if (!ibiData || ibiData.length < 10) {
     return null;
   }
 
   // Filter and validate IBI data
+  const isValid = ibiData.map(val => val > 0 && val < 3000 && !isNaN(val)); // Remove outliers and invalid values
   const validIBI = ibiData
-    .filter(val => val > 0 && val < 3000 && !isNaN(val)) // Remove outliers and invalid values
+    .filter((_, i) => isValid[i])
     .map(val => parseFloat(val));
+  const beatTimes = options.beatTimes ? options.beatTimes.filter((_, i) => isValid[i]) : null;
 
   if (validIBI.length < 10) {
     return null;
   }
 
+  // Optional artifact correction; metrics below use the corrected series
+  let artifacts = null;
+  if (options.importedArtifacts) {
+    const { flags, reasons, originalIBI, label = 'Imported' } = options.importedArtifacts;
+    const keep = (values) => ibiData.map((_, i) => values[i]).filter((_, i) => isValid[i]);
+    const keptFlags = keep(flags).map(flag => flag || 'ok');
+    const artifactCount = keptFlags.filter(flag => flag === 'artifact').length;
+    artifacts = {
+      level: 'imported',
+      levelLabel: label,
+      adjustedThresholdMs: null,
+      levelSummary: null,
+      flags: keptFlags,
+      reasons: reasons ? keep(reasons).map(reason => reason || '') : keptFlags.map(() => ''),
+      artifactCount,
+      artifactPercent: Math.round((artifactCount / validIBI.length) * 100 * 100) / 100,
+      settings: null,
+      originalIBI: originalIBI ? keep(originalIBI) : validIBI.slice()
+    };
+  } else if (options.artifactCorrection) {
+    yield { stage: 'correction', progress: 0 };
+    const { level = 'automatic', ...thresholds } = typeof options.artifactCorrection === 'object'
+      ? options.artifactCorrection
+      : { level: options.artifactCorrection === true ? 'automatic' : options.artifactCorrection };
+    const correction = correctArtifactsAtLevel(validIBI, level, thresholds);
+    const levelSummary = yield* correctionLevelSummarySteps(validIBI, thresholds);
+    artifacts = {
+      level,
+      levelLabel: CORRECTION_LEVELS[level].label,
+      adjustedThresholdMs: correction.adjustedThresholdMs,
+      levelSummary,
+      flags: correction.flags,
+      reasons: correction.reasons,
+      artifactCount: correction.artifactCount,
+      artifactPercent: correction.artifactPercent,
+      settings: correction.settings,
+      originalIBI: validIBI.slice()
+    };
+    correction.corrected.forEach((val, i) => {
+      validIBI[i] = val;
+    });
+  }
+
+  yield { stage: 'timeDomain', progress: 0 };
+  
   // Calculate successive differences (NN intervals)
   const successiveDiffs = [];
   for (let i = 1; i < validIBI.length; i++) {
@@ -30,31 +113,52 @@ export const calculateAdvancedHRVMetrics = (ibiData) => {
   const timeMetrics = calculateTimeDomainMetrics(validIBI, successiveDiffs);
   
   // Geometric Metrics
-  const geometricMetrics = calculateGeometricMetrics(validIBI, successiveDiffs);
+  const geometricMetrics = calculateGeometricMetrics(validIBI);
+  
+  yield { stage: 'spectral', progress: 0 };
   
-  // Frequency Domain Metrics (simplified)
-  const frequencyMetrics = calculateFrequencyDomainMetrics(validIBI);
+  // Frequency Domain Metrics
+  const bandProfile = resolveBandProfile(options.bandProfile);
+  const frequencyMetrics = yield* frequencyDomainSteps(validIBI, { ...options.spectral, bandProfile, beatTimes });
+  
+  // Resonance assessment from the same spectrum
+  const resonanceMetrics = calculateResonanceMetrics(frequencyMetrics, {
+    ...options.resonance,
+    pacedFrequency: options.pacedFrequency ?? bandProfile.breathingFrequency ?? null
+  });
+  
+  // Breathing rate from respiratory sinus arrhythmia
+  yield { stage: 'respiration', progress: 0 };
+  const respiration = yield* respirationRateSteps(validIBI, options.respiration);
   
   // Poincaré Plot Metrics
-  const poincareMetrics = calculatePoincareMetrics(successiveDiffs);
+  const poincareMetrics = calculatePoincareMetrics(validIBI);
+
+  // Nonlinear Metrics (entropy, DFA)
+  const nonlinearMetrics = yield* nonlinearMetricsSteps(validIBI, options.nonlinear);
 
-  // Time-domain power analysis
-  const timePowerData = calculateTimeDomainPower(validIBI);
+  // Time-frequency analysis (spectrogram and band power over time)
+  const timePowerData = yield* timeFrequencySteps(validIBI, { ...options.timeFrequency, bandProfile });
 
   return {
     timeDomain: timeMetrics,
     geometric: geometricMetrics,
     frequency: frequencyMetrics,
+    resonance: resonanceMetrics,
+    respiration: respiration,
     poincare: poincareMetrics,
+    nonlinear: nonlinearMetrics,
     timePower: timePowerData,
+    artifacts: artifacts,
     rawData: {
       ibiValues: validIBI,
+      beatTimes: beatTimes,
       successiveDiffs: successiveDiffs,
       sampleCount: validIBI.length,
       duration: (validIBI.reduce((sum, val) => sum + val, 0) / 1000).toFixed(1) // seconds
     }
   };
-};
+}
 
 /**
  * Calculate time domain HRV metrics
@@ -83,6 +187,11 @@ const calculateTimeDomainMetrics = (ibiData, successiveDiffs) => {
   const meanDiff = successiveDiffs.reduce((sum, val) => sum + val, 0) / successiveDiffs.length;
   const sdsd = Math.sqrt(successiveDiffs.reduce((sum, val) => sum + Math.pow(val - meanDiff, 2), 0) / (successiveDiffs.length - 1));
   
+  // HRV Index - SDNN relative to the mean NN interval, in parts per thousand
+  // (coefficient of variation; compares variability between different heart
+  // rates; not the geometric HRV triangular index)
+  const hrvIndex = sdnn / mean * 1000;
+  
   // Heart Rate statistics
   const heartRates = ibiData.map(ibi => 60000 / ibi); // Convert IBI to HR
   const meanHR = heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length;
@@ -96,81 +205,150 @@ const calculateTimeDomainMetrics = (ibiData, successiveDiffs) => {
     pnn50: Math.round(pnn50 * 100) / 100,
     pnn20: Math.round(pnn20 * 100) / 100,
     sdsd: Math.round(sdsd * 100) / 100,
+    hrvIndex: Math.round(hrvIndex * 100) / 100,
     meanHR: Math.round(meanHR * 10) / 10,
     minHR: Math.round(minHR * 10) / 10,
     maxHR: Math.round(maxHR * 10) / 10
   };
 };
 
+export const GEOMETRIC_BIN_WIDTH = 1000 / 128; // Task Force 1/128 s histogram bins (7.8125 ms)
+
 /**
  * Calculate geometric HRV metrics
  */
-const calculateGeometricMetrics = (ibiData, successiveDiffs) => {
-  // Triangular Index (simplified approximation)
-  const binWidth = 7.8125; // Standard bin width in ms
-  const histogram = createHistogram(ibiData, binWidth);
-  const maxBin = Math.max(...Object.values(histogram));
-  const triangularIndex = ibiData.length / maxBin;
-  
-  // TINN - Triangular Interpolation of NN interval histogram (approximation)
-  const sortedBins = Object.keys(histogram).map(Number).sort((a, b) => a - b);
-  const tinn = sortedBins[sortedBins.length - 1] - sortedBins[0];
-  
+const calculateGeometricMetrics = (ibiData) => {
+  const binWidth = GEOMETRIC_BIN_WIDTH;
+  const bins = createHistogram(ibiData, binWidth);
+
+  // Triangular Index - total beats over the height of the modal bin
+  const peak = bins.reduce((best, bin) => (bin.count > best.count ? bin : best), bins[0]);
+  const triangularIndex = ibiData.length / peak.count;
+
+  // TINN - base width of the least-squares triangle fitted to the histogram
+  const { n, m } = fitHistogramTriangle(bins, peak);
+  const tinn = m - n;
+
   return {
     triangularIndex: Math.round(triangularIndex * 100) / 100,
-    tinn: Math.round(tinn * 100) / 100
+    tinn: Math.round(tinn * 100) / 100,
+    tinnN: Math.round(n * 100) / 100,
+    tinnM: Math.round(m * 100) / 100,
+    histogramPeak: { center: peak.center, count: peak.count },
+    binWidth
   };
 };
 
 /**
- * Calculate frequency domain metrics using FFT and PSD
+ * Least-squares triangular interpolation of the IBI histogram (Task Force TINN)
+ *
+ * The triangle rises linearly from zero at N to the modal bin height at its
+ * centre X and falls back to zero at M; it is zero outside [N, M]. N and M are
+ * searched over the bin edges either side of X, minimising the squared error
+ * against every bin of the histogram.
  */
-const calculateFrequencyDomainMetrics = (ibiData) => {
-  if (ibiData.length < 32) {
-    // Fallback to simplified method for short data
-    return calculateSimplifiedFrequencyMetrics(ibiData);
-  }
+const fitHistogramTriangle = (bins, peak) => {
+  const x = peak.center;
+  const d = peak.count;
+  const triangle = (t, n, m) => {
+    if (t <= n || t >= m) return 0;
+    return t <= x ? d * (t - n) / (x - n) : d * (m - t) / (m - x);
+  };
 
-  try {
-    // Convert IBI to RR intervals and interpolate for uniform sampling
-    const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData);
-    
-    // Apply window function (Hanning window)
-    const windowedData = applyHanningWindow(interpolatedRR);
-    
-    // Perform FFT using custom implementation
-    const fftResult = performFFT(windowedData);
-    
-    // Calculate Power Spectral Density
-    const psd = calculatePSD(fftResult, sampleRate);
-    
-    // Integrate power in frequency bands
-    const frequencyBands = integratePowerBands(psd, sampleRate);
-    
-    return {
-      ...frequencyBands,
-      psdData: psd.slice(0, Math.floor(psd.length / 2)), // Only positive frequencies
-      sampleRate: sampleRate
-    };
-  } catch (error) {
-    console.warn('FFT calculation failed, using simplified method:', error);
-    return calculateSimplifiedFrequencyMetrics(ibiData);
+  const edges = bins.map(bin => bin.start).concat(bins[bins.length - 1].end);
+  const nCandidates = edges.filter(edge => edge < x);
+  const mCandidates = edges.filter(edge => edge > x);
+
+  let best = { n: nCandidates[0], m: mCandidates[mCandidates.length - 1], error: Infinity };
+  nCandidates.forEach(n => {
+    mCandidates.forEach(m => {
+      let error = 0;
+      for (let i = 0; i < bins.length; i++) {
+        const diff = bins[i].count - triangle(bins[i].center, n, m);
+        error += diff * diff;
+      }
+      if (error < best.error) best = { n, m, error };
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Frequency band profiles
+ *
+ * A profile names its bands as [low, high) ranges in Hz and lists exclusion
+ * notches ({ frequency, halfWidth }) whose bins are left out of every band.
+ * `vlf`, `lf` and `hf` are required; any extra band is reported in `bandPowers`.
+ */
+export const BAND_PROFILES = {
+  taskForce: {
+    name: 'taskForce',
+    bands: {
+      vlf: [0.003, 0.04],
+      lf: [0.04, 0.15],
+      hf: [0.15, 0.4]
+    },
+    notches: []
   }
 };
 
 /**
- * Simplified frequency domain calculation (fallback)
+ * Task Force bands plus a `resonance` band centred on the paced-breathing frequency
+ * @param {number} breathingFrequency - Pacer frequency in Hz (e.g. 0.1 for 5-5 breathing)
+ * @param {Object} [options]
+ * @param {number} [options.halfWidth=0.015] - Half width of the resonance band in Hz
+ * @param {Array} [options.notches] - Exclusion notches ({ frequency, halfWidth })
  */
-const calculateSimplifiedFrequencyMetrics = (ibiData) => {
-  const meanIBI = ibiData.reduce((sum, val) => sum + val, 0) / ibiData.length;
-  const variance = ibiData.reduce((sum, val) => sum + Math.pow(val - meanIBI, 2), 0) / ibiData.length;
-  
-  const totalPower = variance;
-  const vlfPower = totalPower * 0.3;
-  const lfPower = totalPower * 0.4;
-  const hfPower = totalPower * 0.3;
+export const createResonanceBandProfile = (breathingFrequency = 0.1, { halfWidth = 0.015, notches = [] } = {}) => ({
+  name: 'resonance',
+  breathingFrequency,
+  bands: {
+    ...BAND_PROFILES.taskForce.bands,
+    resonance: [breathingFrequency - halfWidth, breathingFrequency + halfWidth]
+  },
+  notches
+});
+
+/**
+ * Validate a band profile, falling back to the Task Force bands
+ */
+const resolveBandProfile = (profile) => {
+  if (!profile) return BAND_PROFILES.taskForce;
+
+  const bands = { ...BAND_PROFILES.taskForce.bands, ...profile.bands };
+  Object.entries(bands).forEach(([name, range]) => {
+    if (!Array.isArray(range) || range.length !== 2 || !(range[0] < range[1])) {
+      throw new Error(`Invalid frequency band "${name}": expected [low, high] in Hz`);
+    }
+  });
+
+  const notches = (profile.notches || []).map(notch => {
+    if (!(notch.frequency > 0) || !(notch.halfWidth > 0)) {
+      throw new Error('Invalid notch: expected { frequency, halfWidth } in Hz');
+    }
+    return { frequency: notch.frequency, halfWidth: notch.halfWidth };
+  });
+
+  return { ...profile, name: profile.name || 'custom', bands, notches };
+};
+
+const isNotched = (frequency, notches) =>
+  notches.some(notch => Math.abs(frequency - notch.frequency) <= notch.halfWidth);
+
+/**
+ * Shape integrated band powers into the `frequency` result, echoing the profile used
+ */
+const summarizeBandPowers = (bandPowers, bandProfile) => {
+  const { vlf: vlfPower, lf: lfPower, hf: hfPower } = bandPowers;
+  const totalPower = vlfPower + lfPower + hfPower;
   const lfhfRatio = lfPower / hfPower;
-  
+
+  const roundedBands = {};
+  Object.entries(bandPowers).forEach(([name, power]) => {
+    roundedBands[name] = Math.round(power);
+  });
+
   return {
     totalPower: Math.round(totalPower),
     vlfPower: Math.round(vlfPower),
@@ -178,385 +356,2023 @@ const calculateSimplifiedFrequencyMetrics = (ibiData) => {
     hfPower: Math.round(hfPower),
     lfhfRatio: Math.round(lfhfRatio * 100) / 100,
     lfNorm: Math.round((lfPower / (lfPower + hfPower)) * 100 * 100) / 100,
-    hfNorm: Math.round((hfPower / (lfPower + hfPower)) * 100 * 100) / 100
+    hfNorm: Math.round((hfPower / (lfPower + hfPower)) * 100 * 100) / 100,
+    bandPowers: roundedBands,
+    bandProfile: {
+      name: bandProfile.name,
+      bands: bandProfile.bands,
+      notches: bandProfile.notches,
+      ...(bandProfile.breathingFrequency !== undefined && { breathingFrequency: bandProfile.breathingFrequency })
+    }
   };
 };
 
-/**
- * Interpolate RR intervals to uniform sampling rate
- */
-const interpolateRRIntervals = (ibiData) => {
-  // Convert IBI to cumulative time
-  const cumulativeTime = [0];
-  for (let i = 0; i < ibiData.length; i++) {
-    cumulativeTime.push(cumulativeTime[i] + ibiData[i] / 1000); // Convert ms to seconds
-  }
-  
-  // Target sample rate (8 Hz for better frequency resolution at 0.1 Hz)
-  const sampleRate = 8;
-  const totalDuration = cumulativeTime[cumulativeTime.length - 1];
-  const numSamples = Math.floor(totalDuration * sampleRate);
-  
-  const interpolatedRR = new Array(numSamples);
-  const timeStep = 1 / sampleRate;
-  
-  for (let i = 0; i < numSamples; i++) {
-    const targetTime = i * timeStep;
-    
-    // Find surrounding IBI values
-    let leftIndex = 0;
-    for (let j = 0; j < cumulativeTime.length - 1; j++) {
-      if (cumulativeTime[j] <= targetTime && targetTime < cumulativeTime[j + 1]) {
-        leftIndex = j;
-        break;
-      }
-    }
-    
-    // Linear interpolation
-    if (leftIndex < ibiData.length - 1) {
-      const t1 = cumulativeTime[leftIndex];
-      const t2 = cumulativeTime[leftIndex + 1];
-      const v1 = ibiData[leftIndex];
-      const v2 = ibiData[leftIndex + 1];
-      
-      const weight = (targetTime - t1) / (t2 - t1);
-      interpolatedRR[i] = v1 + weight * (v2 - v1);
-    } else {
-      interpolatedRR[i] = ibiData[ibiData.length - 1];
-    }
-  }
-  
-  return { interpolatedRR, sampleRate };
+// Welch defaults mirror hrv_pipeline/scripts/compute_psd.py (RESAMPLE_HZ, WELCH_NPERSEG)
+export const WELCH_DEFAULTS = {
+  resampleRate: 4,      // Hz, resampling grid
+  interpolation: 'cubic', // 'cubic' | 'monotone' | 'linear' (see interpolateRRIntervals)
+  segmentLength: 256,   // samples per Welch segment (clipped to series length)
+  overlap: 0.5,         // fraction of segmentLength shared by neighbouring segments
+  detrend: 'linear'     // 'linear' | 'constant' | 'none', applied to the whole resampled series
 };
 
 /**
- * Apply Hanning window to reduce spectral leakage
+ * Calculate frequency domain metrics from the IBI series
+ *
+ * The default Welch estimator reproduces compute_psd.py: cubic-spline
+ * resampling, linear detrend, Hann-windowed segments with 50% overlap and
+ * trapezoidal band integration. On raw_filtered_capture_ibi_corrected.csv the
+ * PSD matches raw_filtered_capture_psd_values.csv within 1e-6 per bin and LF/HF
+ * powers agree with the pipeline within 0.1%, as test/welchPSD.test.js checks
+ * (VLF differs because the app band starts at 0.003 Hz rather than 0 Hz).
+ *
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options]
+ * @param {string} [options.method='welch'] - 'welch', 'lomb' (Lomb-Scargle on beat times),
+ *   'ar' (Burg autoregressive model, suited to 2-3 minute blocks) or 'fft' (single zero-padded periodogram, see FFT_DEFAULTS)
+ * @param {number} [options.resampleRate] - Resampling rate in Hz (Welch, AR and FFT)
+ * @param {number} [options.segmentLength] - Welch segment length in samples
+ * @param {number} [options.overlap] - Welch segment overlap as a fraction (0-1)
+ * @param {string} [options.detrend] - 'linear', 'constant' or 'none'
+ * @param {number} [options.oversample] - Lomb-Scargle frequency grid oversampling factor
+ * @param {number} [options.maxFrequency] - Highest Lomb-Scargle frequency evaluated (Hz)
+ * @param {Array} [options.beatTimes] - Beat times in seconds for the Lomb-Scargle estimator
+ * @param {number|string} [options.order] - AR model order, or 'auto' to select it by AIC
+ * @param {number} [options.maxOrder] - Highest AR order tried by automatic selection
+ * @param {number} [options.fftLength] - Minimum zero-padded FFT length of the 'fft' periodogram
+ * @param {Object} [options.bandProfile] - Resolved band profile (defaults to Task Force bands)
  */
-const applyHanningWindow = (data) => {
-  const N = data.length;
-  const windowedData = new Array(N);
-  
-  for (let i = 0; i < N; i++) {
-    const window = 0.5 * (1 - Math.cos(2 * Math.PI * i / (N - 1)));
-    windowedData[i] = data[i] * window;
-  }
-  
-  return windowedData;
+export const calculateFrequencyDomainMetrics = (ibiData, options = {}) => {
+  const steps = frequencyDomainSteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
 };
 
 /**
- * Custom FFT implementation for React Native compatibility
+ * calculateFrequencyDomainMetrics as a generator (the Welch, Lomb-Scargle and
+ * AR estimators yield 'spectral' progress as they go)
  */
-const performFFT = (data) => {
-  const N = data.length;
-  
-  // Ensure power of 2 length
-  const paddedLength = Math.pow(2, Math.ceil(Math.log2(N)));
-  const paddedData = new Array(paddedLength);
-  
-  for (let i = 0; i < paddedLength; i++) {
-    paddedData[i] = i < N ? [data[i], 0] : [0, 0]; // [real, imaginary]
-  }
-  
-  return cooleyTukeyFFT(paddedData);
-};
+function* frequencyDomainSteps(ibiData, options = {}) {
+  const bandProfile = options.bandProfile || BAND_PROFILES.taskForce;
+  const method = options.method || 'welch';
 
-/**
- * Cooley-Tukey FFT algorithm implementation
- */
-const cooleyTukeyFFT = (x) => {
-  const N = x.length;
-  
-  if (N <= 1) return x;
-  
-  // Divide
-  const even = new Array(N / 2);
-  const odd = new Array(N / 2);
-  
-  for (let i = 0; i < N / 2; i++) {
-    even[i] = x[2 * i];
-    odd[i] = x[2 * i + 1];
+  if (ibiData.length < MIN_SPECTRAL_BEATS) {
+    return insufficientFrequencyResult(
+      method,
+      bandProfile,
+      `Spectral analysis needs at least ${MIN_SPECTRAL_BEATS} beats (got ${ibiData.length})`
+    );
   }
-  
-  // Conquer
-  const evenFFT = cooleyTukeyFFT(even);
-  const oddFFT = cooleyTukeyFFT(odd);
-  
-  // Combine
-  const result = new Array(N);
-  
-  for (let k = 0; k < N / 2; k++) {
-    const angle = -2 * Math.PI * k / N;
-    const twiddle = [Math.cos(angle), Math.sin(angle)];
-    
-    // Complex multiplication: twiddle * oddFFT[k]
-    const twiddledOdd = [
-      twiddle[0] * oddFFT[k][0] - twiddle[1] * oddFFT[k][1],
-      twiddle[0] * oddFFT[k][1] + twiddle[1] * oddFFT[k][0]
-    ];
-    
-    // Complex addition and subtraction
-    result[k] = [
-      evenFFT[k][0] + twiddledOdd[0],
-      evenFFT[k][1] + twiddledOdd[1]
-    ];
-    
-    result[k + N / 2] = [
-      evenFFT[k][0] - twiddledOdd[0],
-      evenFFT[k][1] - twiddledOdd[1]
-    ];
+
+  const estimatorOptions = { ...options, bandProfile };
+  try {
+    if (method === 'welch') {
+      return yield* welchFrequencySteps(ibiData, estimatorOptions);
+    }
+    if (method === 'lomb') {
+      return yield* lombFrequencySteps(ibiData, estimatorOptions);
+    }
+    if (method === 'ar') {
+      return yield* arFrequencySteps(ibiData, estimatorOptions);
+    }
+    if (method === 'fft') {
+      return calculateFFTFrequencyMetrics(ibiData, estimatorOptions);
+    }
+    throw new Error(`Unknown spectral method "${method}"`);
+  } catch (error) {
+    console.warn('Spectral estimation failed:', error);
+    return insufficientFrequencyResult(method, bandProfile, `Spectral estimation failed: ${error.message}`);
   }
-  
-  return result;
-};
+}
+
+const MIN_SPECTRAL_BEATS = 32;
 
 /**
- * Calculate Power Spectral Density from FFT result
+ * Explicit "no spectrum" result: band powers are null rather than guessed
  */
-const calculatePSD = (fftResult, sampleRate) => {
-  const N = fftResult.length;
-  const psd = new Array(N);
-  
-  for (let i = 0; i < N; i++) {
-    const real = fftResult[i][0];
-    const imag = fftResult[i][1];
-    const magnitude = Math.sqrt(real * real + imag * imag);
-    psd[i] = (magnitude * magnitude) / (sampleRate * N);
+const insufficientFrequencyResult = (method, bandProfile, reason) => ({
+  insufficientData: true,
+  reason,
+  method,
+  totalPower: null,
+  vlfPower: null,
+  lfPower: null,
+  hfPower: null,
+  lfhfRatio: null,
+  lfNorm: null,
+  hfNorm: null,
+  bandPowers: null,
+  bandProfile: {
+    name: bandProfile.name,
+    bands: bandProfile.bands,
+    notches: bandProfile.notches
   }
-  
-  return psd;
-};
+});
 
 /**
- * Integrate power in VLF, LF, and HF frequency bands
+ * Welch PSD pipeline: resample, detrend, average periodograms, integrate bands
  */
-const integratePowerBands = (psd, sampleRate) => {
-  const N = psd.length;
-  const freqResolution = sampleRate / (2 * N);
-  
-  // Frequency band definitions (Hz)
-  const vlfRange = [0.003, 0.04];
-  const lfRange = [0.04, 0.15];
-  const hfRange = [0.15, 0.4];
-  
-  let vlfPower = 0;
-  let lfPower = 0;
-  let hfPower = 0;
-  
-  // Only use positive frequencies (first half of PSD)
-  const halfN = Math.floor(N / 2);
-  
-  // Define 0.167 Hz filter parameters (±0.01 Hz around 0.167 Hz)
-  const filterFreq = 0.167;
-  const filterBandwidth = 0.01; // ±10 mHz around 0.167 Hz
-  const filterLow = filterFreq - filterBandwidth;
-  const filterHigh = filterFreq + filterBandwidth;
-  
-  for (let i = 1; i < halfN; i++) {
-    const frequency = i * freqResolution;
-    const power = psd[i] * 2; // Multiply by 2 for single-sided spectrum
-    
-    // Check if frequency is in the 0.167 Hz filter range
-    const isFiltered = frequency >= filterLow && frequency <= filterHigh;
-    
-    if (frequency >= vlfRange[0] && frequency < vlfRange[1]) {
-      vlfPower += power;
-    } else if (frequency >= lfRange[0] && frequency < lfRange[1]) {
-      lfPower += power;
-    } else if (frequency >= hfRange[0] && frequency < hfRange[1] && !isFiltered) {
-      // Only add to HF power if NOT in the 0.167 Hz filter range
-      hfPower += power;
-    }
-  }
-  
-  const totalPower = vlfPower + lfPower + hfPower;
-  const lfhfRatio = lfPower / hfPower;
-  
+function* welchFrequencySteps(ibiData, options = {}) {
+  const { method, bandProfile, ...overrides } = options;
+  const settings = { ...WELCH_DEFAULTS, ...overrides };
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
+  });
+  const series = detrendSeries(interpolatedRR, settings.detrend);
+  const { frequencies, psd, segmentLength, segmentCount } = yield* welchPSDSteps(series, sampleRate, settings);
+
   return {
-    totalPower: Math.round(totalPower),
-    vlfPower: Math.round(vlfPower),
-    lfPower: Math.round(lfPower),
-    hfPower: Math.round(hfPower),
-    lfhfRatio: Math.round(lfhfRatio * 100) / 100,
-    lfNorm: Math.round((lfPower / (lfPower + hfPower)) * 100 * 100) / 100,
-    hfNorm: Math.round((hfPower / (lfPower + hfPower)) * 100 * 100) / 100
+    ...integrateSpectrumBands(frequencies, psd, bandProfile),
+    psdData: psd,
+    frequencies,
+    sampleRate,
+    method: 'welch',
+    welch: {
+      resampleRate: settings.resampleRate,
+      interpolation: settings.interpolation,
+      segmentLength,
+      segmentCount,
+      overlap: settings.overlap,
+      detrend: settings.detrend
+    }
   };
+}
+
+export const FFT_DEFAULTS = {
+  resampleRate: 4,        // Hz, resampling grid (as for Welch)
+  interpolation: 'cubic',
+  detrend: 'linear',      // removes the mean IBI, which would otherwise leak into every band
+  fftLength: 256          // minimum zero-padded FFT length
 };
 
 /**
- * Calculate Poincaré plot metrics
+ * Single-periodogram pipeline: resample, detrend, one Hann window over the
+ * whole series, integrate bands. Scaled like Welch, so both estimate the same
+ * density and differ only by estimator variance.
  */
-const calculatePoincareMetrics = (successiveDiffs) => {
-  if (successiveDiffs.length < 2) return null;
-  
-  // SD1 and SD2 calculations
-  const rr1 = successiveDiffs.slice(0, -1);
-  const rr2 = successiveDiffs.slice(1);
-  
-  // Calculate differences for SD1 and SD2
-  const diff1 = rr1.map((val, i) => val - rr2[i]);
-  const sum1 = rr1.map((val, i) => val + rr2[i]);
-  
-  // SD1 (width of the cloud) - short-term variability
-  const sd1Variance = diff1.reduce((sum, val) => sum + val * val, 0) / diff1.length;
-  const sd1 = Math.sqrt(sd1Variance) / Math.sqrt(2);
-  
-  // SD2 (length of the cloud) - long-term variability
-  const sd2Variance = sum1.reduce((sum, val) => sum + val * val, 0) / sum1.length;
-  const sd2 = Math.sqrt(sd2Variance) / Math.sqrt(2);
-  
-  // SD1/SD2 ratio
-  const sd1sd2Ratio = sd1 / sd2;
-  
-  // Ellipse area
-  const ellipseArea = Math.PI * sd1 * sd2;
-  
+const calculateFFTFrequencyMetrics = (ibiData, options = {}) => {
+  const { method, bandProfile, beatTimes, ...overrides } = options;
+  const settings = { ...FFT_DEFAULTS, ...overrides };
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
+  });
+  const series = detrendSeries(interpolatedRR, settings.detrend);
+  const periodogram = createPeriodogram(series.length, sampleRate, settings.fftLength);
+  const { frequencies, psd } = periodogram(series);
+
   return {
-    sd1: Math.round(sd1 * 100) / 100,
-    sd2: Math.round(sd2 * 100) / 100,
-    sd1sd2Ratio: Math.round(sd1sd2Ratio * 1000) / 1000,
-    ellipseArea: Math.round(ellipseArea)
+    ...integrateSpectrumBands(frequencies, psd, bandProfile),
+    psdData: psd,
+    frequencies,
+    sampleRate,
+    method: 'fft',
+    fft: {
+      resampleRate: settings.resampleRate,
+      interpolation: settings.interpolation,
+      detrend: settings.detrend,
+      fftLength: periodogram.fftLength
+    }
   };
 };
 
+export const AR_DEFAULTS = {
+  resampleRate: 4,      // Hz, resampling grid (as for Welch)
+  interpolation: 'cubic',
+  order: 'auto',        // model order, or 'auto' for AIC selection
+  maxOrder: 20,         // highest order tried by automatic selection
+  detrend: 'linear',
+  frequencyStep: 0.001, // Hz between evaluated spectrum points
+  maxFrequency: 0.5,    // Hz
+  refinePeaks: true     // add points around peaks narrower than frequencyStep
+};
+
 /**
- * Create histogram for geometric analysis
+ * Autoregressive pipeline: resample, fit a Burg model, evaluate its spectrum
+ * and split the variance between the model poles
  */
-const createHistogram = (data, binWidth) => {
-  const histogram = {};
-  const minVal = Math.min(...data);
-  
-  data.forEach(val => {
-    const bin = Math.floor((val - minVal) / binWidth) * binWidth + minVal;
-    histogram[bin] = (histogram[bin] || 0) + 1;
+function* arFrequencySteps(ibiData, options = {}) {
+  const { method, bandProfile, beatTimes, ...overrides } = options;
+  const settings = { ...AR_DEFAULTS, ...overrides };
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
   });
-  
-  return histogram;
-};
+  const series = detrendSeries(interpolatedRR, settings.detrend);
+  const model = yield* burgModelSteps(series, settings);
+  const { frequencies, psd } = calculateARSpectrum(model, sampleRate, settings);
+  const poles = decomposeARPoles(model, sampleRate, bandProfile);
+
+  const bandPoles = {};
+  Object.entries(bandProfile.bands).forEach(([name, [low, high]]) => {
+    const inBand = poles.filter(pole => pole.frequency >= low && pole.frequency < high);
+    const dominant = inBand.reduce((best, pole) => (!best || pole.power > best.power ? pole : best), null);
+    bandPoles[name] = {
+      power: Math.round(inBand.reduce((sum, pole) => sum + pole.power, 0)),
+      peakFrequency: dominant ? dominant.frequency : null,
+      poleCount: inBand.length
+    };
+  });
+
+  return {
+    ...integrateSpectrumBands(frequencies, psd, bandProfile),
+    psdData: psd,
+    frequencies,
+    sampleRate,
+    method: 'ar',
+    ar: {
+      order: model.order,
+      frequencyStep: settings.frequencyStep,
+      orderSelection: settings.order === 'auto' ? 'aic' : 'fixed',
+      innovationVariance: model.variance,
+      resampleRate: settings.resampleRate,
+      interpolation: settings.interpolation,
+      poles,
+      bandPoles
+    }
+  };
+}
 
 /**
- * Generate data for IBI scatter plot visualization
+ * Burg estimate of AR coefficients a[0..p] (a[0] = 1) and innovation variance
+ *
+ * With order 'auto' every order up to maxOrder is fitted in one Burg recursion
+ * and the one minimising AIC = N ln(variance) + 2p is kept.
  */
-export const generateIBIScatterData = (ibiData) => {
-  if (!ibiData || ibiData.length < 2) return null;
-  
-  return ibiData.map((ibi, index) => ({
-    x: index,
-    y: ibi,
-    heartRate: Math.round(60000 / ibi * 10) / 10
-  }));
+export const fitBurgModel = (series, options = {}) => {
+  const steps = burgModelSteps(series, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
 };
 
 /**
- * Generate data for Poincaré plot visualization
+ * fitBurgModel as a generator (yields 'spectral' progress before each order)
  */
-export const generatePoincareData = (ibiData) => {
-  if (!ibiData || ibiData.length < 2) return null;
-  
-  const points = [];
-  for (let i = 0; i < ibiData.length - 1; i++) {
-    points.push({
-      x: ibiData[i],
-      y: ibiData[i + 1],
-      index: i
-    });
+function* burgModelSteps(series, { order = AR_DEFAULTS.order, maxOrder = AR_DEFAULTS.maxOrder } = {}) {
+  const N = series.length;
+  const targetOrder = order === 'auto' ? Math.min(maxOrder, Math.floor(N / 3)) : order;
+  if (!(targetOrder >= 1) || targetOrder >= N) {
+    throw new Error(`AR order must be between 1 and ${N - 1}`);
   }
-  
-  return points;
-};
+
+  let forward = series.slice();
+  let backward = series.slice();
+  let coeffs = [1];
+  let variance = series.reduce((sum, val) => sum + val * val, 0) / N;
+  let best = { order: 0, coeffs, variance, aic: N * Math.log(variance) };
+
+  for (let m = 1; m <= targetOrder; m++) {
+    yield { stage: 'spectral', progress: (m - 1) / targetOrder };
+    let num = 0;
+    let den = 0;
+    for (let n = 1; n < forward.length; n++) {
+      num += backward[n - 1] * forward[n];
+      den += forward[n] * forward[n] + backward[n - 1] * backward[n - 1];
+    }
+    const k = -2 * num / den;
+
+    const nextForward = new Array(forward.length - 1);
+    const nextBackward = new Array(forward.length - 1);
+    for (let n = 1; n < forward.length; n++) {
+      nextForward[n - 1] = forward[n] + k * backward[n - 1];
+      nextBackward[n - 1] = backward[n - 1] + k * forward[n];
+    }
+    forward = nextForward;
+    backward = nextBackward;
+
+    const extended = [...coeffs, 0];
+    coeffs = extended.map((val, j) => val + k * extended[m - j]);
+    variance *= 1 - k * k;
+
+    const aic = N * Math.log(variance) + 2 * m;
+    if (order !== 'auto' || aic < best.aic) {
+      best = { order: m, coeffs, variance, aic };
+    }
+  }
+
+  return best;
+}
 
 /**
- * Generate data for IBI histogram
+ * One-sided AR power spectral density, 2σ² / (fs |A(e^{iω})|²), in ms²/Hz
+ *
+ * Evaluated every frequencyStep Hz. A pole close to the unit circle gives a
+ * peak narrower than that step, which a trapezoid over the uniform grid would
+ * over- or underestimate many times over; with refinePeaks the grid also gets
+ * log-spaced points around each such pole, from 1% of its half-power bandwidth
+ * out to ten grid steps, so band integrals match the pole powers.
  */
-export const generateIBIHistogram = (ibiData, binCount = 20) => {
-  if (!ibiData || ibiData.length < 2) return null;
-  
-  const minVal = Math.min(...ibiData);
-  const maxVal = Math.max(...ibiData);
-  const binWidth = (maxVal - minVal) / binCount;
-  
-  const bins = Array(binCount).fill(0).map((_, i) => ({
-    start: minVal + i * binWidth,
-    end: minVal + (i + 1) * binWidth,
-    count: 0,
-    center: minVal + (i + 0.5) * binWidth
-  }));
-  
-  ibiData.forEach(val => {
-    const binIndex = Math.min(Math.floor((val - minVal) / binWidth), binCount - 1);
-    bins[binIndex].count++;
+const calculateARSpectrum = (model, sampleRate, { frequencyStep, maxFrequency, refinePeaks = false }) => {
+  const limit = Math.min(maxFrequency, sampleRate / 2);
+  let grid = [];
+  for (let i = 0; i * frequencyStep <= limit; i++) grid.push(i * frequencyStep);
+
+  if (refinePeaks && model.order > 0) {
+    findPolynomialRoots(model.coeffs).forEach(root => {
+      const center = Math.abs(Math.atan2(root[1], root[0])) * sampleRate / (2 * Math.PI);
+      const bandwidth = Math.max(-Math.log(Math.hypot(root[0], root[1])), 1e-12) * sampleRate / (2 * Math.PI);
+      if (bandwidth >= frequencyStep) return;
+      grid.push(center);
+      for (let offset = bandwidth / 100; offset <= 10 * frequencyStep; offset *= ARSPECTRUM_REFINE_RATIO) {
+        grid.push(center - offset, center + offset);
+      }
+    });
+    grid = grid.filter(f => f >= 0 && f <= limit).sort((a, b) => a - b)
+      .filter((f, i, sorted) => i === 0 || f > sorted[i - 1]);
+  }
+
+  const psd = grid.map(f => {
+    const omega = 2 * Math.PI * f / sampleRate;
+    let re = 0;
+    let im = 0;
+    model.coeffs.forEach((a, j) => {
+      re += a * Math.cos(omega * j);
+      im -= a * Math.sin(omega * j);
+    });
+    const scale = f === 0 ? 1 : 2;
+    return scale * model.variance / (sampleRate * (re * re + im * im));
   });
-  
-  return bins;
+
+  return { frequencies: grid, psd };
 };
 
+// Spacing of the refined points around a narrow AR peak (10 per decade)
+const ARSPECTRUM_REFINE_RATIO = Math.pow(10, 0.1);
+
 /**
- * Assess HRV quality and provide interpretations
+ * Split the model variance between its poles (residue method used by Kubios)
+ *
+ * Each pole z_k of the AR polynomial contributes
+ * σ² z_k^(p-1) / (Π_{j≠k}(z_k - z_j) · A(1/z_k)); conjugate pairs are merged so
+ * every reported pole has a non-negative frequency and a real power in ms².
  */
-export const assessHRVQuality = (hrvMetrics) => {
-  if (!hrvMetrics) return null;
-  
-  const { timeDomain, poincare } = hrvMetrics;
-  const assessments = [];
-  
-  // RMSSD assessment
-  if (timeDomain.rmssd > 50) {
-    assessments.push({
-      metric: 'RMSSD',
-      value: timeDomain.rmssd,
-      status: 'excellent',
-      interpretation: 'High parasympathetic activity - excellent recovery capacity'
-    });
-  } else if (timeDomain.rmssd > 30) {
-    assessments.push({
-      metric: 'RMSSD',
-      value: timeDomain.rmssd,
-      status: 'good',
-      interpretation: 'Good parasympathetic activity - healthy recovery'
-    });
-  } else if (timeDomain.rmssd > 15) {
-    assessments.push({
-      metric: 'RMSSD',
-      value: timeDomain.rmssd,
-      status: 'fair',
-      interpretation: 'Moderate parasympathetic activity - consider stress management'
-    });
-  } else {
-    assessments.push({
-      metric: 'RMSSD',
-      value: timeDomain.rmssd,
-      status: 'poor',
-      interpretation: 'Low parasympathetic activity - may indicate stress or fatigue'
+const decomposeARPoles = (model, sampleRate, bandProfile) => {
+  const p = model.order;
+  if (p < 1) return [];
+
+  const roots = findPolynomialRoots(model.coeffs);
+  const poles = [];
+
+  roots.forEach((root, k) => {
+    const angle = Math.atan2(root[1], root[0]);
+    if (angle < -1e-9) return; // reported with its conjugate
+
+    let numerator = complexPow(root, p - 1);
+    roots.forEach((other, j) => {
+      if (j !== k) numerator = complexDiv(numerator, complexSub(root, other));
     });
-  }
-  
-  // SDNN assessment
-  if (timeDomain.sdnn > 50) {
-    assessments.push({
-      metric: 'SDNN',
-      value: timeDomain.sdnn,
-      status: 'excellent',
-      interpretation: 'Excellent overall heart rate variability'
+    let reversed = [0, 0];
+    model.coeffs.forEach((a, j) => {
+      const term = complexPow(root, j);
+      reversed = [reversed[0] + a * term[0], reversed[1] + a * term[1]];
     });
-  } else if (timeDomain.sdnn > 30) {
-    assessments.push({
-      metric: 'SDNN',
-      value: timeDomain.sdnn,
-      status: 'good',
-      interpretation: 'Good overall heart rate variability'
+    const residue = complexDiv(numerator, reversed);
+
+    const isComplexPair = angle > 1e-9 && angle < Math.PI - 1e-9;
+    const power = model.variance * residue[0] * (isComplexPair ? 2 : 1);
+    const frequency = angle * sampleRate / (2 * Math.PI);
+    const band = Object.keys(bandProfile.bands).find(name => {
+      const [low, high] = bandProfile.bands[name];
+      return frequency >= low && frequency < high;
+    }) || null;
+
+    poles.push({
+      frequency: Math.round(frequency * 10000) / 10000,
+      power: Math.round(power * 100) / 100,
+      modulus: Math.round(Math.hypot(root[0], root[1]) * 10000) / 10000,
+      band
     });
-  } else {
-    assessments.push({
-      metric: 'SDNN',
-      value: timeDomain.sdnn,
-      status: 'fair',
-      interpretation: 'Lower overall variability - focus on recovery practices'
+  });
+
+  return poles.sort((a, b) => a.frequency - b.frequency);
+};
+
+/**
+ * Roots of z^p + c[1] z^(p-1) + ... + c[p] by Durand-Kerner iteration
+ */
+const findPolynomialRoots = (coeffs) => {
+  const p = coeffs.length - 1;
+  const evaluate = (z) => coeffs.reduce((acc, c) => complexAdd(complexMul(acc, z), [c, 0]), [0, 0]);
+
+  let roots = Array.from({ length: p }, (_, k) => complexPow([0.4, 0.9], k));
+  for (let iter = 0; iter < 500; iter++) {
+    let maxShift = 0;
+    roots = roots.map((root, k) => {
+      let denom = [1, 0];
+      roots.forEach((other, j) => {
+        if (j !== k) denom = complexMul(denom, complexSub(root, other));
+      });
+      const shift = complexDiv(evaluate(root), denom);
+      maxShift = Math.max(maxShift, Math.hypot(shift[0], shift[1]));
+      return complexSub(root, shift);
     });
+    if (maxShift < 1e-12) break;
   }
-  
-  // Poincaré assessment
-  if (poincare && poincare.sd1sd2Ratio) {
-    if (poincare.sd1sd2Ratio > 0.5) {
+  return roots;
+};
+
+// Complex helpers on [re, im] pairs (same layout as the FFT)
+const complexAdd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const complexSub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const complexMul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const complexDiv = (a, b) => {
+  const den = b[0] * b[0] + b[1] * b[1];
+  return [(a[0] * b[0] + a[1] * b[1]) / den, (a[1] * b[0] - a[0] * b[1]) / den];
+};
+const complexPow = (z, n) => {
+  let result = [1, 0];
+  for (let i = 0; i < n; i++) result = complexMul(result, z);
+  return result;
+};
+
+export const LOMB_DEFAULTS = {
+  oversample: 4,      // grid points per natural resolution step (1 / duration)
+  maxFrequency: 0.5   // Hz
+};
+
+/**
+ * Lomb-Scargle pipeline: periodogram on the beat times, no resampling
+ */
+function* lombFrequencySteps(ibiData, options = {}) {
+  const { method, bandProfile, beatTimes, ...overrides } = options;
+  const settings = { ...LOMB_DEFAULTS, ...overrides };
+
+  const times = beatTimes && beatTimes.length === ibiData.length ? beatTimes : cumulativeBeatTimes(ibiData);
+  const { frequencies, psd } = yield* lombScarglePSDSteps(times, ibiData, settings);
+
+  return {
+    ...integrateSpectrumBands(frequencies, psd, bandProfile),
+    psdData: psd,
+    frequencies,
+    method: 'lomb',
+    lomb: {
+      oversample: settings.oversample,
+      maxFrequency: settings.maxFrequency,
+      beatCount: ibiData.length,
+      usedBeatTimes: times === beatTimes
+    }
+  };
+}
+
+/**
+ * Time in seconds of the beat that closes each IBI, assuming no missing beats
+ */
+const cumulativeBeatTimes = (ibiData) => {
+  const times = new Array(ibiData.length);
+  let elapsed = 0;
+  for (let i = 0; i < ibiData.length; i++) {
+    elapsed += ibiData[i] / 1000;
+    times[i] = elapsed;
+  }
+  return times;
+};
+
+/**
+ * Lomb-Scargle periodogram of unevenly sampled values (one-sided density, ms²/Hz)
+ *
+ * Uses the time-shift (tau) form, so each frequency is a least-squares sinusoid
+ * fit. Scaled by 2T/N so that integrating over frequency returns the variance,
+ * like the Welch density.
+ */
+export const calculateLombScarglePSD = (times, values, options = {}) => {
+  const steps = lombScarglePSDSteps(times, values, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+// Each Lomb-Scargle frequency is two passes over every beat
+const LOMB_FREQUENCIES_PER_YIELD = 16;
+
+/**
+ * calculateLombScarglePSD as a generator (yields 'spectral' progress every
+ * LOMB_FREQUENCIES_PER_YIELD frequencies)
+ */
+function* lombScarglePSDSteps(times, values, options = {}) {
+  const { oversample = LOMB_DEFAULTS.oversample, maxFrequency = LOMB_DEFAULTS.maxFrequency } = options;
+  const N = values.length;
+  const duration = times[N - 1] - times[0];
+  const mean = values.reduce((sum, val) => sum + val, 0) / N;
+  const centered = values.map(val => val - mean);
+
+  const step = 1 / (duration * oversample);
+  const frequencies = [];
+  const psd = [];
+
+  for (let f = step; f <= maxFrequency; f += step) {
+    if (frequencies.length % LOMB_FREQUENCIES_PER_YIELD === 0) {
+      yield { stage: 'spectral', progress: f / maxFrequency };
+    }
+    const omega = 2 * Math.PI * f;
+
+    let sin2 = 0;
+    let cos2 = 0;
+    for (let i = 0; i < N; i++) {
+      sin2 += Math.sin(2 * omega * times[i]);
+      cos2 += Math.cos(2 * omega * times[i]);
+    }
+    const tau = Math.atan2(sin2, cos2) / (2 * omega);
+
+    let yc = 0;
+    let ys = 0;
+    let cc = 0;
+    let ss = 0;
+    for (let i = 0; i < N; i++) {
+      const phase = omega * (times[i] - tau);
+      const c = Math.cos(phase);
+      const sn = Math.sin(phase);
+      yc += centered[i] * c;
+      ys += centered[i] * sn;
+      cc += c * c;
+      ss += sn * sn;
+    }
+
+    const power = 0.5 * ((yc * yc) / cc + (ys * ys) / ss);
+    frequencies.push(f);
+    psd.push(2 * power * duration / N);
+  }
+
+  return { frequencies, psd };
+}
+
+/**
+ * Welch's averaged periodogram (one-sided density, ms²/Hz)
+ *
+ * Matches scipy.signal.welch defaults: periodic Hann window, per-segment mean
+ * removal, density scaling and segment length clipped to the series length.
+ */
+export const calculateWelchPSD = (series, sampleRate, options = {}) => {
+  const steps = welchPSDSteps(series, sampleRate, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * calculateWelchPSD as a generator (yields 'spectral' progress before each segment)
+ */
+function* welchPSDSteps(series, sampleRate, options = {}) {
+  const { segmentLength = WELCH_DEFAULTS.segmentLength, overlap = WELCH_DEFAULTS.overlap } = options;
+  const nperseg = Math.min(segmentLength, series.length);
+  const noverlap = Math.min(Math.floor(segmentLength * overlap), nperseg - 1);
+  const step = nperseg - noverlap;
+  const segmentCount = Math.floor((series.length - nperseg) / step) + 1;
+
+  const window = new Array(nperseg);
+  let windowPower = 0;
+  for (let i = 0; i < nperseg; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / nperseg);
+    windowPower += window[i] * window[i];
+  }
+
+  const binCount = Math.floor(nperseg / 2) + 1;
+  const psd = new Array(binCount).fill(0);
+  const scale = 1 / (sampleRate * windowPower * segmentCount);
+
+  // Segments are transformed in the plan's buffers, shared by every call of this length
+  const { re, im } = getFFTPlan(nperseg);
+
+  for (let s = 0; s < segmentCount; s++) {
+    yield { stage: 'spectral', progress: s / segmentCount };
+    const offset = s * step;
+    let mean = 0;
+    for (let i = 0; i < nperseg; i++) mean += series[offset + i];
+    mean /= nperseg;
+
+    for (let i = 0; i < nperseg; i++) {
+      re[i] = (series[offset + i] - mean) * window[i];
+      im[i] = 0;
+    }
+
+    fft(re, im);
+    for (let k = 0; k < binCount; k++) {
+      psd[k] += (re[k] * re[k] + im[k] * im[k]) * scale;
+    }
+  }
+
+  // Fold negative frequencies into the one-sided spectrum (DC and Nyquist appear once)
+  const lastDoubled = nperseg % 2 === 0 ? binCount - 2 : binCount - 1;
+  for (let k = 1; k <= lastDoubled; k++) {
+    psd[k] *= 2;
+  }
+
+  const frequencies = psd.map((_, k) => k * sampleRate / nperseg);
+  return { frequencies, psd, segmentLength: nperseg, segmentCount };
+}
+
+/**
+ * Remove the mean or least-squares line from a uniformly sampled series
+ */
+const detrendSeries = (data, type = 'linear') => {
+  const N = data.length;
+  if (type === 'none' || N < 2) return data.slice();
+
+  const mean = data.reduce((sum, val) => sum + val, 0) / N;
+  if (type === 'constant') return data.map(val => val - mean);
+
+  const meanIndex = (N - 1) / 2;
+  let covariance = 0;
+  let indexVariance = 0;
+  for (let i = 0; i < N; i++) {
+    covariance += (i - meanIndex) * (data[i] - mean);
+    indexVariance += (i - meanIndex) * (i - meanIndex);
+  }
+  const slope = covariance / indexVariance;
+
+  return data.map((val, i) => val - (mean + slope * (i - meanIndex)));
+};
+
+/**
+ * Integrate a one-sided density spectrum over the profile's bands (trapezoidal rule)
+ *
+ * Notched bins break the integration, so no trapezoid spans an excluded range.
+ */
+const integrateSpectrumBands = (frequencies, psd, bandProfile) => {
+  const bandPower = ([low, high]) => {
+    let power = 0;
+    let prevIndex = -1;
+    for (let i = 0; i < frequencies.length; i++) {
+      if (frequencies[i] < low || frequencies[i] >= high) continue;
+      if (isNotched(frequencies[i], bandProfile.notches)) {
+        prevIndex = -1;
+        continue;
+      }
+      if (prevIndex >= 0) {
+        power += (frequencies[i] - frequencies[prevIndex]) * (psd[i] + psd[prevIndex]) / 2;
+      }
+      prevIndex = i;
+    }
+    return power;
+  };
+
+  const bandPowers = {};
+  Object.entries(bandProfile.bands).forEach(([name, range]) => {
+    bandPowers[name] = bandPower(range);
+  });
+
+  return summarizeBandPowers(bandPowers, bandProfile);
+};
+
+export const RESONANCE_DEFAULTS = {
+  peakRange: [0.04, 0.26],   // where the resonance peak is searched (Hz)
+  peakWindow: 0.03,          // width of the window integrated around the peak (Hz)
+  pacedWindow: 0.03,         // width of the window integrated around the pacer frequency (Hz)
+  totalRange: [0.0033, 0.4]  // spectrum the peak is compared against (Hz)
+};
+
+/**
+ * Resonance-frequency assessment from an HRV spectrum
+ *
+ * Finds the highest spectral peak in peakRange and reports the coherence ratio
+ * (HeartMath style: peak-window power / (total power - peak-window power)) and,
+ * when the pacer frequency is known, the share of total power around it. The
+ * resonance score is that share as a percentage (peak-window share if unpaced).
+ */
+const calculateResonanceMetrics = (frequency, options = {}) => {
+  if (!frequency || frequency.insufficientData || !frequency.psdData) return null;
+
+  const settings = { ...RESONANCE_DEFAULTS, ...options };
+  const psd = frequency.psdData;
+  const frequencies = frequency.frequencies;
+
+  const { peakIndex, peakPower } = findResonancePeak(frequencies, psd, settings);
+  if (peakIndex < 0) return null;
+
+  const peakFrequency = frequencies[peakIndex];
+  const totalPower = integrateSpectrumWindow(frequencies, psd, settings.totalRange);
+  const coherenceRatio = totalPower > peakPower ? peakPower / (totalPower - peakPower) : null;
+
+  const pacedFrequency = settings.pacedFrequency || null;
+  const pacedPower = pacedFrequency
+    ? integrateSpectrumWindow(frequencies, psd, [
+        pacedFrequency - settings.pacedWindow / 2,
+        pacedFrequency + settings.pacedWindow / 2
+      ])
+    : null;
+  const pacedPowerRatio = pacedPower !== null && totalPower > 0 ? pacedPower / totalPower : null;
+
+  const scoreRatio = pacedPowerRatio ?? (totalPower > 0 ? peakPower / totalPower : 0);
+
+  return {
+    peakFrequency: Math.round(peakFrequency * 10000) / 10000,
+    peakPower: Math.round(peakPower),
+    peakPSD: Math.round(psd[peakIndex]),
+    coherenceRatio: coherenceRatio === null ? null : Math.round(coherenceRatio * 1000) / 1000,
+    pacedFrequency,
+    pacedPower: pacedPower === null ? null : Math.round(pacedPower),
+    pacedPowerRatio: pacedPowerRatio === null ? null : Math.round(pacedPowerRatio * 1000) / 1000,
+    peakOffset: pacedFrequency ? Math.round((peakFrequency - pacedFrequency) * 10000) / 10000 : null,
+    resonanceScore: Math.round(Math.min(1, scoreRatio) * 100),
+    settings
+  };
+};
+
+/**
+ * Highest spectral bin in peakRange and the power in peakWindow around it
+ */
+const findResonancePeak = (frequencies, psd, { peakRange, peakWindow } = RESONANCE_DEFAULTS) => {
+  let peakIndex = -1;
+  for (let i = 0; i < frequencies.length; i++) {
+    if (frequencies[i] < peakRange[0] || frequencies[i] > peakRange[1]) continue;
+    if (peakIndex < 0 || psd[i] > psd[peakIndex]) peakIndex = i;
+  }
+  const peakPower = peakIndex < 0 ? 0 : integrateSpectrumWindow(frequencies, psd, [
+    frequencies[peakIndex] - peakWindow / 2,
+    frequencies[peakIndex] + peakWindow / 2
+  ]);
+  return { peakIndex, peakPower };
+};
+
+/**
+ * Integrate a density spectrum over [low, high] (trapezoidal rule, linearly
+ * interpolated at the window edges so narrow windows are not lost between bins)
+ */
+const integrateSpectrumWindow = (frequencies, psd, [low, high]) => {
+  let power = 0;
+  for (let i = 1; i < frequencies.length; i++) {
+    const f0 = frequencies[i - 1];
+    const f1 = frequencies[i];
+    const a = Math.max(f0, low);
+    const b = Math.min(f1, high);
+    if (b <= a) continue;
+    const slope = (psd[i] - psd[i - 1]) / (f1 - f0);
+    const pa = psd[i - 1] + slope * (a - f0);
+    const pb = psd[i - 1] + slope * (b - f0);
+    power += (b - a) * (pa + pb) / 2;
+  }
+  return power;
+};
+
+/**
+ * Resonance-frequency finder protocol
+ *
+ * The person breathes at each rate for stepSeconds; LF power and spectral peak
+ * amplitude are then compared across steps (Lehrer-style assessment).
+ */
+export const RESONANCE_PROTOCOL = {
+  rates: [6.5, 6, 5.5, 5, 4.5], // breaths per minute, in order
+  stepSeconds: 120,
+  settleSeconds: 15             // skipped at the start of each step while breathing adjusts
+};
+
+/**
+ * Step windows for the protocol, in seconds from its start
+ */
+export const createResonanceProtocol = (rates = RESONANCE_PROTOCOL.rates, stepSeconds = RESONANCE_PROTOCOL.stepSeconds) =>
+  rates.map((rate, i) => ({
+    rate,
+    frequency: rate / 60,
+    start: i * stepSeconds,
+    end: (i + 1) * stepSeconds
+  }));
+
+/**
+ * Even inhale/exhale pattern (seconds) for a breathing rate in breaths per minute
+ */
+export const patternForBreathingRate = (rate) => ({
+  inhaleTime: 30 / rate,
+  holdTime: 0,
+  exhaleTime: 30 / rate
+});
+
+/**
+ * Segment an IBI series by protocol step windows and rank the breathing rates
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Array} steps - Step windows from createResonanceProtocol (or recorded by the pacer)
+ * @param {Object} [options]
+ * @param {Array} [options.beatTimes] - Time (s) of the beat closing each IBI; cumulative IBI if omitted
+ * @param {number} [options.offset=0] - Protocol start on the IBI timeline (s)
+ * @param {number} [options.settleSeconds] - Seconds skipped at the start of each step
+ * @param {Object} [options.spectral] - Frequency-domain options for each step
+ * @returns {Object} Per-step metrics, rates ranked best first, and the best step (null if none analysable)
+ */
+export const analyzeResonanceProtocol = (ibiData, steps, options = {}) => {
+  const offset = options.offset || 0;
+  const settleSeconds = options.settleSeconds ?? RESONANCE_PROTOCOL.settleSeconds;
+  const times = options.beatTimes && options.beatTimes.length === ibiData.length
+    ? options.beatTimes
+    : cumulativeBeatTimes(ibiData);
+
+  const results = steps.map(step => {
+    const from = offset + step.start + settleSeconds;
+    const to = offset + step.end;
+    const segment = ibiData.filter((_, i) => times[i] >= from && times[i] < to);
+    const base = { rate: step.rate, frequency: step.frequency, start: step.start, end: step.end, beatCount: segment.length };
+
+    const frequency = calculateFrequencyDomainMetrics(segment, {
+      ...options.spectral,
+      bandProfile: createResonanceBandProfile(step.frequency)
+    });
+    const resonance = calculateResonanceMetrics(frequency, { pacedFrequency: step.frequency });
+    if (frequency.insufficientData || !resonance) {
+      return { ...base, insufficientData: true, reason: frequency.reason || 'No spectral peak in range' };
+    }
+
+    return {
+      ...base,
+      lfPower: frequency.lfPower,
+      resonancePower: frequency.bandPowers.resonance,
+      peakFrequency: resonance.peakFrequency,
+      peakAmplitude: resonance.peakPSD,
+      coherenceRatio: resonance.coherenceRatio,
+      pacedPowerRatio: resonance.pacedPowerRatio
+    };
+  });
+
+  // Rank on LF power and peak amplitude; the lower rank sum wins, LF power breaks ties
+  const valid = results.filter(step => !step.insufficientData);
+  const rankBy = (key) => {
+    const order = [...valid].sort((a, b) => b[key] - a[key]);
+    return (step) => order.indexOf(step) + 1;
+  };
+  const lfRank = rankBy('lfPower');
+  const amplitudeRank = rankBy('peakAmplitude');
+  const ranked = valid
+    .map(step => ({ step, score: lfRank(step) + amplitudeRank(step) }))
+    .sort((a, b) => a.score - b.score || b.step.lfPower - a.step.lfPower)
+    .map(({ step }, i) => Object.assign(step, { rank: i + 1 }));
+
+  return {
+    steps: results,
+    ranking: ranked.map(step => step.rate),
+    best: ranked[0] || null,
+    settings: { offset, settleSeconds }
+  };
+};
+
+export const RESPIRATION_DEFAULTS = {
+  resampleRate: 4,         // Hz
+  interpolation: 'cubic',
+  band: [0.05, 0.5],       // Hz pass band, 3-30 breaths/min
+  windowSeconds: 60,       // rate-over-time window
+  stepSeconds: 10,
+  minProminence: 0.3,      // peak-to-trough swing a breath needs, as a fraction of the filtered SD
+  agreementTolerance: 0.2, // relative tracked-vs-spectral rate difference that zeroes the confidence
+  competingShare: 0.1      // power of a second spectral peak, relative to the first, reported as competing
+};
+
+/**
+ * Breathing rate from respiratory sinus arrhythmia (RSA)
+ *
+ * The resampled IBI series is band-pass filtered (zero-phase Butterworth) to
+ * the breathing band and each heart-rate swing is tracked as one breath: a peak
+ * counts once the signal has dropped below the trough threshold since the last
+ * one. Windowed confidence (0-1) multiplies breath-interval regularity (1 - 2·CV),
+ * the share of the window covered by tracked breaths and the share of IBI
+ * variance inside the breathing band. The overall confidence also falls
+ * linearly as the tracked rate moves away from the filtered spectrum's peak
+ * (to 0 at agreementTolerance), and by the power ratio of a competing spectral
+ * peak: with two rhythms in the band (e.g. a 0.1 Hz baroreflex wave under
+ * faster breathing) the swings cannot all be breaths.
+ *
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options] - Overrides of RESPIRATION_DEFAULTS
+ * @returns {Object} { rate, spectralRate, competingRate (breaths/min of a second
+ *   spectral peak above competingShare, or null), confidence (0-1), agreement (0-1),
+ *   series: [{ time, rate, interval }] per breath, windows: [{ time, start, end,
+ *   rate, confidence, breathCount }], breathTimes, settings } or
+ *   { insufficientData, reason }
+ */
+export const estimateRespirationRate = (ibiData, options = {}) => {
+  const steps = respirationRateSteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+const RESPIRATION_WINDOWS_PER_YIELD = 32;
+
+/**
+ * estimateRespirationRate as a generator (yields 'respiration' progress between
+ * filtering, the rate windows and the spectral cross-check)
+ */
+function* respirationRateSteps(ibiData, options = {}) {
+  const settings = { ...RESPIRATION_DEFAULTS, ...options };
+  const [lowCut, highCut] = settings.band;
+  const duration = ibiData.reduce((sum, val) => sum + val, 0) / 1000;
+  const minDuration = 3 / lowCut;
+  if (duration < minDuration) {
+    return {
+      insufficientData: true,
+      reason: `Respiration estimate needs at least ${Math.round(minDuration)} s of data (got ${Math.round(duration)} s)`
+    };
+  }
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
+  });
+  const series = detrendSeries(interpolatedRR, 'linear');
+  const filtered = bandPassFilter(series, sampleRate, settings.band);
+  yield { stage: 'respiration', progress: 0.3 };
+  const peaks = findBreathPeaks(filtered, sampleRate, settings);
+
+  // One breath per peak-to-peak interval; gaps longer than the slowest rate are missed breaths
+  const breathSeries = [];
+  for (let i = 1; i < peaks.length; i++) {
+    const interval = (peaks[i] - peaks[i - 1]) / sampleRate;
+    if (interval > 1 / lowCut) continue;
+    breathSeries.push({
+      time: (peaks[i] + peaks[i - 1]) / (2 * sampleRate),
+      rate: Math.round(600 / interval) / 10,
+      interval
+    });
+  }
+  if (breathSeries.length < 2) {
+    return { insufficientData: true, reason: 'No regular breathing oscillation found in the IBI series' };
+  }
+
+  const windows = [];
+  const windowSamples = Math.round(settings.windowSeconds * sampleRate);
+  const lastStart = Math.max(duration - settings.windowSeconds, 0);
+  for (let start = 0, index = 0; start <= lastStart; start += settings.stepSeconds, index++) {
+    if (index % RESPIRATION_WINDOWS_PER_YIELD === 0) {
+      yield { stage: 'respiration', progress: 0.3 + 0.4 * start / Math.max(lastStart, 1) };
+    }
+    const end = Math.min(start + settings.windowSeconds, duration);
+    const breaths = breathSeries.filter(breath => breath.time >= start && breath.time < end);
+    if (breaths.length < 2) continue;
+
+    const intervals = breaths.map(breath => breath.interval);
+    const meanInterval = intervals.reduce((sum, val) => sum + val, 0) / intervals.length;
+    const sdInterval = Math.sqrt(intervals.reduce((sum, val) => sum + (val - meanInterval) ** 2, 0) / (intervals.length - 1));
+    const regularity = Math.max(0, 1 - 2 * sdInterval / meanInterval);
+    const coverage = Math.min(1, intervals.reduce((sum, val) => sum + val, 0) / (end - start));
+
+    const offset = Math.round(start * sampleRate);
+    const stop = Math.min(offset + windowSamples, series.length);
+    let bandVariance = 0;
+    let totalVariance = 0;
+    for (let i = offset; i < stop; i++) {
+      bandVariance += filtered[i] * filtered[i];
+      totalVariance += series[i] * series[i];
+    }
+    const bandShare = totalVariance > 0 ? Math.min(1, bandVariance / totalVariance) : 0;
+
+    windows.push({
+      time: end,
+      start,
+      end,
+      rate: Math.round(600 / meanInterval) / 10,
+      confidence: Math.round(regularity * coverage * bandShare * 100) / 100,
+      breathCount: breaths.length
+    });
+  }
+
+  const sortedIntervals = breathSeries.map(breath => breath.interval).sort((a, b) => a - b);
+  const medianInterval = sortedIntervals[Math.floor(sortedIntervals.length / 2)];
+  const rate = 60 / medianInterval;
+
+  // Cross-check against the dominant frequency of the filtered signal
+  yield { stage: 'respiration', progress: 0.7 };
+  const { frequencies, psd } = calculateWelchPSD(filtered, sampleRate, { segmentLength: Math.round(4 / lowCut * sampleRate) });
+  let peakIndex = -1;
+  for (let k = 0; k < frequencies.length; k++) {
+    if (frequencies[k] < lowCut || frequencies[k] > highCut) continue;
+    if (peakIndex < 0 || psd[k] > psd[peakIndex]) peakIndex = k;
+  }
+  const spectralRate = peakIndex >= 0 ? frequencies[peakIndex] * 60 : null;
+  const agreement = spectralRate
+    ? Math.max(0, 1 - Math.abs(rate - spectralRate) / (spectralRate * settings.agreementTolerance))
+    : 0;
+
+  // Highest other local maximum in the band
+  let competingIndex = -1;
+  for (let k = 1; k < frequencies.length - 1; k++) {
+    if (k === peakIndex || frequencies[k] < lowCut || frequencies[k] > highCut) continue;
+    if (psd[k] < psd[k - 1] || psd[k] < psd[k + 1]) continue;
+    if (competingIndex < 0 || psd[k] > psd[competingIndex]) competingIndex = k;
+  }
+  const competingShare = competingIndex >= 0 ? psd[competingIndex] / psd[peakIndex] : 0;
+  const windowConfidence = windows.length
+    ? windows.reduce((sum, window) => sum + window.confidence, 0) / windows.length
+    : 0;
+
+  return {
+    rate: Math.round(rate * 10) / 10,
+    spectralRate: spectralRate === null ? null : Math.round(spectralRate * 10) / 10,
+    competingRate: competingShare >= settings.competingShare ? Math.round(frequencies[competingIndex] * 600) / 10 : null,
+    confidence: Math.round(windowConfidence * agreement * (1 - competingShare) * 100) / 100,
+    agreement: Math.round(agreement * 100) / 100,
+    series: breathSeries,
+    windows,
+    breathTimes: peaks.map(index => index / sampleRate),
+    settings
+  };
+}
+
+/**
+ * Zero-phase Butterworth band-pass: second-order high-pass and low-pass
+ * sections run forwards and backwards over a reflected-padded copy
+ */
+const bandPassFilter = (data, sampleRate, [lowCut, highCut]) => {
+  const sections = [
+    createBiquad('highpass', lowCut, sampleRate),
+    createBiquad('lowpass', Math.min(highCut, 0.45 * sampleRate), sampleRate)
+  ];
+  const n = data.length;
+  const pad = Math.min(n - 1, Math.round(sampleRate / lowCut));
+
+  // Odd reflection about the end points keeps the edges free of steps
+  let signal = [];
+  for (let i = pad; i > 0; i--) signal.push(2 * data[0] - data[i]);
+  signal.push(...data);
+  for (let i = n - 2; i >= n - 1 - pad; i--) signal.push(2 * data[n - 1] - data[i]);
+
+  for (let pass = 0; pass < 2; pass++) {
+    sections.forEach(section => {
+      signal = applyBiquad(signal, section);
+    });
+    signal.reverse();
+  }
+  return signal.slice(pad, pad + n);
+};
+
+/**
+ * Second-order Butterworth section (bilinear transform, Q = 1/√2)
+ */
+const createBiquad = (type, cutoff, sampleRate) => {
+  const w0 = 2 * Math.PI * cutoff / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / Math.SQRT2;
+  const a0 = 1 + alpha;
+  const b = type === 'lowpass'
+    ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+    : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+  return {
+    b: b.map(coeff => coeff / a0),
+    a: [-2 * cos / a0, (1 - alpha) / a0]
+  };
+};
+
+const applyBiquad = (data, { b, a }) => {
+  const out = new Array(data.length);
+  let x1 = data[0];
+  let x2 = data[0];
+  // Start from the steady state for a constant input equal to the first sample
+  const gain = (b[0] + b[1] + b[2]) / (1 + a[0] + a[1]);
+  let y1 = gain * data[0];
+  let y2 = y1;
+  for (let i = 0; i < data.length; i++) {
+    const y = b[0] * data[i] + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = data[i];
+    y2 = y1;
+    y1 = y;
+    out[i] = y;
+  }
+  return out;
+};
+
+/**
+ * Indices of breath peaks in a band-passed signal: the highest sample of each
+ * excursion above +threshold that is followed by a dip below -threshold, with
+ * peaks closer than the fastest breath merged into the higher one
+ */
+const findBreathPeaks = (signal, sampleRate, { band, minProminence }) => {
+  const rms = Math.sqrt(signal.reduce((sum, val) => sum + val * val, 0) / signal.length);
+  const threshold = minProminence * rms / 2;
+  const minGap = sampleRate / band[1];
+  const peaks = [];
+  let armed = false; // a trough has been seen, so the next excursion is a full breath
+  let candidate = -1;
+
+  for (let i = 0; i < signal.length; i++) {
+    const value = signal[i];
+    if (value < -threshold) {
+      if (candidate >= 0) {
+        const previous = peaks.length ? peaks[peaks.length - 1] : -Infinity;
+        if (candidate - previous >= minGap) {
+          peaks.push(candidate);
+        } else if (signal[candidate] > signal[previous]) {
+          peaks[peaks.length - 1] = candidate;
+        }
+        candidate = -1;
+      }
+      armed = true;
+    } else if (armed && value > threshold && (candidate < 0 || value > signal[candidate])) {
+      candidate = i;
+    }
+  }
+  return peaks;
+};
+
+export const ADHERENCE_DEFAULTS = {
+  resampleRate: 4,        // Hz
+  interpolation: 'cubic',
+  band: [0.04, 0.4],      // Hz, heart-rate oscillation band compared with the pacer
+  windowSeconds: 30,      // phase-coherence window
+  stepSeconds: 5,
+  entrainedCoherence: 0.7, // windows at or above this phase coherence count as entrained
+  frequencyTolerance: 0.015 // Hz; the score falls to zero at twice this peak error
+};
+
+/**
+ * Pacer adherence: did the heart-rate oscillation follow the breathing pacer?
+ *
+ * The pacer phase runs 0-π over each inhale and π-2π over hold and exhale. The
+ * heart-rate phase is the angle of the analytic signal of the band-passed,
+ * resampled IBI series. Phase coherence is the phase-locking value
+ * |mean(exp(i(φ_heart - φ_pacer)))|: 1 for a constant lag, near 0 when
+ * unrelated. The dominant-frequency error is the spectral peak of each pacer
+ * segment minus its target frequency (as in analyzeResonanceProtocol).
+ *
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} timeline - Pacer session { segments: [{ start, end, inhaleTime,
+ *   holdTime, exhaleTime }] } with times in seconds from the session start
+ * @param {Object} [options] - Overrides of ADHERENCE_DEFAULTS, plus
+ *   beatTimes (seconds, for recordings with gaps), offset (recording time of the
+ *   session start, default 0) and spectral (peak-search estimator options; the AR
+ *   spectrum by default, since Welch bins on a 2-minute segment are 0.016 Hz apart)
+ * @returns {Object} { adherenceScore (0-100), phaseCoherence, phaseLag (degrees),
+ *   targetFrequency, dominantFrequency, frequencyError (Hz), rateError
+ *   (breaths/min), percentEntrained, windows, segments, settings } or
+ *   { insufficientData, reason }
+ */
+export const analyzePacerAdherence = (ibiData, timeline, options = {}) => {
+  const { beatTimes, offset = 0, spectral = { method: 'ar' }, ...overrides } = options;
+  const settings = { ...ADHERENCE_DEFAULTS, ...overrides };
+  const segments = (timeline && timeline.segments) || [];
+  if (!segments.length) {
+    return { insufficientData: true, reason: 'No pacer segments recorded' };
+  }
+  const duration = ibiData.reduce((sum, val) => sum + val, 0) / 1000;
+  if (duration < offset + segments[0].start + settings.windowSeconds) {
+    return { insufficientData: true, reason: 'The recording does not cover a full window of the pacer session' };
+  }
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
+  });
+  const filtered = bandPassFilter(detrendSeries(interpolatedRR, 'linear'), sampleRate, settings.band);
+  const heartPhase = analyticPhase(filtered);
+
+  // Phase difference for every sample that falls inside a pacer segment
+  const difference = new Array(filtered.length).fill(null);
+  const targetAt = new Array(filtered.length).fill(null);
+  segments.forEach(segment => {
+    const cycle = segment.inhaleTime + segment.holdTime + segment.exhaleTime;
+    const first = Math.max(0, Math.ceil((offset + segment.start) * sampleRate));
+    const last = Math.min(filtered.length, Math.ceil((offset + segment.end) * sampleRate));
+    for (let i = first; i < last; i++) {
+      const position = ((i / sampleRate - offset - segment.start) % cycle + cycle) % cycle;
+      const pacerPhase = position < segment.inhaleTime
+        ? Math.PI * position / segment.inhaleTime
+        : Math.PI + Math.PI * (position - segment.inhaleTime) / (cycle - segment.inhaleTime);
+      difference[i] = heartPhase[i] - pacerPhase;
+      targetAt[i] = 1 / cycle;
+    }
+  });
+
+  const phaseLocking = (from, to) => {
+    let re = 0;
+    let im = 0;
+    let count = 0;
+    for (let i = from; i < to; i++) {
+      if (difference[i] === null) continue;
+      re += Math.cos(difference[i]);
+      im += Math.sin(difference[i]);
+      count++;
+    }
+    return count ? { value: Math.hypot(re, im) / count, angle: Math.atan2(im, re), count } : null;
+  };
+
+  const windows = [];
+  const windowSamples = Math.round(settings.windowSeconds * sampleRate);
+  for (let from = 0; from + windowSamples <= filtered.length; from += Math.round(settings.stepSeconds * sampleRate)) {
+    const locking = phaseLocking(from, from + windowSamples);
+    // Windows mostly outside the session are not scored
+    if (!locking || locking.count < 0.8 * windowSamples) continue;
+    const phaseCoherence = Math.round(locking.value * 1000) / 1000;
+    windows.push({
+      time: (from + windowSamples) / sampleRate,
+      start: from / sampleRate,
+      end: (from + windowSamples) / sampleRate,
+      targetFrequency: targetAt[from + (windowSamples >> 1)],
+      phaseCoherence,
+      entrained: phaseCoherence >= settings.entrainedCoherence
+    });
+  }
+  const overall = phaseLocking(0, filtered.length);
+  if (!windows.length || !overall) {
+    return { insufficientData: true, reason: 'The recording does not cover a full window of the pacer session' };
+  }
+
+  // Dominant frequency of each segment against its target
+  const times = beatTimes && beatTimes.length === ibiData.length ? beatTimes : cumulativeBeatTimes(ibiData);
+  const segmentResults = segments.map(segment => {
+    const targetFrequency = 1 / (segment.inhaleTime + segment.holdTime + segment.exhaleTime);
+    const segmentIBI = ibiData.filter((_, i) => times[i] >= offset + segment.start && times[i] < offset + segment.end);
+    const frequency = calculateFrequencyDomainMetrics(segmentIBI, {
+      ...spectral,
+      bandProfile: createResonanceBandProfile(targetFrequency)
+    });
+    const resonance = calculateResonanceMetrics(frequency, { pacedFrequency: targetFrequency });
+    const base = { start: segment.start, end: segment.end, targetFrequency, beatCount: segmentIBI.length };
+    if (frequency.insufficientData || !resonance) {
+      return { ...base, insufficientData: true, reason: frequency.reason || 'No spectral peak in range' };
+    }
+    return { ...base, dominantFrequency: resonance.peakFrequency, frequencyError: resonance.peakOffset };
+  });
+
+  // Duration-weighted averages over the segments with a spectrum
+  const measured = segmentResults.filter(segment => !segment.insufficientData);
+  const weight = measured.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+  const weighted = (key) => (weight > 0
+    ? measured.reduce((sum, segment) => sum + segment[key] * (segment.end - segment.start), 0) / weight
+    : null);
+  const frequencyError = weighted('frequencyError');
+  const targetFrequency = weighted('targetFrequency');
+  const dominantFrequency = weighted('dominantFrequency');
+
+  const percentEntrained = windows.filter(window => window.entrained).length / windows.length * 100;
+  const frequencyAgreement = frequencyError === null
+    ? 0
+    : Math.max(0, 1 - Math.abs(frequencyError) / (2 * settings.frequencyTolerance));
+
+  return {
+    adherenceScore: Math.round(overall.value * frequencyAgreement * 100),
+    phaseCoherence: Math.round(overall.value * 1000) / 1000,
+    phaseLag: Math.round(overall.angle * 180 / Math.PI),
+    targetFrequency: targetFrequency === null ? null : Math.round(targetFrequency * 10000) / 10000,
+    dominantFrequency: dominantFrequency === null ? null : Math.round(dominantFrequency * 10000) / 10000,
+    frequencyError: frequencyError === null ? null : Math.round(frequencyError * 10000) / 10000,
+    rateError: frequencyError === null ? null : Math.round(frequencyError * 600) / 10,
+    percentEntrained: Math.round(percentEntrained),
+    windows,
+    segments: segmentResults,
+    settings: { ...settings, offset }
+  };
+};
+
+/**
+ * Instantaneous phase (radians) of a real signal from its analytic signal
+ * (FFT Hilbert transform: negative frequencies removed, positive doubled)
+ */
+const analyticPhase = (signal) => {
+  const n = signal.length;
+  const re = Float64Array.from(signal);
+  const im = new Float64Array(n);
+  fft(re, im);
+
+  for (let k = 1; k < n; k++) {
+    const factor = k < n / 2 ? 2 : k === n / 2 ? 1 : 0;
+    re[k] *= factor;
+    im[k] *= factor;
+  }
+
+  // Inverse transform as the conjugate of the forward transform of the conjugate
+  for (let k = 0; k < n; k++) im[k] = -im[k];
+  fft(re, im);
+  return Array.from(re, (value, i) => Math.atan2(-im[i] / n, value / n));
+};
+
+/**
+ * Labelled segments from a per-beat label column
+ *
+ * Blank labels continue the previous label (marker columns usually only tag
+ * the first beat of a block); beats before the first label are left out.
+ * @param {Array} labels - Label of each IBI (strings, blanks allowed)
+ * @param {Array} [beatTimes] - Beat times in seconds (cumulative IBI times by default)
+ * @param {Array} [ibiData] - IBI values, needed when beatTimes is not given
+ * @returns {Array} [{ label, start, end }] in seconds, one per contiguous run
+ */
+export const createLabelledSegments = (labels, beatTimes, ibiData) => {
+  const times = beatTimes || cumulativeBeatTimes(ibiData);
+  const segments = [];
+  let current = null;
+
+  labels.forEach((value, i) => {
+    const label = value === null || value === undefined ? '' : String(value).trim();
+    if (label && (!current || label !== current.label)) {
+      current = { label, start: times[i], end: null };
+      segments.push(current);
+    }
+    if (current) {
+      // Exclusive end: the next beat (which may open the next segment) or just past the last one
+      current.end = i + 1 < times.length ? times[i + 1] : times[i] + 0.001;
+    }
+  });
+
+  return segments;
+};
+
+/**
+ * Full calculateAdvancedHRVMetrics result for each segment
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Array} segments - [{ label, start, end }] in seconds from the recording start
+ * @param {Object} [options] - calculateAdvancedHRVMetrics options, plus beatTimes
+ * @returns {Array} [{ label, start, end, beatCount, result }] (result null when too short)
+ */
+export const analyzeSegments = (ibiData, segments, options = {}) =>
+  segments.map(segment => {
+    const { ibiData: segmentIBI, beatTimes } = extractSegment(ibiData, segment, options.beatTimes);
+    return {
+      ...segment,
+      beatCount: segmentIBI.length,
+      result: calculateAdvancedHRVMetrics(segmentIBI, { ...options, beatTimes })
+    };
+  });
+
+/**
+ * IBIs whose closing beat falls in [start, end), with their beat times
+ */
+export const extractSegment = (ibiData, { start, end }, beatTimes) => {
+  const times = beatTimes && beatTimes.length === ibiData.length ? beatTimes : cumulativeBeatTimes(ibiData);
+  const indices = [];
+  times.forEach((time, i) => {
+    if (time >= start && time < end) indices.push(i);
+  });
+  return {
+    ibiData: indices.map(i => ibiData[i]),
+    beatTimes: beatTimes ? indices.map(i => times[i]) : null
+  };
+};
+
+// Metrics compared between segments: the value from a segment's result and the
+// per-window series used for within-recording effect sizes
+export const SEGMENT_COMPARISON_METRICS = [
+  { key: 'rmssd', label: 'RMSSD', unit: 'ms', value: r => r.timeDomain.rmssd, window: 'rmssd' },
+  { key: 'hfPower', label: 'HF power', unit: 'ms²', value: r => r.frequency.hfPower, window: 'hfPower' },
+  { key: 'lfPower', label: 'LF power', unit: 'ms²', value: r => r.frequency.lfPower, window: 'lfPower' },
+  { key: 'resonancePower', label: 'Resonance power', unit: 'ms²', value: r => (r.resonance ? r.resonance.peakPower : null), window: 'resonancePower' }
+];
+
+/**
+ * Compare each labelled condition against a baseline label
+ *
+ * Segments sharing a label are repeats of that condition. When the baseline
+ * and a condition both repeat, the i-th occurrences are paired and the effect
+ * size is Cohen's d_z (mean difference / SD of differences). Otherwise it is
+ * Hedges' g between the sliding-window values (timePower) of the two
+ * conditions, which describes the within-recording contrast only.
+ *
+ * @param {Array} segmentResults - Output of analyzeSegments
+ * @param {Object} [options]
+ * @param {string} [options.baseline] - Baseline label (first label by default)
+ * @returns {Object} { baseline, labels, rows: [{ condition, metric, label, unit,
+ *   baselineValue, value, delta, percentChange, effectSize, effectSizeType, n }] }
+ */
+export const compareSegments = (segmentResults, options = {}) => {
+  const valid = segmentResults.filter(segment => segment.result);
+  const labels = [...new Set(valid.map(segment => segment.label))];
+  const baseline = options.baseline ?? labels[0];
+  const occurrences = (label) => valid.filter(segment => segment.label === label);
+  const mean = (values) => values.reduce((sum, val) => sum + val, 0) / values.length;
+  const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+  const rows = [];
+  labels.filter(label => label !== baseline).forEach(condition => {
+    SEGMENT_COMPARISON_METRICS.forEach(metric => {
+      const baseValues = occurrences(baseline).map(segment => metric.value(segment.result));
+      const values = occurrences(condition).map(segment => metric.value(segment.result));
+      if (!baseValues.length || !values.length || [...baseValues, ...values].some(v => v === null || v === undefined)) {
+        rows.push({ condition, metric: metric.key, label: metric.label, unit: metric.unit, insufficientData: true });
+        return;
+      }
+
+      const baselineValue = mean(baseValues);
+      const value = mean(values);
+      const delta = value - baselineValue;
+
+      let effectSize = null;
+      let effectSizeType = null;
+      let n = null;
+      const pairs = Math.min(baseValues.length, values.length);
+      if (pairs >= 2) {
+        const diffs = values.slice(0, pairs).map((val, i) => val - baseValues[i]);
+        const sd = standardDeviation(diffs);
+        effectSize = sd > 0 ? mean(diffs) / sd : null;
+        effectSizeType = 'paired';
+        n = pairs;
+      } else {
+        const windowValues = (label) => occurrences(label).flatMap(segment =>
+          (segment.result.timePower ? segment.result.timePower.timePoints.map(point => point[metric.window]) : []));
+        const a = windowValues(baseline);
+        const b = windowValues(condition);
+        if (a.length >= 2 && b.length >= 2) {
+          const pooled = Math.sqrt(((a.length - 1) * standardDeviation(a) ** 2 + (b.length - 1) * standardDeviation(b) ** 2) /
+            (a.length + b.length - 2));
+          const correction = 1 - 3 / (4 * (a.length + b.length) - 9);
+          effectSize = pooled > 0 ? (mean(b) - mean(a)) / pooled * correction : null;
+          effectSizeType = 'windows';
+          n = a.length + b.length;
+        }
+      }
+
+      rows.push({
+        condition,
+        metric: metric.key,
+        label: metric.label,
+        unit: metric.unit,
+        baselineValue: round(baselineValue),
+        value: round(value),
+        delta: round(delta),
+        percentChange: baselineValue ? round(delta / baselineValue * 100, 1) : null,
+        effectSize: round(effectSize),
+        effectSizeType,
+        n
+      });
+    });
+  });
+
+  return { baseline, labels, rows };
+};
+
+/**
+ * Sample standard deviation
+ */
+const standardDeviation = (values) => {
+  const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, val) => sum + (val - avg) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Resample IBI values onto a uniform time grid
+ *
+ * Each IBI is placed at the start time of its interval (the compute_psd.py
+ * tachogram) and samples past the last knot hold the final IBI. The grid is
+ * walked once with a pointer into the knots, so resampling is O(samples + beats).
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options]
+ * @param {string} [options.method='linear'] - 'linear', 'cubic' (not-a-knot spline,
+ *   scipy interp1d kind='cubic') or 'monotone' (PCHIP, no overshoot between beats)
+ * @param {number} [options.sampleRate=8] - Output rate in Hz
+ * @param {string} [options.grid='floor'] - 'floor' for floor(duration × rate) samples,
+ *   'arange' for every i / rate < duration (np.arange, as in compute_psd.py)
+ * @returns {Object} { interpolatedRR, sampleRate, method, grid }
+ */
+export const interpolateRRIntervals = (ibiData, { method = 'linear', sampleRate = 8, grid = 'floor' } = {}) => {
+  const n = ibiData.length;
+  const knots = new Array(n);
+  let elapsed = 0;
+  for (let i = 0; i < n; i++) {
+    knots[i] = elapsed;
+    elapsed += ibiData[i] / 1000; // Convert ms to seconds
+  }
+  const totalDuration = elapsed;
+
+  let evaluate;
+  if (method === 'linear') {
+    evaluate = (k, t) => {
+      const weight = (t - knots[k]) / (knots[k + 1] - knots[k]);
+      return ibiData[k] + weight * (ibiData[k + 1] - ibiData[k]);
+    };
+  } else if (method === 'cubic') {
+    const secondDerivs = solveNotAKnotSpline(knots, ibiData);
+    evaluate = (k, t) => {
+      const h = knots[k + 1] - knots[k];
+      const a = knots[k + 1] - t;
+      const b = t - knots[k];
+      const m0 = secondDerivs[k];
+      const m1 = secondDerivs[k + 1];
+      return (m0 * a * a * a + m1 * b * b * b) / (6 * h) +
+        (ibiData[k] / h - m0 * h / 6) * a +
+        (ibiData[k + 1] / h - m1 * h / 6) * b;
+    };
+  } else if (method === 'monotone') {
+    const slopes = monotoneCubicSlopes(knots, ibiData);
+    evaluate = (k, t) => {
+      const h = knots[k + 1] - knots[k];
+      const s = (t - knots[k]) / h;
+      const s2 = s * s;
+      const s3 = s2 * s;
+      return (2 * s3 - 3 * s2 + 1) * ibiData[k] +
+        (s3 - 2 * s2 + s) * h * slopes[k] +
+        (-2 * s3 + 3 * s2) * ibiData[k + 1] +
+        (s3 - s2) * h * slopes[k + 1];
+    };
+  } else {
+    throw new Error(`Unknown interpolation method "${method}"`);
+  }
+
+  let numSamples = Math.floor(totalDuration * sampleRate);
+  if (grid === 'arange') {
+    while (numSamples / sampleRate < totalDuration) numSamples++;
+  }
+  const interpolatedRR = new Array(numSamples);
+  let interval = 0;
+
+  for (let i = 0; i < numSamples; i++) {
+    const t = i / sampleRate;
+    if (t >= knots[n - 1]) {
+      interpolatedRR[i] = ibiData[n - 1];
+      continue;
+    }
+    while (interval < n - 2 && t >= knots[interval + 1]) interval++;
+    interpolatedRR[i] = evaluate(interval, t);
+  }
+
+  return { interpolatedRR, sampleRate, method, grid };
+};
+
+/**
+ * Knot slopes for monotone piecewise cubic interpolation (Fritsch-Carlson,
+ * as scipy PchipInterpolator): zero at local extrema, weighted harmonic means
+ * elsewhere, shape-preserving three-point estimates at the ends
+ */
+const monotoneCubicSlopes = (x, y) => {
+  const n = x.length;
+  const h = [];
+  const delta = [];
+  for (let i = 0; i < n - 1; i++) {
+    h.push(x[i + 1] - x[i]);
+    delta.push((y[i + 1] - y[i]) / h[i]);
+  }
+
+  const slopes = new Array(n).fill(0);
+  if (n === 2) {
+    slopes[0] = slopes[1] = delta[0];
+    return slopes;
+  }
+
+  for (let i = 1; i < n - 1; i++) {
+    if (delta[i - 1] * delta[i] <= 0) continue;
+    const w1 = 2 * h[i] + h[i - 1];
+    const w2 = h[i] + 2 * h[i - 1];
+    slopes[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
+  }
+
+  const endSlope = (h0, h1, d0, d1) => {
+    const d = ((2 * h0 + h1) * d0 - h0 * d1) / (h0 + h1);
+    if (Math.sign(d) !== Math.sign(d0)) return 0;
+    if (Math.sign(d0) !== Math.sign(d1) && Math.abs(d) > 3 * Math.abs(d0)) return 3 * d0;
+    return d;
+  };
+  slopes[0] = endSlope(h[0], h[1], delta[0], delta[1]);
+  slopes[n - 1] = endSlope(h[n - 2], h[n - 3], delta[n - 2], delta[n - 3]);
+
+  return slopes;
+};
+
+/**
+ * Second derivatives of the not-a-knot cubic spline through (x, y)
+ * (scipy interp1d kind='cubic'); degrades to linear for fewer than 4 knots
+ */
+const solveNotAKnotSpline = (x, y) => {
+  const n = x.length;
+  const m = new Array(n).fill(0);
+  if (n < 4) return m;
+
+  const h = [];
+  for (let i = 0; i < n - 1; i++) h.push(x[i + 1] - x[i]);
+
+  // Tridiagonal system for M[1..n-2]; not-a-knot rows fold M[0] and M[n-1] in
+  const size = n - 2;
+  const lower = new Array(size).fill(0);
+  const diag = new Array(size).fill(0);
+  const upper = new Array(size).fill(0);
+  const rhs = new Array(size).fill(0);
+
+  for (let i = 1; i <= n - 2; i++) {
+    const row = i - 1;
+    lower[row] = h[i - 1];
+    diag[row] = 2 * (h[i - 1] + h[i]);
+    upper[row] = h[i];
+    rhs[row] = 6 * ((y[i + 1] - y[i]) / h[i] - (y[i] - y[i - 1]) / h[i - 1]);
+  }
+
+  const h0 = h[0];
+  const h1 = h[1];
+  diag[0] = (h0 + h1) * (h0 + 2 * h1) / h1;
+  upper[0] = (h1 * h1 - h0 * h0) / h1;
+
+  const hA = h[n - 3];
+  const hB = h[n - 2];
+  lower[size - 1] = (hA * hA - hB * hB) / hA;
+  diag[size - 1] = (hA + hB) * (hB + 2 * hA) / hA;
+
+  // Thomas algorithm
+  for (let i = 1; i < size; i++) {
+    const w = lower[i] / diag[i - 1];
+    diag[i] -= w * upper[i - 1];
+    rhs[i] -= w * rhs[i - 1];
+  }
+  m[size] = rhs[size - 1] / diag[size - 1];
+  for (let i = size - 2; i >= 0; i--) {
+    m[i + 1] = (rhs[i] - upper[i] * m[i + 2]) / diag[i];
+  }
+
+  m[0] = ((h0 + h1) * m[1] - h0 * m[2]) / h1;
+  m[n - 1] = ((hA + hB) * m[n - 2] - hB * m[n - 3]) / hA;
+
+  return m;
+};
+
+/**
+ * Calculate Poincaré plot metrics
+ */
+const calculatePoincareMetrics = (ibiData) => {
+  if (ibiData.length < 3) return null;
+  
+  // Consecutive IBI pairs: RR(n) on x, RR(n+1) on y
+  const rr1 = ibiData.slice(0, -1);
+  const rr2 = ibiData.slice(1);
+  
+  // Rotate the cloud by 45°: across the identity line (SD1) and along it (SD2)
+  const across = rr1.map((val, i) => (rr2[i] - val) / Math.SQRT2);
+  const along = rr1.map((val, i) => (rr2[i] + val) / Math.SQRT2);
+  
+  const sampleSD = (values) => {
+    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / (values.length - 1));
+  };
+  
+  // SD1 (width of the cloud) - short-term variability
+  const sd1 = sampleSD(across);
+  
+  // SD2 (length of the cloud) - long-term variability
+  const sd2 = sampleSD(along);
+  
+  // SD1/SD2 ratio
+  const sd1sd2Ratio = sd1 / sd2;
+  
+  // Ellipse area
+  const ellipseArea = Math.PI * sd1 * sd2;
+  
+  // Cardiac sympathetic / vagal indices (Toichi et al. 1997), with L = 4·SD2 and T = 4·SD1
+  const csi = sd2 / sd1;
+  const cvi = Math.log10(16 * sd1 * sd2);
+  const modifiedCSI = (16 * sd2 * sd2) / (4 * sd1);
+  
+  // Ellipse centre for plotting
+  const centerX = rr1.reduce((sum, val) => sum + val, 0) / rr1.length;
+  const centerY = rr2.reduce((sum, val) => sum + val, 0) / rr2.length;
+  
+  return {
+    sd1: Math.round(sd1 * 100) / 100,
+    sd2: Math.round(sd2 * 100) / 100,
+    sd1sd2Ratio: Math.round(sd1sd2Ratio * 1000) / 1000,
+    ellipseArea: Math.round(ellipseArea),
+    csi: Math.round(csi * 1000) / 1000,
+    cvi: Math.round(cvi * 1000) / 1000,
+    modifiedCSI: Math.round(modifiedCSI * 10) / 10,
+    centerX: Math.round(centerX * 10) / 10,
+    centerY: Math.round(centerY * 10) / 10
+  };
+};
+
+export const NONLINEAR_DEFAULTS = {
+  m: 2,                      // embedding dimension for ApEn / SampEn
+  r: 0.2,                    // tolerance as a fraction of SDNN
+  entropySegmentBeats: 1000, // longest stretch the O(n²) entropies compare within
+  alpha1Range: [4, 16],      // DFA short-term scales (beats)
+  alpha2Range: [16, 64]      // DFA long-term scales (beats)
+};
+
+/**
+ * Calculate nonlinear HRV metrics: approximate entropy, sample entropy and DFA α1/α2
+ *
+ * ApEn and SampEn compare every template with every other, so longer
+ * recordings are split into near-equal consecutive segments of at most
+ * entropySegmentBeats beats, all with the tolerance of the whole recording:
+ * ApEn is the mean over segments and SampEn pools their match counts. That
+ * keeps the cost at O(n · entropySegmentBeats) - a 100 000-beat Holter export
+ * takes seconds instead of hours - and leaves recordings up to
+ * entropySegmentBeats beats (about 15 minutes) unchanged. ApEn grows with the
+ * series length, so segmented values compare with those of ~15-minute records.
+ */
+export const calculateNonlinearMetrics = (ibiData, options = {}) => {
+  const steps = nonlinearMetricsSteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * calculateNonlinearMetrics as a generator (the entropy loops yield progress
+ * for the 'nonlinear' stage)
+ */
+function* nonlinearMetricsSteps(ibiData, options = {}) {
+  const settings = { ...NONLINEAR_DEFAULTS, ...options };
+  const n = ibiData.length;
+  const mean = ibiData.reduce((sum, val) => sum + val, 0) / n;
+  const sd = Math.sqrt(ibiData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / (n - 1));
+  const tolerance = settings.r * sd;
+
+  const segmentCount = Math.max(1, Math.ceil(n / settings.entropySegmentBeats));
+  let apEnTotal = 0;
+  let apEnCount = 0;
+  let matchesM = 0;
+  let matchesM1 = 0;
+  for (let s = 0; s < segmentCount; s++) {
+    const segment = ibiData.slice(Math.round(s * n / segmentCount), Math.round((s + 1) * n / segmentCount));
+    const share = 1 / segmentCount;
+    const apEn = yield* approximateEntropySteps(segment, settings.m, tolerance, s * share, share * 2 / 3);
+    if (apEn !== null) {
+      apEnTotal += apEn;
+      apEnCount++;
+    }
+    const counts = yield* sampleEntropyCountsSteps(segment, settings.m, tolerance, (s + 2 / 3) * share, share / 3);
+    matchesM += counts.matchesM;
+    matchesM1 += counts.matchesM1;
+  }
+  const apEn = apEnCount ? apEnTotal / apEnCount : null;
+  const sampEn = matchesM === 0 || matchesM1 === 0 ? null : -Math.log(matchesM1 / matchesM);
+  const dfa = calculateDFA(ibiData, settings.alpha1Range, settings.alpha2Range);
+
+  const round = (val, digits) => (val === null || !isFinite(val) ? null : Math.round(val * digits) / digits);
+
+  return {
+    apEn: round(apEn, 1000),
+    sampEn: round(sampEn, 1000),
+    dfaAlpha1: round(dfa.alpha1?.slope, 1000),
+    dfaAlpha2: round(dfa.alpha2?.slope, 1000),
+    dfa,
+    settings: { ...settings, tolerance: round(tolerance, 100), entropySegments: segmentCount }
+  };
+}
+
+const ENTROPY_ROWS_PER_YIELD = 128;
+
+/**
+ * Approximate entropy (Pincus): φ_m(r) - φ_{m+1}(r), self-matches included
+ * (yields nonlinear-stage progress over [progressStart, progressStart + share])
+ */
+function* approximateEntropySteps(data, m, r, progressStart, share) {
+  function* phi(dim, pass) {
+    const count = data.length - dim + 1;
+    if (count < 1) return null;
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      if (i % ENTROPY_ROWS_PER_YIELD === 0) {
+        yield { stage: 'nonlinear', progress: progressStart + share * (pass + i / count) / 2 };
+      }
+      let matches = 0;
+      for (let j = 0; j < count; j++) {
+        let k = 0;
+        while (k < dim && Math.abs(data[i + k] - data[j + k]) <= r) k++;
+        if (k === dim) matches++;
+      }
+      total += Math.log(matches / count);
+    }
+    return total / count;
+  }
+
+  const phiM = yield* phi(m, 0);
+  const phiM1 = yield* phi(m + 1, 1);
+  return phiM === null || phiM1 === null ? null : phiM - phiM1;
+}
+
+/**
+ * Template match counts for sample entropy (Richman & Moorman): -ln(A / B) with
+ * B = matchesM and A = matchesM1, self-matches excluded (yields nonlinear-stage
+ * progress over [progressStart, progressStart + share])
+ */
+function* sampleEntropyCountsSteps(data, m, r, progressStart, share) {
+  const templates = data.length - m;
+  let matchesM = 0;
+  let matchesM1 = 0;
+  if (templates < 2) return { matchesM, matchesM1 };
+
+  for (let i = 0; i < templates; i++) {
+    if (i % ENTROPY_ROWS_PER_YIELD === 0) {
+      // Row i compares against the templates - i - 1 rows after it
+      const done = 1 - Math.pow((templates - i) / templates, 2);
+      yield { stage: 'nonlinear', progress: progressStart + share * done };
+    }
+    for (let j = i + 1; j < templates; j++) {
+      let k = 0;
+      while (k < m && Math.abs(data[i + k] - data[j + k]) <= r) k++;
+      if (k < m) continue;
+      matchesM++;
+      if (Math.abs(data[i + m] - data[j + m]) <= r) matchesM1++;
+    }
+  }
+
+  return { matchesM, matchesM1 };
+}
+
+/**
+ * Detrended fluctuation analysis
+ *
+ * Integrates the mean-removed IBI series, removes a least-squares line from
+ * each non-overlapping box of n beats and reports F(n) for every scale in the
+ * two ranges, with α1/α2 as log10-log10 slopes over each range.
+ */
+const calculateDFA = (ibiData, alpha1Range, alpha2Range) => {
+  const N = ibiData.length;
+  const mean = ibiData.reduce((sum, val) => sum + val, 0) / N;
+  const profile = new Array(N);
+  let running = 0;
+  for (let i = 0; i < N; i++) {
+    running += ibiData[i] - mean;
+    profile[i] = running;
+  }
+
+  const fluctuation = (scale) => {
+    const boxes = Math.floor(N / scale);
+    if (boxes < 2) return null;
+
+    // x = 0..scale-1 within every box, so the regression sums are shared
+    const xMean = (scale - 1) / 2;
+    let sxx = 0;
+    for (let x = 0; x < scale; x++) sxx += (x - xMean) * (x - xMean);
+
+    let squared = 0;
+    for (let b = 0; b < boxes; b++) {
+      const offset = b * scale;
+      let yMean = 0;
+      for (let x = 0; x < scale; x++) yMean += profile[offset + x];
+      yMean /= scale;
+      let sxy = 0;
+      for (let x = 0; x < scale; x++) sxy += (x - xMean) * (profile[offset + x] - yMean);
+      const slope = sxy / sxx;
+      for (let x = 0; x < scale; x++) {
+        const residual = profile[offset + x] - (yMean + slope * (x - xMean));
+        squared += residual * residual;
+      }
+    }
+    return Math.sqrt(squared / (boxes * scale));
+  };
+
+  const minScale = Math.min(alpha1Range[0], alpha2Range[0]);
+  const maxScale = Math.max(alpha1Range[1], alpha2Range[1]);
+  const curve = [];
+  for (let scale = minScale; scale <= maxScale; scale++) {
+    const value = fluctuation(scale);
+    if (value !== null && value > 0) {
+      curve.push({ scale, fluctuation: value, logScale: Math.log10(scale), logFluctuation: Math.log10(value) });
+    }
+  }
+
+  const fitRange = ([low, high]) => {
+    const points = curve.filter(point => point.scale >= low && point.scale <= high);
+    if (points.length < 3) return null;
+    const { slope, intercept } = fitLine(points.map(p => p.logScale), points.map(p => p.logFluctuation));
+    return {
+      slope,
+      intercept,
+      range: [points[0].scale, points[points.length - 1].scale]
+    };
+  };
+
+  return {
+    curve,
+    alpha1: fitRange(alpha1Range),
+    alpha2: fitRange(alpha2Range)
+  };
+};
+
+/**
+ * Ordinary least-squares line through (x, y)
+ */
+const fitLine = (x, y) => {
+  const n = x.length;
+  const xMean = x.reduce((sum, val) => sum + val, 0) / n;
+  const yMean = y.reduce((sum, val) => sum + val, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - xMean) * (y[i] - yMean);
+    sxx += (x[i] - xMean) * (x[i] - xMean);
+  }
+  const slope = sxy / sxx;
+  return { slope, intercept: yMean - slope * xMean };
+};
+
+/**
+ * Create histogram for geometric analysis
+ *
+ * Fixed-width bins aligned to multiples of binWidth, contiguous from the
+ * lowest to the highest occupied bin (empty bins included).
+ */
+const createHistogram = (data, binWidth) => {
+  const firstIndex = Math.floor(Math.min(...data) / binWidth);
+  const lastIndex = Math.floor(Math.max(...data) / binWidth);
+
+  const bins = Array(lastIndex - firstIndex + 1).fill(0).map((_, i) => ({
+    start: (firstIndex + i) * binWidth,
+    end: (firstIndex + i + 1) * binWidth,
+    count: 0,
+    center: (firstIndex + i + 0.5) * binWidth
+  }));
+
+  data.forEach(val => {
+    bins[Math.floor(val / binWidth) - firstIndex].count++;
+  });
+
+  return bins;
+};
+
+/**
+ * Generate data for IBI scatter plot visualization
+ */
+export const generateIBIScatterData = (ibiData) => {
+  if (!ibiData || ibiData.length < 2) return null;
+  
+  return ibiData.map((ibi, index) => ({
+    x: index,
+    y: ibi,
+    heartRate: Math.round(60000 / ibi * 10) / 10
+  }));
+};
+
+/**
+ * Generate data for Poincaré plot visualization
+ */
+export const generatePoincareData = (ibiData) => {
+  if (!ibiData || ibiData.length < 2) return null;
+  
+  const points = [];
+  for (let i = 0; i < ibiData.length - 1; i++) {
+    points.push({
+      x: ibiData[i],
+      y: ibiData[i + 1],
+      index: i
+    });
+  }
+  
+  return points;
+};
+
+/**
+ * Generate data for IBI histogram
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {number} [binCount=20] - Number of equal bins spanning the data range
+ * @param {Object} [options]
+ * @param {number} [options.binWidth] - Fixed bin width in ms (e.g. GEOMETRIC_BIN_WIDTH);
+ *   overrides binCount and matches the histogram used for TINN
+ */
+export const generateIBIHistogram = (ibiData, binCount = 20, options = {}) => {
+  if (!ibiData || ibiData.length < 2) return null;
+  if (options.binWidth) return createHistogram(ibiData, options.binWidth);
+  
+  const minVal = Math.min(...ibiData);
+  const maxVal = Math.max(...ibiData);
+  const binWidth = (maxVal - minVal) / binCount;
+  
+  const bins = Array(binCount).fill(0).map((_, i) => ({
+    start: minVal + i * binWidth,
+    end: minVal + (i + 1) * binWidth,
+    count: 0,
+    center: minVal + (i + 0.5) * binWidth
+  }));
+  
+  ibiData.forEach(val => {
+    const binIndex = Math.min(Math.floor((val - minVal) / binWidth), binCount - 1);
+    bins[binIndex].count++;
+  });
+  
+  return bins;
+};
+
+const NORM_INTERPRETATIONS = {
+  rmssd: {
+    low: 'less beat-to-beat (parasympathetic) variability than most peers; stress, fatigue or poor sleep can lower it',
+    typical: 'typical parasympathetic activity',
+    high: 'strong parasympathetic activity'
+  },
+  sdnn: {
+    low: 'less overall variability than most peers',
+    typical: 'typical overall variability',
+    high: 'more overall variability than most peers'
+  },
+  hfPower: {
+    low: 'less breathing-related variability than most peers',
+    typical: 'typical breathing-related variability',
+    high: 'more breathing-related variability than most peers'
+  },
+  lfhfRatio: {
+    low: 'lower LF/HF than most peers',
+    typical: 'typical LF/HF balance',
+    high: 'higher LF/HF than most peers (slow breathing also raises it)'
+  }
+};
+
+/**
+ * Assess HRV against age- and sex-adjusted reference percentiles (see utils/HRVNorms.js)
+ * - no percentile items until HRVNorms bundles a published reference table
+ * @param {Object} hrvMetrics - calculateAdvancedHRVMetrics result
+ * @param {Object} [profile] - { age, sex } from the user profile; group-wide norms if missing
+ */
+export const assessHRVQuality = (hrvMetrics, profile = {}) => {
+  if (!hrvMetrics) return null;
+  
+  const { poincare } = hrvMetrics;
+  const assessments = assessAgainstNorms(hrvMetrics, profile).map(item => ({
+    metric: item.label,
+    value: item.value,
+    percentile: item.percentile,
+    status: item.status,
+    interpretation: `${item.description} - ${NORM_INTERPRETATIONS[item.metric][item.status]}`
+  }));
+  
+  // Poincaré assessment
+  if (poincare && poincare.sd1sd2Ratio) {
+    if (poincare.sd1sd2Ratio > 0.5) {
       assessments.push({
         metric: 'SD1/SD2',
         value: poincare.sd1sd2Ratio,
@@ -576,65 +2392,202 @@ export const assessHRVQuality = (hrvMetrics) => {
   return assessments;
 };
 
+export const TIME_FREQUENCY_DEFAULTS = {
+  windowSeconds: 30,      // length of each analysis window
+  stepSeconds: 5,         // shift between neighbouring windows
+  estimator: 'fft',       // 'fft' (Hann periodogram), 'welch' or 'ar' (Burg)
+  resampleRate: 4,        // Hz, the whole recording is resampled once
+  interpolation: 'cubic', // see interpolateRRIntervals
+  detrend: 'linear',      // applied to each window
+  fftLength: 256,         // minimum zero-padded FFT length (0.016 Hz bins at 4 Hz)
+  segmentSeconds: 15,     // Welch segment length (50% overlap)
+  order: 'auto',          // AR model order
+  frequencyStep: 0.005,   // Hz between AR spectrum points
+  maxFrequency: 0.5,      // highest frequency kept in the spectrogram (Hz)
+  minBeats: 20            // windows with fewer beats are skipped
+};
+
 /**
- * Calculate time-domain power analysis using sliding windows
+ * Time-frequency analysis: PSD of overlapping windows slid along the recording
+ *
+ * The IBI series is resampled once and every window is detrended and passed to
+ * the chosen estimator, so all spectrogram columns share one frequency axis.
+ *
+ * @param {Array} ibiData - IBI values in milliseconds
+ * @param {Object} [options] - Overrides of TIME_FREQUENCY_DEFAULTS, plus bandProfile
+ * @returns {Object|null} {
+ *   times, frequencies, spectrogram (one PSD row in ms²/Hz per time),
+ *   bandSeries ({ [band]: power per time, lfhfRatio }),
+ *   timePoints ({ time, start, end, vlfPower, lfPower, hfPower, totalPower, lfhfRatio,
+ *   resonancePower (RESONANCE_DEFAULTS peak window), rmssd, beatCount }),
+ *   windowSize, stepSize, totalDuration, settings
+ * } with times at window ends, or null when no full window fits
  */
-const calculateTimeDomainPower = (ibiData) => {
-  if (ibiData.length < 60) {
-    return null; // Need sufficient data for meaningful windows
-  }
+export const calculateTimeFrequency = (ibiData, options = {}) => {
+  const steps = timeFrequencySteps(ibiData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
 
-  const windowSizeSeconds = 30; // 30-second windows
-  const stepSizeSeconds = 5;    // 5-second steps (overlapping windows)
-  
-  // Convert IBI to cumulative time
-  const cumulativeTime = [0];
-  for (let i = 0; i < ibiData.length; i++) {
-    cumulativeTime.push(cumulativeTime[i] + ibiData[i] / 1000);
+/**
+ * calculateTimeFrequency as a generator (yields 'windows' progress before each window)
+ */
+function* timeFrequencySteps(ibiData, options = {}) {
+  const { bandProfile: profile, ...overrides } = options;
+  const bandProfile = resolveBandProfile(profile);
+  const settings = { ...TIME_FREQUENCY_DEFAULTS, ...overrides };
+  const { windowSeconds, stepSeconds } = settings;
+
+  const beatTimes = cumulativeBeatTimes(ibiData);
+  const totalDuration = beatTimes[beatTimes.length - 1];
+  if (!ibiData.length || totalDuration < windowSeconds || ibiData.length < settings.minBeats) {
+    return null;
   }
-  
-  const totalDuration = cumulativeTime[cumulativeTime.length - 1];
+
+  const { interpolatedRR, sampleRate } = interpolateRRIntervals(ibiData, {
+    method: settings.interpolation,
+    sampleRate: settings.resampleRate,
+    grid: 'arange'
+  });
+  const windowSamples = Math.round(windowSeconds * sampleRate);
+  const estimateWindow = createWindowEstimator(settings, sampleRate, windowSamples);
+
+  const times = [];
+  const spectrogram = [];
   const timePoints = [];
-  
-  // Sliding window analysis
-  for (let t = windowSizeSeconds; t <= totalDuration - windowSizeSeconds; t += stepSizeSeconds) {
-    const windowStart = t - windowSizeSeconds;
-    const windowEnd = t;
-    
-    // Extract IBI data for this time window
-    const windowIBI = [];
-    for (let i = 0; i < ibiData.length; i++) {
-      const beatTime = cumulativeTime[i];
-      if (beatTime >= windowStart && beatTime < windowEnd) {
-        windowIBI.push(ibiData[i]);
-      }
-    }
-    
-    if (windowIBI.length >= 20) { // Minimum beats for reliable analysis
-      try {
-        // Calculate frequency metrics for this window
-        const windowFreq = calculateFrequencyDomainMetrics(windowIBI);
-        
-        timePoints.push({
-          time: t,
-          vlfPower: windowFreq.vlfPower || 0,
-          lfPower: windowFreq.lfPower || 0,
-          hfPower: windowFreq.hfPower || 0,
-          totalPower: windowFreq.totalPower || 0,
-          lfhfRatio: windowFreq.lfhfRatio || 0,
-          beatCount: windowIBI.length
-        });
-      } catch (error) {
-        // Skip this window if calculation fails
-        console.warn('Window analysis failed at time', t, error);
-      }
+  const bandSeries = { lfhfRatio: [] };
+  Object.keys(bandProfile.bands).forEach(name => {
+    bandSeries[name] = [];
+  });
+  let frequencies = null;
+
+  // Beat times and resampled samples share a clock starting at the first IBI
+  let first = 0;
+  let last = 0;
+  const lastStart = totalDuration - windowSeconds;
+  for (let start = 0; start <= lastStart; start += stepSeconds) {
+    yield { stage: 'windows', progress: lastStart > 0 ? start / lastStart : 0 };
+    const end = start + windowSeconds;
+    const offset = Math.round(start * sampleRate);
+    if (offset + windowSamples > interpolatedRR.length) break;
+
+    while (first < beatTimes.length && beatTimes[first] < start) first++;
+    while (last < beatTimes.length && beatTimes[last] < end) last++;
+    const beatCount = last - first;
+    if (beatCount < settings.minBeats) continue;
+
+    try {
+      const windowSeries = detrendSeries(interpolatedRR.slice(offset, offset + windowSamples), settings.detrend);
+      const spectrum = estimateWindow(windowSeries);
+
+      // Keep frequencies up to maxFrequency; the axis is the same for every window
+      let binCount = spectrum.frequencies.findIndex(f => f > settings.maxFrequency);
+      if (binCount < 0) binCount = spectrum.frequencies.length;
+      if (!frequencies) frequencies = spectrum.frequencies.slice(0, binCount);
+      const psd = spectrum.psd.slice(0, binCount);
+
+      const powers = integrateSpectrumBands(frequencies, psd, bandProfile);
+      times.push(end);
+      spectrogram.push(psd);
+      Object.keys(bandProfile.bands).forEach(name => {
+        bandSeries[name].push(powers.bandPowers[name]);
+      });
+      bandSeries.lfhfRatio.push(powers.lfhfRatio);
+      timePoints.push({
+        time: end,
+        start,
+        end,
+        vlfPower: powers.vlfPower || 0,
+        lfPower: powers.lfPower || 0,
+        hfPower: powers.hfPower || 0,
+        totalPower: powers.totalPower || 0,
+        lfhfRatio: powers.lfhfRatio || 0,
+        resonancePower: Math.round(findResonancePeak(frequencies, psd).peakPower),
+        rmssd: Math.round(windowRMSSD(ibiData, first, last) * 100) / 100,
+        beatCount
+      });
+    } catch (error) {
+      // Skip this window if estimation fails (e.g. a degenerate AR fit)
+      console.warn('Window analysis failed at time', end, error);
     }
   }
-  
+
+  if (!times.length) {
+    return null;
+  }
+
   return {
-    timePoints: timePoints,
-    windowSize: windowSizeSeconds,
-    stepSize: stepSizeSeconds,
-    totalDuration: totalDuration
+    times,
+    frequencies,
+    spectrogram,
+    bandSeries,
+    timePoints,
+    windowSize: windowSeconds,
+    stepSize: stepSeconds,
+    totalDuration,
+    settings: { ...settings, sampleRate, windowSamples }
+  };
+}
+
+/**
+ * RMSSD of ibiData[first, last)
+ */
+const windowRMSSD = (ibiData, first, last) => {
+  let sum = 0;
+  for (let i = first + 1; i < last; i++) {
+    sum += (ibiData[i] - ibiData[i - 1]) ** 2;
+  }
+  return last - first > 1 ? Math.sqrt(sum / (last - first - 1)) : 0;
+};
+
+/**
+ * Spectrum estimator for one detrended window: returns { frequencies, psd }
+ */
+const createWindowEstimator = (settings, sampleRate, windowSamples) => {
+  if (settings.estimator === 'welch') {
+    const segmentLength = Math.min(Math.round(settings.segmentSeconds * sampleRate), windowSamples);
+    return (series) => calculateWelchPSD(series, sampleRate, { segmentLength, overlap: 0.5 });
+  }
+
+  if (settings.estimator === 'ar') {
+    return (series) => calculateARSpectrum(fitBurgModel(series, settings), sampleRate, settings);
+  }
+
+  if (settings.estimator !== 'fft') {
+    throw new Error(`Unknown time-frequency estimator "${settings.estimator}"`);
+  }
+
+  return createPeriodogram(windowSamples, sampleRate, settings.fftLength);
+};
+
+/**
+ * Hann-windowed periodogram of a detrended series of fixed length, zero padded
+ * to a power of two (at least minLength). Returns (series) => { frequencies, psd },
+ * a one-sided density in ms²/Hz scaled by the window energy Σw² as in Welch.
+ */
+const createPeriodogram = (length, sampleRate, minLength = 1) => {
+  let fftLength = Math.max(minLength, 1);
+  while (fftLength < length) fftLength *= 2;
+  const hann = new Array(length);
+  let windowPower = 0;
+  for (let i = 0; i < length; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length);
+    windowPower += hann[i] * hann[i];
+  }
+  const binCount = Math.floor(fftLength / 2) + 1;
+  const frequencies = Array.from({ length: binCount }, (_, k) => k * sampleRate / fftLength);
+  const padded = new Float64Array(fftLength);
+  const power = new Float64Array(binCount);
+  const scale = 1 / (sampleRate * windowPower);
+
+  const periodogram = (series) => {
+    for (let i = 0; i < length; i++) padded[i] = series[i] * hann[i];
+    realPowerSpectrum(padded, binCount, power);
+    // One-sided density: DC and Nyquist appear once
+    const psd = Array.from(power, (p, k) => p * scale * (k === 0 || k === binCount - 1 ? 1 : 2));
+    return { frequencies, psd };
   };
+  periodogram.fftLength = fftLength;
+  return periodogram;
 };
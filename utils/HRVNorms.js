@@ -0,0 +1,167 @@
+// HRV Normative Reference - age- and sex-adjusted percentiles for short-term HRV
+// Percentiles come from REFERENCE_TABLES, which may only hold quartiles copied
+// from a published table, cited per metric. None is bundled yet, so
+// assessAgainstNorms returns nothing and the app shows no percentiles rather
+// than ones from invented values. The lookups take the tables as an argument.
+
+export const NORM_AGE_BANDS = [
+  { id: '18-24', min: 18, max: 24 },
+  { id: '25-34', min: 25, max: 34 },
+  { id: '35-44', min: 35, max: 44 },
+  { id: '45-54', min: 45, max: 54 },
+  { id: '55-64', min: 55, max: 64 },
+  { id: '65-74', min: 65, max: 74 },
+  { id: '75+', min: 75, max: Infinity }
+];
+
+export const NORMATIVE_METRICS = {
+  rmssd: { label: 'RMSSD', unit: 'ms' },
+  sdnn: { label: 'SDNN', unit: 'ms' },
+  hfPower: { label: 'HF power', unit: 'ms²' },
+  lfhfRatio: { label: 'LF/HF', unit: '' }
+};
+
+/**
+ * Published reference quartiles by metric (NORMATIVE_METRICS key):
+ * { source, female, male }, where source cites the publication and table, and
+ * female / male hold [p25, median, p75] per NORM_AGE_BANDS entry (null for a
+ * band the source does not cover). Empty until such a table is transcribed.
+ */
+export const REFERENCE_TABLES = {};
+
+/**
+ * Whether any metric has a reference table to compare against
+ */
+export const hasReferenceTables = (tables = REFERENCE_TABLES) => Object.keys(tables).length > 0;
+
+const Z_QUARTILE = 0.6744897501960817; // standard normal 75th percentile
+
+/**
+ * Age band for an age in years (null when unknown or under 18)
+ */
+export const findAgeBand = (age) => {
+  if (age === null || age === undefined || isNaN(age)) return null;
+  return NORM_AGE_BANDS.find(band => age >= band.min && age <= band.max) || null;
+};
+
+/**
+ * Reference quartiles for a metric and profile
+ *
+ * Without a sex the female and male quartiles are combined (geometric mean);
+ * without an age every band the table covers is combined the same way.
+ * @param {string} metric - Key of NORMATIVE_METRICS
+ * @param {Object} [profile] - { age, sex: 'female' | 'male' | null }
+ * @param {Object} [tables] - Reference tables (REFERENCE_TABLES by default)
+ * @returns {Object|null} { p25, median, p75, ageBand, sex, source }, or null
+ *   without a table covering the profile
+ */
+export const getReferenceRange = (metric, profile = {}, tables = REFERENCE_TABLES) => {
+  const table = tables[metric];
+  if (!table) return null;
+
+  const ageBand = findAgeBand(profile.age);
+  const sex = table[profile.sex] ? profile.sex : null;
+  const rows = (sex ? [table[sex]] : [table.female, table.male])
+    .filter(Boolean)
+    .flatMap(bands => (ageBand ? [bands[NORM_AGE_BANDS.indexOf(ageBand)]] : bands))
+    .filter(Boolean);
+  if (!rows.length) return null;
+  const combine = (q) => Math.exp(rows.reduce((sum, row) => sum + Math.log(row[q]), 0) / rows.length);
+
+  return {
+    p25: combine(0),
+    median: combine(1),
+    p75: combine(2),
+    ageBand: ageBand ? ageBand.id : null,
+    sex,
+    source: table.source
+  };
+};
+
+/**
+ * Percentile (0-100) of a value in the reference population
+ *
+ * HRV metrics are right-skewed, so each reference group is modelled as
+ * log-normal with the median and interquartile range of its quartiles.
+ * @returns {Object|null} { percentile, reference }, or null for a missing value or
+ *   without a reference range
+ */
+export const percentileFor = (metric, value, profile = {}, tables = REFERENCE_TABLES) => {
+  const reference = getReferenceRange(metric, profile, tables);
+  if (!reference || value === null || value === undefined || !(value > 0)) return null;
+
+  const mu = Math.log(reference.median);
+  const sigma = (Math.log(reference.p75) - Math.log(reference.p25)) / (2 * Z_QUARTILE);
+  const percentile = normalCDF((Math.log(value) - mu) / sigma) * 100;
+
+  return {
+    percentile: Math.min(99, Math.max(1, Math.round(percentile))),
+    reference
+  };
+};
+
+/**
+ * "RMSSD at the 62nd percentile for your age group" style sentence
+ */
+export const describePercentile = (metric, value, profile = {}, tables = REFERENCE_TABLES) => {
+  const result = percentileFor(metric, value, profile, tables);
+  if (!result) return null;
+
+  const { ageBand, sex } = result.reference;
+  const group = ageBand
+    ? `your age group (${ageBand}${sex ? `, ${sex}` : ''})`
+    : sex ? `${sex} adults` : 'adults';
+  return `${NORMATIVE_METRICS[metric].label} at the ${ordinal(result.percentile)} percentile for ${group}`;
+};
+
+/**
+ * Percentile assessment of every reference metric present in an analysis result
+ * @param {Object} hrvMetrics - calculateAdvancedHRVMetrics result
+ * @param {Object} [profile] - { age, sex }
+ * @param {Object} [tables] - Reference tables (REFERENCE_TABLES by default)
+ * @returns {Array} [{ metric, label, value, percentile, status ('low' | 'typical' | 'high'), description, source }] (empty without reference tables)
+ */
+export const assessAgainstNorms = (hrvMetrics, profile = {}, tables = REFERENCE_TABLES) => {
+  if (!hrvMetrics) return [];
+  const values = {
+    rmssd: hrvMetrics.timeDomain && hrvMetrics.timeDomain.rmssd,
+    sdnn: hrvMetrics.timeDomain && hrvMetrics.timeDomain.sdnn,
+    hfPower: hrvMetrics.frequency && hrvMetrics.frequency.hfPower,
+    lfhfRatio: hrvMetrics.frequency && hrvMetrics.frequency.lfhfRatio
+  };
+
+  return Object.keys(NORMATIVE_METRICS)
+    .map(metric => {
+      const result = percentileFor(metric, values[metric], profile, tables);
+      if (!result) return null;
+      return {
+        metric,
+        label: NORMATIVE_METRICS[metric].label,
+        value: values[metric],
+        percentile: result.percentile,
+        status: result.percentile < 25 ? 'low' : result.percentile > 75 ? 'high' : 'typical',
+        description: describePercentile(metric, values[metric], profile, tables),
+        source: result.reference.source
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st
+ */
+export const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf, |error| < 1.5e-7)
+ */
+const normalCDF = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
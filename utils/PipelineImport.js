@@ -0,0 +1,105 @@
+// Python Pipeline Import - recognises the intermediate CSVs written by
+// hrv_pipeline/scripts (detect_peaks.py, extract_ibi.py, correct_ibi_artifacts.py,
+// compute_psd.py) by their columns and converts them for the app's analysis
+
+export const PIPELINE_SCHEMAS = {
+  detectedPeaks: {
+    label: 'Detected peaks',
+    columns: ['peak_index', 'sample_index', 'peak_time_s', 'peak_value']
+  },
+  ibiRaw: {
+    label: 'Raw IBI',
+    columns: ['beat_index', 'peak_time_s', 'ibi_ms', 'bpm', 'rolling_med_ms', 'valid']
+  },
+  ibiCorrected: {
+    label: 'Corrected IBI',
+    columns: ['beat_index', 'peak_time_s', 'ibi_raw_ms', 'ibi_corrected_ms', 'bpm_corrected', 'artifact_flag', 'artifact_reason']
+  },
+  psdValues: {
+    label: 'PSD values',
+    columns: ['frequency_hz', 'psd_s2_per_hz']
+  }
+};
+
+// Checked most specific first: the corrected IBI columns are not a superset of
+// the raw ones, but a hand-edited file could carry both
+const DETECTION_ORDER = ['ibiCorrected', 'ibiRaw', 'detectedPeaks', 'psdValues'];
+
+/**
+ * Key of PIPELINE_SCHEMAS whose columns are all present, or null
+ */
+export const detectPipelineSchema = (headers) => {
+  const names = headers.map(header => `${header}`.trim().toLowerCase());
+  return DETECTION_ORDER.find(key => PIPELINE_SCHEMAS[key].columns.every(column => names.includes(column))) || null;
+};
+
+/**
+ * Convert parsed rows of a pipeline CSV
+ *
+ * IBI schemas give { kind: 'ibi', beatTimes, ibiMs } (beats outside 0-3000 ms
+ * dropped, like the app's own import); the corrected file adds the pipeline's
+ * own correction as { artifacts: { flags, reasons, originalIBI } } so it can be
+ * used as is. The PSD schema gives { kind: 'psd', frequencies, psd } in ms²/Hz,
+ * the unit of the app's spectra.
+ * @param {string} schema - Key of PIPELINE_SCHEMAS
+ * @param {Array} data - Row objects keyed by column name
+ * @returns {Object}
+ */
+export const readPipelineTable = (schema, data) => {
+  const rows = data.map(row => {
+    const normalized = {};
+    Object.keys(row).forEach(key => {
+      normalized[key.trim().toLowerCase()] = row[key];
+    });
+    return normalized;
+  });
+
+  if (schema === 'psdValues') {
+    const points = rows
+      .filter(row => typeof row.frequency_hz === 'number' && typeof row.psd_s2_per_hz === 'number')
+      .sort((a, b) => a.frequency_hz - b.frequency_hz);
+    return {
+      kind: 'psd',
+      schema,
+      frequencies: points.map(row => row.frequency_hz),
+      psd: points.map(row => row.psd_s2_per_hz * 1e6)
+    };
+  }
+
+  let beats;
+  if (schema === 'detectedPeaks') {
+    const peakTimes = rows.map(row => row.peak_time_s).filter(time => typeof time === 'number');
+    beats = peakTimes.slice(1).map((time, i) => ({ time, ibi: (time - peakTimes[i]) * 1000 }));
+  } else if (schema === 'ibiRaw') {
+    beats = rows.map(row => ({ time: row.peak_time_s, ibi: row.ibi_ms }));
+  } else if (schema === 'ibiCorrected') {
+    beats = rows.map(row => ({
+      time: row.peak_time_s,
+      ibi: row.ibi_corrected_ms,
+      original: row.ibi_raw_ms,
+      flag: row.artifact_flag === 'artifact' ? 'artifact' : 'ok',
+      reason: row.artifact_reason || ''
+    }));
+  } else {
+    throw new Error(`Unknown pipeline schema "${schema}"`);
+  }
+
+  beats = beats.filter(beat => typeof beat.ibi === 'number' && beat.ibi > 0 && beat.ibi < 3000);
+  const result = {
+    kind: 'ibi',
+    schema,
+    beatTimes: beats.map(beat => (typeof beat.time === 'number' ? beat.time : null)),
+    ibiMs: beats.map(beat => beat.ibi),
+    artifacts: null
+  };
+  if (result.beatTimes.some(time => time === null)) result.beatTimes = null;
+
+  if (schema === 'ibiCorrected') {
+    result.artifacts = {
+      flags: beats.map(beat => beat.flag),
+      reasons: beats.map(beat => beat.reason),
+      originalIBI: beats.map(beat => (typeof beat.original === 'number' ? beat.original : beat.ibi))
+    };
+  }
+  return result;
+};
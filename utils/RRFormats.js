@@ -0,0 +1,376 @@
+// RR Interval Formats - import adapters for beat-to-beat exports of other devices
+// Single-column RR text (Polar Flow, Elite HRV), Kubios-style multi-column text,
+// EDF+ files with R-peak annotations and Polar .hrm files. Every adapter returns
+// { beatTimes, ibiMs, source, metadata, warnings }; detectRRFormat picks the
+// adapter from the file contents, so a misnamed extension does not matter.
+// EDF+ and .hrm metadata carry startedAt, the recording start in ms since the
+// epoch (the files store local clock time, read in the device's time zone).
+
+import { decodeText } from './CSVParser';
+import { detectPipelineSchema } from './PipelineImport';
+
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const NUMERIC_ROW = new RegExp(`^${NUMBER}(?:[ \\t]+${NUMBER})*$`);
+const COMMENT_LINE = /^[#%;]/;
+const MAX_HEADER_LINES = 3;     // Title or column-name lines allowed before the numbers
+const MIN_DETECTION_ROWS = 5;
+
+// Column names of the tables DataScreen reads itself (vitals, secondary vitals);
+// a tab-separated export with these headers is a table, not a Kubios RR file
+const KNOWN_TABLE_COLUMNS = ['HeartRate (bpm)', 'Systolic (mmHg)', 'BV (mS)', 'LVET (mS)'];
+
+// Annotation texts that mark a detected R-peak or beat in EDF+ files
+const R_PEAK_ANNOTATION = /^(r|r[-_ ]?(peak|wave)|qrs|n|normal( beat)?|beat|heart ?beat)$/i;
+const HRM_RR_INTERVAL = 238;    // [Params] Interval value meaning R-R data
+
+export const RR_FORMATS = {
+  rrText: { label: 'RR interval text (Polar Flow, Elite HRV)' },
+  kubios: { label: 'Kubios RR text' },
+  edf: { label: 'EDF+ R-peak annotations' },
+  hrm: { label: 'Polar HRM' }
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * Beat times (s) of the beat closing each interval, counted from the first beat
+ */
+const cumulativeBeatTimes = (ibiMs) => {
+  let time = 0;
+  return ibiMs.map(ibi => {
+    time += ibi / 1000;
+    return Math.round(time * 1000000) / 1000000;
+  });
+};
+
+/**
+ * Local clock time to ms since the epoch, or null when a field is not a number
+ */
+const localTimestamp = (year, month, day, hours, minutes, seconds) => {
+  const fields = [year, month, day, hours, minutes, seconds].map(Number);
+  if (fields.some(isNaN)) return null;
+  const [y, mo, d, h, mi, sec] = fields;
+  return new Date(y, mo - 1, d, h, mi, Math.floor(sec), Math.round((sec % 1) * 1000)).getTime();
+};
+
+/**
+ * Milliseconds from RR values in seconds or milliseconds (seconds when the median is below 10)
+ */
+const toMilliseconds = (values) => (values.length && median(values) < 10 ? values.map(value => value * 1000) : values);
+
+/**
+ * True when a header line names the columns of a table the CSV import understands
+ */
+const isKnownTableHeader = (line) => {
+  const columns = line.split(/[\t,;]/).map(column => column.trim());
+  return columns.some(column => column.includes('IBI') || KNOWN_TABLE_COLUMNS.includes(column)) ||
+    !!detectPipelineSchema(columns);
+};
+
+const isEDF = (bytes) => {
+  if (bytes.length < 256) return false;
+  const version = String.fromCharCode(...bytes.subarray(0, 8));
+  return version === '0       ';
+};
+
+/**
+ * Numbered lines of a text file, without blank and comment lines
+ */
+const contentLines = (text) => text
+  .split(/\r\n|\r|\n/)
+  .map((line, index) => ({ line: index + 1, text: line.trim() }))
+  .filter(({ text: line }) => line && !COMMENT_LINE.test(line));
+
+/**
+ * Adapter for a file, from its contents
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {string|null} Key of RR_FORMATS, or null for anything else (CSV, Excel, ...)
+ */
+export const detectRRFormat = (bytes) => {
+  if (isEDF(bytes)) return 'edf';
+
+  // Decode a prefix only; the last, possibly cut, line is ignored
+  const { text } = decodeText(bytes.subarray(0, 4096));
+  if (/^\s*\[Params\]/im.test(text) && /^\s*Version\s*=/im.test(text)) return 'hrm';
+
+  const lines = contentLines(text);
+  if (bytes.length > 4096) lines.pop();
+  const firstNumeric = lines.findIndex(({ text: line }) => NUMERIC_ROW.test(line));
+  if (firstNumeric < 0 || firstNumeric > MAX_HEADER_LINES) return null;
+  if (lines.slice(0, firstNumeric).some(({ text: line }) => isKnownTableHeader(line))) return null;
+
+  const rows = lines.slice(firstNumeric);
+  const numeric = rows.filter(({ text: line }) => NUMERIC_ROW.test(line));
+  if (numeric.length < MIN_DETECTION_ROWS || numeric.length < rows.length * 0.9) return null;
+
+  const columns = median(numeric.map(({ text: line }) => line.split(/[ \t]+/).length));
+  return columns > 1 ? 'kubios' : 'rrText';
+};
+
+/**
+ * Numeric rows of a text export, with line-numbered warnings for anything skipped
+ */
+const readNumericRows = (text) => {
+  const warnings = [];
+  const rows = [];
+  let header = [];
+  contentLines(text).forEach(({ line, text: row }) => {
+    if (NUMERIC_ROW.test(row)) {
+      rows.push({ line, values: row.split(/[ \t]+/).map(parseFloat) });
+    } else if (!rows.length && header.length < MAX_HEADER_LINES) {
+      header.push(row);
+    } else {
+      warnings.push({ line, message: `"${row.slice(0, 20)}" is not a number; line skipped` });
+    }
+  });
+  return { rows, header, warnings };
+};
+
+/**
+ * One RR interval per line, in ms or seconds; an optional title line is kept as metadata
+ */
+const parseRRText = (text) => {
+  const { rows, header, warnings } = readNumericRows(text);
+  const ibiMs = toMilliseconds(rows.map(row => row.values[0]));
+  return {
+    beatTimes: cumulativeBeatTimes(ibiMs),
+    ibiMs,
+    source: 'rrText',
+    metadata: header.length ? { title: header.join(' ') } : {},
+    warnings
+  };
+};
+
+/**
+ * Whitespace-separated columns: the RR column is the one in a plausible RR range
+ * that is not increasing; an increasing column alongside it is the beat time.
+ * Null when no column holds RR intervals (some other numeric table)
+ */
+const parseKubiosText = (text) => {
+  const { rows, header, warnings } = readNumericRows(text);
+  const width = Math.min(...rows.map(row => row.values.length));
+  const columns = Array.from({ length: width }, (_, col) => rows.map(row => row.values[col]));
+
+  const increasing = columns.map(values => values.every((value, i) => i === 0 || value > values[i - 1]));
+  const plausible = columns.map(values => {
+    const typical = median(values);
+    return (typical >= 0.25 && typical <= 2.5) || (typical >= 250 && typical <= 2500);
+  });
+  const rrColumn = columns.findIndex((_, col) => plausible[col] && !increasing[col]);
+  if (rrColumn < 0) return null;
+
+  const ibiMs = toMilliseconds(columns[rrColumn]);
+  const timeColumn = increasing.findIndex((isIncreasing, col) => isIncreasing && col !== rrColumn);
+  let beatTimes = cumulativeBeatTimes(ibiMs);
+  if (timeColumn >= 0) {
+    const times = columns[timeColumn];
+    const spacing = median(times.slice(1).map((time, i) => time - times[i]));
+    // Time steps match the intervals in ms (ratio ~1) or in seconds (ratio ~0.001)
+    const timeInMs = Math.abs(Math.log10(spacing / median(ibiMs))) < 1.5;
+    beatTimes = times.map(time => (timeInMs ? time / 1000 : time));
+  }
+
+  return {
+    beatTimes,
+    ibiMs,
+    source: 'kubios',
+    metadata: {
+      ...(header.length ? { columns: header.join(' ') } : {}),
+      rrColumn: rrColumn + 1,
+      timeColumn: timeColumn >= 0 ? timeColumn + 1 : null
+    },
+    warnings
+  };
+};
+
+/**
+ * Polar .hrm: [Params] settings and [HRData] rows; with R-R recording
+ * (Interval=238) the first value of each row is an RR interval in ms
+ */
+const parseHRM = (text) => {
+  const sections = {};
+  let current = null;
+  text.split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = section[1].toLowerCase();
+      sections[current] = [];
+    } else if (current && line) {
+      sections[current].push({ line: index + 1, text: line });
+    }
+  });
+
+  const params = {};
+  (sections.params || []).forEach(({ text: line }) => {
+    const [key, ...value] = line.split('=');
+    if (value.length) params[key.trim()] = value.join('=').trim();
+  });
+  if (!sections.hrdata) throw new Error('No [HRData] section in the HRM file');
+
+  const interval = parseInt(params.Interval, 10);
+  if (interval !== HRM_RR_INTERVAL) {
+    throw new Error(
+      `This HRM file stores heart rate every ${params.Interval} s, not beat-to-beat intervals. ` +
+      'Record with R-R recording switched on to analyse HRV.'
+    );
+  }
+
+  const warnings = [];
+  const ibiMs = [];
+  sections.hrdata.forEach(({ line, text: row }) => {
+    const value = parseFloat(row.split(/[ \t]+/)[0]);
+    if (isNaN(value)) {
+      warnings.push({ line, message: 'no RR value; line skipped' });
+    } else {
+      ibiMs.push(value);
+    }
+  });
+
+  const date = params.Date && params.Date.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const start = params.StartTime && params.StartTime.match(/^(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  return {
+    beatTimes: cumulativeBeatTimes(ibiMs),
+    ibiMs,
+    source: 'hrm',
+    metadata: {
+      version: params.Version || null,
+      monitor: params.Monitor || null,
+      date: date ? `${date[1]}-${date[2]}-${date[3]}` : params.Date || null,
+      startTime: params.StartTime || null,
+      startedAt: date && start ? localTimestamp(date[1], date[2], date[3], start[1], start[2], start[3]) : null,
+      length: params.Length || null
+    },
+    warnings
+  };
+};
+
+/**
+ * EDF+ header fields and the onsets of every annotation in the EDF Annotations signal
+ */
+const readEDFAnnotations = (bytes) => {
+  let offset = 0;
+  const field = (length) => {
+    const value = String.fromCharCode(...bytes.subarray(offset, offset + length)).trim();
+    offset += length;
+    return value;
+  };
+
+  field(8); // version
+  const patient = field(80);
+  const recording = field(80);
+  const startDate = field(8);
+  const startTime = field(8);
+  const headerBytes = parseInt(field(8), 10);
+  const reserved = field(44);
+  let recordCount = parseInt(field(8), 10);
+  const recordDuration = parseFloat(field(8));
+  const signalCount = parseInt(field(4), 10);
+
+  const signalFields = (length) => Array.from({ length: signalCount }, () => field(length));
+  const labels = signalFields(16);
+  [80, 8, 8, 8, 8, 8, 80].forEach(signalFields); // transducer ... prefiltering
+  const samplesPerRecord = signalFields(8).map(value => parseInt(value, 10));
+
+  const annotationSignals = labels
+    .map((label, index) => (label === 'EDF Annotations' ? index : -1))
+    .filter(index => index >= 0);
+  if (!reserved.startsWith('EDF+') || !annotationSignals.length) {
+    throw new Error('This EDF file has no annotations. Export an EDF+ file with R-peak annotations.');
+  }
+
+  const recordBytes = samplesPerRecord.reduce((sum, samples) => sum + samples * 2, 0);
+  if (!(recordCount > 0)) recordCount = Math.floor((bytes.length - headerBytes) / recordBytes);
+
+  const annotations = [];
+  for (let record = 0; record < recordCount; record++) {
+    annotationSignals.forEach(signal => {
+      const start = headerBytes + record * recordBytes +
+        samplesPerRecord.slice(0, signal).reduce((sum, samples) => sum + samples * 2, 0);
+      const block = bytes.subarray(start, start + samplesPerRecord[signal] * 2);
+      annotations.push(...parseTALs(block));
+    });
+  }
+
+  // dd.mm.yy and hh.mm.ss; EDF reads years 85-99 as 19xx and 00-84 as 20xx
+  const date = startDate.match(/^(\d{2})\.(\d{2})\.(\d{2})$/);
+  const time = startTime.match(/^(\d{2})\.(\d{2})\.(\d{2})$/);
+  const startedAt = date && time
+    ? localTimestamp(+date[3] + (+date[3] >= 85 ? 1900 : 2000), date[2], date[1], time[1], time[2], time[3])
+    : null;
+
+  return {
+    annotations,
+    metadata: { patient, recording, startDate, startTime, startedAt, edfType: reserved.slice(0, 5), recordDuration }
+  };
+};
+
+/**
+ * Time-stamped annotation lists: +onset[\x15duration]\x14text\x14...\x14\x00
+ */
+const parseTALs = (block) => {
+  const annotations = [];
+  let start = 0;
+  for (let i = 0; i <= block.length; i++) {
+    if (i < block.length && block[i] !== 0) continue;
+    if (i > start) {
+      const tal = String.fromCharCode(...block.subarray(start, i));
+      const [timing, ...texts] = tal.split('\x14');
+      const onset = parseFloat(timing.split('\x15')[0]);
+      if (!isNaN(onset)) {
+        // The first TAL of a record only keeps time and has no text
+        texts.filter(Boolean).forEach(text => annotations.push({ onset, text: decodeAnnotationText(text) }));
+      }
+    }
+    start = i + 1;
+  }
+  return annotations;
+};
+
+const decodeAnnotationText = (text) => decodeText(Uint8Array.from(text, char => char.charCodeAt(0))).text.trim();
+
+const parseEDF = (bytes) => {
+  const { annotations, metadata } = readEDFAnnotations(bytes);
+  const peaks = annotations
+    .filter(annotation => R_PEAK_ANNOTATION.test(annotation.text))
+    .map(annotation => annotation.onset)
+    .sort((a, b) => a - b);
+
+  if (peaks.length < 2) {
+    const found = [...new Set(annotations.map(annotation => annotation.text))].slice(0, 5);
+    throw new Error(
+      'No R-peak annotations found (looked for R, R-peak, QRS, N, beat)' +
+      (found.length ? `; annotations in the file: ${found.join(', ')}` : '')
+    );
+  }
+
+  return {
+    beatTimes: peaks.slice(1),
+    ibiMs: peaks.slice(1).map((onset, i) => Math.round((onset - peaks[i]) * 1000 * 1000) / 1000),
+    source: 'edf',
+    metadata: { ...metadata, annotationCount: peaks.length },
+    warnings: []
+  };
+};
+
+/**
+ * Read a beat-to-beat export with the adapter for its detected format
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {Object|null} { beatTimes, ibiMs, source, metadata, warnings } or null when the
+ *   contents are not one of RR_FORMATS (including numeric tables without an RR column,
+ *   left to the CSV import); beatTimes[i] (s) is the beat that ends ibiMs[i]
+ * @throws {Error} When the format is recognised but holds no usable intervals
+ */
+export const readRRFile = (bytes) => {
+  const format = detectRRFormat(bytes);
+  if (!format) return null;
+  if (format === 'edf') return parseEDF(bytes);
+
+  const { text } = decodeText(bytes);
+  if (format === 'hrm') return parseHRM(text);
+  return format === 'kubios' ? parseKubiosText(text) : parseRRText(text);
+};
@@ -0,0 +1,34 @@
+// User Settings - small JSON file in the app's document directory
+import * as FileSystem from 'expo-file-system/legacy';
+
+const SETTINGS_FILE = `${FileSystem.documentDirectory}user_settings.json`;
+
+export const DEFAULT_USER_SETTINGS = {
+  breathingPattern: { inhaleTime: 5, holdTime: 0, exhaleTime: 5 },
+  profile: { age: null, sex: null } // drives the normative HRV percentiles (sex: 'female' | 'male')
+};
+
+/**
+ * Load saved settings merged over the defaults (defaults if nothing is saved yet)
+ */
+export const loadUserSettings = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(SETTINGS_FILE);
+    if (!info.exists) return { ...DEFAULT_USER_SETTINGS };
+
+    const saved = JSON.parse(await FileSystem.readAsStringAsync(SETTINGS_FILE));
+    return { ...DEFAULT_USER_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Could not load user settings:', error);
+    return { ...DEFAULT_USER_SETTINGS };
+  }
+};
+
+/**
+ * Merge changes into the saved settings and write them back
+ */
+export const saveUserSettings = async (changes) => {
+  const settings = { ...(await loadUserSettings()), ...changes };
+  await FileSystem.writeAsStringAsync(SETTINGS_FILE, JSON.stringify(settings));
+  return settings;
+};
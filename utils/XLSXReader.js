@@ -0,0 +1,392 @@
+// Excel Workbook Reader - worksheets of an .xlsx (Office Open XML) file as rows
+// Resolves shared strings, inline strings and date-formatted cells. Legacy
+// .xls (BIFF8) workbooks are detected and rejected with a re-save hint.
+
+import { readZipEntries, extractZipEntry, extractZipEntrySteps, decodeUTF8 } from './Zip';
+
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Built-in number formats that display dates or times (ECMA-376 §18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const MS_PER_DAY = 86400000;
+// Serial day 0 in the 1900 system is 1899-12-31, but Excel counts a
+// non-existent 1900-02-29, so from March 1900 the effective epoch is 1899-12-30
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const BASE64_CHUNK = 1 << 18;  // Characters decoded between progress steps (a multiple of 4)
+const ROWS_PER_YIELD = 500;    // Worksheet rows read between progress steps
+
+/**
+ * Base64 file contents to bytes
+ */
+export const base64ToBytes = (base64) => {
+  const steps = base64ToBytesSteps(base64);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * base64ToBytes as a generator (yields 'parsing' progress every BASE64_CHUNK characters)
+ */
+export function* base64ToBytesSteps(base64) {
+  const text = base64.replace(/\s+/g, '');
+  const parts = [];
+  let length = 0;
+  for (let start = 0; start < text.length; start += BASE64_CHUNK) {
+    yield { stage: 'parsing', progress: start / text.length };
+    const binary = atob(text.slice(start, start + BASE64_CHUNK));
+    const part = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      part[i] = binary.charCodeAt(i);
+    }
+    parts.push(part);
+    length += part.length;
+  }
+  if (parts.length === 1) return parts[0];
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+/**
+ * True for OLE2 compound files (legacy .xls and other Office 97-2003 documents)
+ */
+export const isLegacyWorkbook = (bytes) => OLE_SIGNATURE.every((value, i) => bytes[i] === value);
+
+/**
+ * Open a workbook and list its worksheets
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { sheets: [{ name, path }], readSheet(name) => { headers, data, rows },
+ *   readSheetSteps(name) } - readSheetSteps is readSheet as a generator yielding 'parsing' progress
+ * @throws {Error} For legacy .xls files, other non-ZIP files and packages without a workbook
+ */
+export const openWorkbook = (bytes) => {
+  if (isLegacyWorkbook(bytes)) {
+    throw new Error(
+      'This is a legacy Excel 97-2003 (.xls) workbook, which cannot be read here. ' +
+      'Open it in Excel, Numbers or LibreOffice and save it as .xlsx or .csv.'
+    );
+  }
+
+  let entries;
+  try {
+    entries = readZipEntries(bytes);
+  } catch (error) {
+    throw new Error(`The file is not a readable .xlsx workbook (${error.message})`);
+  }
+  const readPart = (path) => {
+    const entry = entries.get(path);
+    return entry ? decodeUTF8(extractZipEntry(bytes, entry)) : null;
+  };
+
+  const workbookXML = readPart('xl/workbook.xml');
+  if (!workbookXML) throw new Error('No workbook found in the file; is it an Excel .xlsx file?');
+
+  const relations = parseRelationships(readPart('xl/_rels/workbook.xml.rels') || '');
+  const sheets = findElements(workbookXML, 'sheet').map(({ attributes }) => ({
+    name: attributes.name,
+    path: resolvePartPath('xl', relations[attributes['r:id']] || '')
+  })).filter(sheet => entries.has(sheet.path));
+  if (!sheets.length) throw new Error('The workbook has no worksheets');
+
+  const workbookPr = findElements(workbookXML, 'workbookPr')[0];
+  const date1904 = !!workbookPr && /^(1|true)$/.test(workbookPr.attributes.date1904 || '');
+
+  // Shared strings and styles are only parsed when a sheet is read
+  let sharedStrings = null;
+  let dateStyles = null;
+
+  function* readSheetSteps(name) {
+    const sheet = sheets.find(item => item.name === name) || sheets[0];
+    if (!sharedStrings) sharedStrings = parseSharedStrings(readPart('xl/sharedStrings.xml') || '');
+    if (!dateStyles) dateStyles = parseDateStyles(readPart('xl/styles.xml') || '');
+
+    // Inflating the worksheet part is the first half of the progress, reading its rows the second
+    const inflating = extractZipEntrySteps(bytes, entries.get(sheet.path));
+    let step = inflating.next();
+    while (!step.done) {
+      yield { stage: 'parsing', progress: step.value.progress / 2 };
+      step = inflating.next();
+    }
+
+    const rows = yield* parseSheetRowsSteps(decodeUTF8(step.value), { sharedStrings, dateStyles, date1904 });
+    return { ...rowsToTable(rows), rows, sheet: sheet.name };
+  }
+
+  const readSheet = (name) => {
+    const steps = readSheetSteps(name);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  };
+
+  return { sheets, readSheet, readSheetSteps };
+};
+
+/**
+ * Header row and row objects from a grid: the first non-empty row names the
+ * columns, blank or duplicate names get a column-letter fallback
+ */
+const rowsToTable = (rows) => {
+  const headerIndex = rows.findIndex(row => row.some(value => value !== ''));
+  if (headerIndex < 0) return { headers: [], data: [] };
+
+  const width = Math.max(...rows.map(row => row.length));
+  const headers = [];
+  for (let col = 0; col < width; col++) {
+    const raw = `${rows[headerIndex][col] ?? ''}`.trim();
+    const name = raw && !headers.includes(raw) ? raw : `${raw || 'Column'} ${columnLetters(col)}`;
+    headers.push(name);
+  }
+
+  const data = rows.slice(headerIndex + 1)
+    .filter(row => row.some(value => value !== ''))
+    .map(row => {
+      const record = {};
+      headers.forEach((header, col) => {
+        record[header] = row[col] ?? '';
+      });
+      return record;
+    });
+
+  return { headers, data };
+};
+
+/**
+ * Cell grid of a worksheet part; missing cells are ''
+ * (generator: yields the second half of readSheetSteps' progress every ROWS_PER_YIELD rows)
+ */
+function* parseSheetRowsSteps(xml, { sharedStrings, dateStyles, date1904 }) {
+  const rows = [];
+  const sheetData = xml.slice(xml.indexOf('<sheetData'), xml.lastIndexOf('</sheetData>'));
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+  let rowMatch;
+  let nextRow = 0;
+  let rowCount = 0;
+  while ((rowMatch = rowPattern.exec(sheetData)) !== null) {
+    if (rowCount++ % ROWS_PER_YIELD === 0) {
+      yield { stage: 'parsing', progress: 0.5 + 0.5 * rowPattern.lastIndex / sheetData.length };
+    }
+    const rowAttributes = parseAttributes(rowMatch[1]);
+    const rowIndex = rowAttributes.r ? parseInt(rowAttributes.r, 10) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    const row = [];
+
+    let cellMatch;
+    let nextCol = 0;
+    cellPattern.lastIndex = 0;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const attributes = parseAttributes(cellMatch[1]);
+      const col = attributes.r ? columnIndex(attributes.r) : nextCol;
+      nextCol = col + 1;
+      while (row.length < col) row.push('');
+      row[col] = cellValue(attributes, cellMatch[2] || '', { sharedStrings, dateStyles, date1904 });
+    }
+
+    while (rows.length < rowIndex) rows.push([]);
+    rows[rowIndex] = row;
+  }
+
+  return rows;
+}
+
+/**
+ * Value of one <c> element: number, string, boolean or formatted date text
+ */
+const cellValue = (attributes, inner, { sharedStrings, dateStyles, date1904 }) => {
+  const type = attributes.t || 'n';
+  if (type === 'inlineStr') return textContent(inner.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+
+  const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  if (raw === undefined) return '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[parseInt(raw, 10)] ?? '';
+    case 'b':
+      return raw === '1';
+    case 'str':
+    case 'e':
+      return decodeEntities(raw);
+    case 'd':
+      return decodeEntities(raw).replace('T', ' ').replace(/Z$/, '');
+    default: {
+      const value = parseFloat(raw);
+      if (isNaN(value)) return '';
+      const style = dateStyles[parseInt(attributes.s || '0', 10)];
+      return style ? formatSerialDate(value, style, date1904) : value;
+    }
+  }
+};
+
+/**
+ * Excel serial date as 'YYYY-MM-DD', 'HH:MM:SS' or 'YYYY-MM-DD HH:MM:SS'
+ */
+const formatSerialDate = (serial, style, date1904) => {
+  // Serials before 1900-03-01 are off by one because of the phantom leap day
+  const epoch = date1904 ? EPOCH_1904 : serial < 61 ? EPOCH_1900 + MS_PER_DAY : EPOCH_1900;
+  const iso = new Date(epoch + Math.round(serial * MS_PER_DAY / 1000) * 1000).toISOString();
+  const date = iso.slice(0, 10);
+  const time = iso.slice(11, 19);
+
+  if (style === 'time' || (serial < 1 && style !== 'date')) return time;
+  if (style === 'date') return date;
+  return `${date} ${time}`;
+};
+
+/**
+ * Style (cellXfs) indices whose number format shows a date: 'date', 'time' or 'datetime'
+ */
+const parseDateStyles = (xml) => {
+  const customFormats = {};
+  findElements(xml, 'numFmt').forEach(({ attributes }) => {
+    customFormats[attributes.numFmtId] = attributes.formatCode || '';
+  });
+
+  const cellXfs = xml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+  const styles = {};
+  findElements(cellXfs, 'xf').forEach(({ attributes }, index) => {
+    const id = parseInt(attributes.numFmtId || '0', 10);
+    const kind = id in customFormats ? dateFormatKind(customFormats[id]) : builtinDateKind(id);
+    if (kind) styles[index] = kind;
+  });
+  return styles;
+};
+
+const builtinDateKind = (id) => {
+  if (!BUILTIN_DATE_FORMATS.has(id)) return null;
+  if (id === 14 || (id >= 15 && id <= 17)) return 'date';
+  if (id === 22) return 'datetime';
+  return 'time';
+};
+
+/**
+ * Classify a custom format code; quoted text, escapes and [colour]/[$-locale]
+ * sections are ignored, while elapsed-time brackets like [h] count as time
+ */
+const dateFormatKind = (code) => {
+  const section = code.split(';')[0]
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(h+|m+|s+)\]/gi, '$1')
+    .replace(/\[[^\]]*\]/g, '');
+  const hasTime = /[hs]/i.test(section);
+  // Next to hours or seconds 'm' means minutes, on its own it means month
+  const hasDate = /[dy]/i.test(section) || (/m/i.test(section) && !hasTime);
+  if (hasDate && hasTime) return 'datetime';
+  if (hasDate) return 'date';
+  if (hasTime) return 'time';
+  return null;
+};
+
+/**
+ * Shared string table; rich-text runs are concatenated, phonetic hints dropped
+ */
+const parseSharedStrings = (xml) => {
+  const strings = [];
+  const pattern = /<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    strings.push(textContent(match[1] || ''));
+  }
+  return strings;
+};
+
+/**
+ * Relationship id => target map of a .rels part
+ */
+const parseRelationships = (xml) => {
+  const relations = {};
+  findElements(xml, 'Relationship').forEach(({ attributes }) => {
+    relations[attributes.Id] = attributes.Target;
+  });
+  return relations;
+};
+
+/**
+ * Package path of a relationship target relative to `base` (absolute targets start with '/')
+ */
+const resolvePartPath = (base, target) => {
+  const parts = target.startsWith('/') ? [] : base.split('/');
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * Concatenated <t> text of a string item, without <rPh> phonetic runs
+ */
+const textContent = (xml) => {
+  const withoutPhonetic = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  let text = '';
+  const pattern = /<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g;
+  let match;
+  while ((match = pattern.exec(withoutPhonetic)) !== null) {
+    text += decodeEntities(match[1] || '');
+  }
+  return text;
+};
+
+/**
+ * Self-closing or opening tags with a local name (namespace prefixes ignored)
+ */
+const findElements = (xml, name) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}\\b([^>]*?)\\/?>`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: parseAttributes(match[1]) });
+  }
+  return elements;
+};
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, body) => {
+  if (body[0] === '#') {
+    const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[body] ?? entity;
+}).replace(/_x([0-9A-F]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+/**
+ * Zero-based column index of a cell reference ('B3' => 1)
+ */
+const columnIndex = (reference) => {
+  let index = 0;
+  for (const char of reference.match(/^[A-Z]+/i)[0].toUpperCase()) {
+    index = index * 26 + char.charCodeAt(0) - 64;
+  }
+  return index - 1;
+};
+
+const columnLetters = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
@@ -0,0 +1,308 @@
+// ZIP Archive Reader - lists and extracts entries of a ZIP held in memory
+// Supports stored and DEFLATE (RFC 1951) entries, which covers Office Open XML
+// packages; ZIP64, encryption and multi-disk archives are rejected.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// DEFLATE length and distance base values and extra bits (RFC 1951 §3.2.5)
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which code length code lengths are stored in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const readUint32 = (bytes, offset) => (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+
+/**
+ * Canonical Huffman decoding table from code lengths: symbol counts per
+ * length and the symbols sorted by code
+ */
+const buildHuffman = (lengths) => {
+  const counts = new Uint16Array(16);
+  lengths.forEach(length => { counts[length]++; });
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length++) {
+    offsets[length] = offsets[length - 1] + counts[length - 1];
+  }
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[offsets[length]++] = symbol;
+  });
+
+  return { counts, symbols };
+};
+
+const getFixedTables = () => {
+  if (!fixedTables) {
+    const literalLengths = new Array(288);
+    for (let i = 0; i < 288; i++) {
+      literalLengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+    }
+    fixedTables = {
+      literal: buildHuffman(literalLengths),
+      distance: buildHuffman(new Array(30).fill(5))
+    };
+  }
+  return fixedTables;
+};
+
+/**
+ * Decompress raw DEFLATE data (no zlib or gzip wrapper)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} [expectedSize] - Uncompressed size when known, to size the output once
+ * @returns {Uint8Array} Decompressed bytes
+ */
+export const inflateRaw = (input, expectedSize = 0) => {
+  const steps = inflateRawSteps(input, expectedSize);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * inflateRaw as a generator (yields 'parsing' progress before each DEFLATE block)
+ */
+export function* inflateRawSteps(input, expectedSize = 0) {
+  let output = new Uint8Array(expectedSize || input.length * 4 || 1024);
+  let outPos = 0;
+  let inPos = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const ensureCapacity = (extra) => {
+    if (outPos + extra <= output.length) return;
+    const grown = new Uint8Array(Math.max(output.length * 2, outPos + extra));
+    grown.set(output.subarray(0, outPos));
+    output = grown;
+  };
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (inPos >= input.length) throw new Error('Unexpected end of compressed data');
+      bitBuffer |= input[inPos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  const decodeSymbol = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = counts[length];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+  };
+
+  const readDynamicTables = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthTable = buildHuffman(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+      const symbol = decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths.push(symbol);
+      } else if (symbol === 16) {
+        if (!lengths.length) throw new Error('Invalid code length repeat');
+        const previous = lengths[lengths.length - 1];
+        for (let n = readBits(2) + 3; n > 0; n--) lengths.push(previous);
+      } else {
+        const zeros = symbol === 17 ? readBits(3) + 3 : readBits(7) + 11;
+        for (let n = 0; n < zeros; n++) lengths.push(0);
+      }
+    }
+
+    return {
+      literal: buildHuffman(lengths.slice(0, literalCount)),
+      distance: buildHuffman(lengths.slice(literalCount, literalCount + distanceCount))
+    };
+  };
+
+  let lastBlock = false;
+  while (!lastBlock) {
+    yield { stage: 'parsing', progress: inPos / input.length };
+    lastBlock = readBits(1) === 1;
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: byte-aligned LEN, NLEN, then raw bytes
+      bitBuffer = 0;
+      bitCount = 0;
+      if (inPos + 4 > input.length) throw new Error('Unexpected end of compressed data');
+      const length = readUint16(input, inPos);
+      inPos += 4;
+      if (inPos + length > input.length) throw new Error('Unexpected end of compressed data');
+      ensureCapacity(length);
+      output.set(input.subarray(inPos, inPos + length), outPos);
+      outPos += length;
+      inPos += length;
+      continue;
+    }
+    if (type === 3) throw new Error('Invalid DEFLATE block type');
+
+    const { literal, distance } = type === 1 ? getFixedTables() : readDynamicTables();
+    for (;;) {
+      const symbol = decodeSymbol(literal);
+      if (symbol < 256) {
+        ensureCapacity(1);
+        output[outPos++] = symbol;
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const lengthIndex = symbol - 257;
+        if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid length code in compressed data');
+        const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+        const distanceIndex = decodeSymbol(distance);
+        if (distanceIndex >= DISTANCE_BASE.length) throw new Error('Invalid distance code in compressed data');
+        const back = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+        if (back > outPos) throw new Error('Distance too far back in compressed data');
+
+        ensureCapacity(length);
+        // Byte by byte: the source may overlap the bytes being written
+        for (let i = 0; i < length; i++, outPos++) {
+          output[outPos] = output[outPos - back];
+        }
+      }
+    }
+  }
+
+  return output.subarray(0, outPos);
+}
+
+/**
+ * Entries of a ZIP archive from its central directory
+ * @param {Uint8Array} bytes - Whole archive
+ * @returns {Map} name => { name, method, compressedSize, size, localOffset }
+ */
+export const readZipEntries = (bytes) => {
+  // End of central directory record: 22 bytes plus a comment of up to 64 KB
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (readUint32(bytes, i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const entryCount = readUint16(bytes, eocd + 10);
+  const directoryOffset = readUint32(bytes, eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (readUint32(bytes, offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+    const flags = readUint16(bytes, offset + 8);
+    const nameLength = readUint16(bytes, offset + 28);
+    const extraLength = readUint16(bytes, offset + 30);
+    const commentLength = readUint16(bytes, offset + 32);
+    const name = decodeUTF8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      name,
+      encrypted: (flags & 1) === 1,
+      method: readUint16(bytes, offset + 10),
+      compressedSize: readUint32(bytes, offset + 20),
+      size: readUint32(bytes, offset + 24),
+      localOffset: readUint32(bytes, offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Uncompressed contents of one entry
+ * @param {Uint8Array} bytes - Whole archive
+ * @param {Object} entry - readZipEntries entry
+ * @returns {Uint8Array}
+ */
+export const extractZipEntry = (bytes, entry) => {
+  const steps = extractZipEntrySteps(bytes, entry);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * extractZipEntry as a generator (yields inflateRawSteps progress)
+ */
+export function* extractZipEntrySteps(bytes, entry) {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+  const local = entry.localOffset;
+  if (readUint32(bytes, local) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry ${entry.name}`);
+
+  // The local header repeats the name and may carry a different extra field
+  const start = local + 30 + readUint16(bytes, local + 26) + readUint16(bytes, local + 28);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return yield* inflateRawSteps(data, entry.size);
+  throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * UTF-8 bytes to a string (TextDecoder is not available on every JS engine)
+ */
+export const decodeUTF8 = (bytes) => {
+  let text = '';
+  let chunk = [];
+  let i = 0;
+  // Skip a byte order mark
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) i = 3;
+
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    let code = byte;
+    if (byte >= 0xf0) {
+      code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte >= 0xe0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte >= 0xc0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    }
+
+    if (code > 0xffff) {
+      code -= 0x10000;
+      chunk.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+    } else {
+      chunk.push(code);
+    }
+    // fromCharCode.apply has an argument limit, so flush in chunks
+    if (chunk.length >= 8192) {
+      text += String.fromCharCode.apply(null, chunk);
+      chunk = [];
+    }
+  }
+
+  return text + String.fromCharCode.apply(null, chunk);
+};